@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, FIXTURES_DIR } = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv();
+
+const aiService = require('../services/aiService');
+const biasScale = require('../config/biasScale');
+
+const fixtureArticles = fs.readFileSync(path.join(FIXTURES_DIR, 'articles.ndjson'), 'utf8')
+  .split('\n')
+  .filter(Boolean)
+  .map(line => JSON.parse(line));
+
+const toArticle = ({ title, content, url }, source) => ({ title, content, url, source });
+
+describe('aiService analysis through the mock provider', () => {
+  test('scores, summarizes and records provenance for a complete article', async () => {
+    const article = toArticle(fixtureArticles[0], 'npr');
+    const processed = await aiService.ctnProcessCompleteArticle(article);
+
+    expect(processed.bias.tier).toBe('model');
+    expect(processed.bias.biasScore).toBeGreaterThanOrEqual(0);
+    expect(processed.bias.biasScore).toBeLessThanOrEqual(100);
+    expect(processed.bias.biasLabel).toBe(biasScale.getBiasLabel(processed.bias.biasScore));
+    expect(processed.bias.provenance).toMatchObject({ provider: 'mock', prompts: [{ id: 'bias' }] });
+    expect(processed.bias.validation.repaired).toBe(false);
+    expect(processed.bias.coverage).toMatchObject({ totalCharacters: article.content.length, truncated: false });
+
+    expect(processed.summary.summary.length).toBeGreaterThan(0);
+    expect(processed.summary.provenance).toMatchObject({ provider: 'mock', prompts: [{ id: 'summary' }] });
+
+    expect(processed.textSource).toMatchObject({ type: 'snippet', extraction: 'skipped' });
+    expect(processed.analysis.status).toBe('complete');
+  });
+
+  test('gives the same result again and serves it from the analysis cache', async () => {
+    const article = toArticle(fixtureArticles[1], 'foxnews');
+    const first = await aiService.ctnProcessCompleteArticle(article);
+    const cachedFiles = fs.readdirSync(path.join(dataDir, 'analysis-cache')).length;
+
+    const second = await aiService.ctnProcessCompleteArticle(article);
+
+    expect(second.bias.biasScore).toBe(first.bias.biasScore);
+    expect(second.summary.summary).toBe(first.summary.summary);
+    expect(fs.readdirSync(path.join(dataDir, 'analysis-cache'))).toHaveLength(cachedFiles);
+  });
+
+  test('falls back to the source assessment when there is no article text', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const processed = await aiService.ctnProcessCompleteArticle({ title: 'Headline only', content: '', url: 'https://www.foxnews.com/a', source: 'foxnews' });
+
+    expect(processed.bias.tier).toBe('source');
+    expect(processed.bias.fallbackErrors).toEqual([{ tier: 'model', message: 'No article content to analyze' }]);
+    expect(processed.analysis.status).toBe('degraded');
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  test('compares the framing of two articles', async () => {
+    const comparison = await aiService.ctnCompareFraming([
+      toArticle(fixtureArticles[0], 'npr'),
+      toArticle(fixtureArticles[1], 'foxnews')
+    ]);
+
+    expect(comparison.provider).toBe('mock');
+    expect(comparison.articles.map(article => article.source)).toEqual(['npr', 'foxnews']);
+    expect(comparison.provenance.prompts).toEqual([expect.objectContaining({ id: 'comparison' })]);
+  });
+});
+
+describe('aiService news search merging', () => {
+  const newsRetrieval = require('../services/newsRetrieval');
+  const sourceRegistry = require('../config/sourceRegistry');
+
+  // Every search fills its numResults from its own domains, scored on that search's own scale
+  const stubSearch = (scale) => jest.spyOn(newsRetrieval, 'ctnSearch').mockImplementation(async (query, searchPlan) => ({
+    resultsBySearch: searchPlan.map((search, searchIndex) => Array.from({ length: search.numResults }, (_, rank) => ({
+      title: `Story ${searchIndex}-${rank}`,
+      text: 'Story text',
+      url: `https://www.${search.domains[rank % search.domains.length]}/story-${searchIndex}-${rank}`,
+      publishedDate: new Date(Date.UTC(2026, 0, 1 + rank)).toISOString(),
+      score: scale[searchIndex] - rank
+    }))),
+    provider: 'stub',
+    synthetic: true
+  }));
+
+  afterEach(() => {
+    newsRetrieval.ctnSearch.mockRestore();
+  });
+
+  test('keeps each search\'s own ranking instead of comparing scores across searches', async () => {
+    stubSearch([10, 1000, 100, 10000]);
+    const { articles } = await aiService.ctnSearchNewsArticles('merge ranking', {}, 8);
+    const categories = articles.map(article => sourceRegistry.getSourceByDomain(article.url).searchCategory);
+
+    expect(categories.slice(0, 3)).toEqual(['categoryA', 'categoryC', 'categoryB']);
+    expect(articles.map(article => article.url.split('/story-')[1]).slice(0, 5)).toEqual(['0-0', '1-0', '2-0', '3-0', '0-1']);
+  });
+
+  test('keeps every category on the first page of a deep search', async () => {
+    stubSearch([0, 0, 0, 0]);
+    const { articles } = await aiService.ctnSearchNewsArticles('deep search', {}, 60);
+    const firstPage = articles.slice(0, 20).map(article => sourceRegistry.getSourceByDomain(article.url).searchCategory);
+
+    expect(articles).toHaveLength(60);
+    ['categoryA', 'categoryB', 'categoryC'].forEach(category => {
+      expect(firstPage.filter(value => value === category).length).toBeGreaterThanOrEqual(5);
+    });
+  });
+
+  test('orders each search newest first when sorting by date', async () => {
+    stubSearch([1, 1, 1, 1]);
+    const { articles } = await aiService.ctnSearchNewsArticles('merge by date', {}, 8, { sortBy: 'date' });
+
+    expect(articles[0].url).toMatch(/story-0-1$/);
+    expect(articles[4].url).toMatch(/story-0-0$/);
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv({ CTN_ANALYSIS_CACHE_MAX: '3', CTN_CACHE_TTL_BIAS_HOURS: '2' });
+const cacheDir = path.join(dataDir, 'analysis-cache');
+
+const analysisCache = require('../services/analysisCache');
+const llmConfig = require('../config/llmConfig');
+const promptRegistry = require('../services/promptRegistry');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2026-01-01T00:00:00.000Z').getTime();
+
+// Only Date is faked; fs callbacks still need the real timers and microtasks
+const useFakeClock = () => jest.useFakeTimers({
+  now: START,
+  doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'hrtime', 'performance']
+});
+
+const cachedFiles = () => (fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : []);
+
+describe('analysisCache', () => {
+  beforeEach(async () => {
+    useFakeClock();
+    await analysisCache.ctnPurge();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('stores each entry in its own file and reads it back', async () => {
+    await analysisCache.ctnSet('bias', { title: 'A' }, { biasScore: 40 }, 'A');
+    await analysisCache.ctnSet('summary', { title: 'A' }, { summary: 'short' }, 'A');
+
+    expect(cachedFiles()).toHaveLength(2);
+    expect(await analysisCache.ctnGet('bias', { title: 'A' })).toEqual({ biasScore: 40 });
+    expect(await analysisCache.ctnGet('summary', { title: 'A' })).toEqual({ summary: 'short' });
+    expect(await analysisCache.ctnGet('bias', { title: 'B' })).toBeUndefined();
+  });
+
+  test('does not write to disk on a cache hit', async () => {
+    await analysisCache.ctnSet('bias', { title: 'A' }, { biasScore: 40 });
+    const [file] = cachedFiles();
+    const before = fs.statSync(path.join(cacheDir, file)).mtimeMs;
+    const writeSpy = jest.spyOn(fs.promises, 'writeFile');
+
+    await analysisCache.ctnGet('bias', { title: 'A' });
+
+    expect(writeSpy).not.toHaveBeenCalled();
+    writeSpy.mockRestore();
+    expect(fs.statSync(path.join(cacheDir, file)).mtimeMs).toBe(before);
+  });
+
+  test('keys on the whole input, so articles sharing an opening do not collide', async () => {
+    const opening = 'Lawmakers met on Tuesday to debate the budget. '.repeat(40);
+    const first = { title: 'Budget debate', content: `${opening}The measure passed.` };
+    const second = { title: 'Budget debate', content: `${opening}The measure failed.` };
+
+    await analysisCache.ctnSet('bias', first, { biasScore: 30 });
+    await analysisCache.ctnSet('bias', second, { biasScore: 70 });
+
+    expect(analysisCache.ctnBuildKey('bias', first).key).not.toBe(analysisCache.ctnBuildKey('bias', second).key);
+    expect(await analysisCache.ctnGet('bias', first)).toEqual({ biasScore: 30 });
+    expect(await analysisCache.ctnGet('bias', second)).toEqual({ biasScore: 70 });
+  });
+
+  test('misses once the model or a prompt version changes', async () => {
+    const input = { title: 'A' };
+    await analysisCache.ctnSet('bias', input, { biasScore: 40 });
+    const { key } = analysisCache.ctnBuildKey('bias', input);
+
+    const config = llmConfig.getTaskConfig('bias');
+    const modelSpy = jest.spyOn(llmConfig, 'getTaskConfig').mockReturnValue({ ...config, model: 'another-model' });
+    expect(analysisCache.ctnBuildKey('bias', input).key).not.toBe(key);
+    expect(await analysisCache.ctnGet('bias', input)).toBeUndefined();
+    modelSpy.mockRestore();
+
+    const versions = promptRegistry.ctnGetTaskVersions('bias');
+    const promptSpy = jest.spyOn(promptRegistry, 'ctnGetTaskVersions').mockReturnValue({ ...versions, bias: versions.bias + 1 });
+    expect(analysisCache.ctnBuildKey('bias', input).key).not.toBe(key);
+    expect(await analysisCache.ctnGet('bias', input)).toBeUndefined();
+    promptSpy.mockRestore();
+  });
+
+  test('expires entries after their type TTL and deletes their files', async () => {
+    await analysisCache.ctnSet('bias', { title: 'A' }, { biasScore: 40 });
+
+    jest.setSystemTime(START + 1.5 * HOUR);
+    expect(await analysisCache.ctnGet('bias', { title: 'A' })).toEqual({ biasScore: 40 });
+
+    jest.setSystemTime(START + 2 * HOUR + 1);
+    expect(await analysisCache.ctnGet('bias', { title: 'A' })).toBeUndefined();
+    expect(cachedFiles()).toHaveLength(0);
+  });
+
+  test('evicts the least recently used entry beyond CTN_ANALYSIS_CACHE_MAX', async () => {
+    for (const title of ['A', 'B', 'C']) {
+      await analysisCache.ctnSet('summary', { title }, { summary: title });
+      jest.advanceTimersByTime(1000);
+    }
+
+    // A is the oldest entry but was just read, so B is now least recently used
+    await analysisCache.ctnGet('summary', { title: 'A' });
+    jest.advanceTimersByTime(1000);
+    await analysisCache.ctnSet('summary', { title: 'D' }, { summary: 'D' });
+
+    expect(cachedFiles()).toHaveLength(3);
+    expect(await analysisCache.ctnGet('summary', { title: 'B' })).toBeUndefined();
+    for (const title of ['A', 'C', 'D']) {
+      expect(await analysisCache.ctnGet('summary', { title })).toEqual({ summary: title });
+    }
+  });
+
+  test('purges by type, and only expired or outdated entries with staleOnly', async () => {
+    await analysisCache.ctnSet('bias', { title: 'A' }, { biasScore: 40 });
+    await analysisCache.ctnSet('summary', { title: 'A' }, { summary: 'A' });
+    await analysisCache.ctnSet('comparison', { title: 'A' }, { sharedFacts: [] });
+
+    const getTaskVersions = promptRegistry.ctnGetTaskVersions.bind(promptRegistry);
+    const promptSpy = jest.spyOn(promptRegistry, 'ctnGetTaskVersions').mockImplementation(task => {
+      const versions = getTaskVersions(task);
+      return task === 'summary' ? { ...versions, summary: versions.summary + 1 } : versions;
+    });
+    // Only the summary entry is outdated; nothing has expired yet
+    expect(await analysisCache.ctnPurge({ staleOnly: true })).toBe(1);
+    promptSpy.mockRestore();
+
+    expect(await analysisCache.ctnPurge({ type: 'comparison' })).toBe(1);
+    expect((await analysisCache.ctnList()).entries.map(entry => entry.type)).toEqual(['bias']);
+    expect(cachedFiles()).toHaveLength(1);
+
+    jest.setSystemTime(START + 3 * HOUR);
+    expect(await analysisCache.ctnPurge({ staleOnly: true })).toBe(1);
+    expect(cachedFiles()).toHaveLength(0);
+  });
+
+  test('rebuilds its index from the cache directory in a new process, skipping expired entries', async () => {
+    await analysisCache.ctnSet('bias', { title: 'A' }, { biasScore: 40 });
+    await analysisCache.ctnSet('summary', { title: 'A' }, { summary: 'A' });
+    jest.setSystemTime(START + 3 * HOUR);
+
+    let reloaded;
+    jest.isolateModules(() => {
+      reloaded = require('../services/analysisCache');
+    });
+
+    expect(await reloaded.ctnGet('summary', { title: 'A' })).toEqual({ summary: 'A' });
+    expect(await reloaded.ctnGet('bias', { title: 'A' })).toBeUndefined();
+    expect((await reloaded.ctnGetStats()).entries).toBe(1);
+  });
+});
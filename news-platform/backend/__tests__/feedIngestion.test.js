@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, FIXTURES_DIR } = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv({ CTN_FEED_FIXTURE_DIR: path.join(FIXTURES_DIR, 'feeds') });
+
+const feedIngestion = require('../services/feedIngestion');
+const articleStore = require('../services/articleStore');
+
+describe('feed ingestion from the bundled fixtures', () => {
+  let summary;
+
+  beforeAll(async () => {
+    summary = await feedIngestion.ctnRunOnce();
+  });
+
+  test('reads every fixture feed and skips outlets without one', () => {
+    expect(summary.succeeded).toBe(3);
+    expect(summary.failed).toBe(0);
+    expect(summary.skipped).toBe(summary.feeds - 3);
+  });
+
+  test('stores one article per story, collapsing tracking parameters and duplicate links', async () => {
+    expect(summary.added).toBe(4);
+
+    const stats = await articleStore.ctnGetStats();
+    expect(stats.totalArticles).toBe(4);
+    expect(stats.bySource).toEqual({ npr: 2, foxnews: 1, theguardian: 1 });
+  });
+
+  test('normalizes RSS and Atom entries to the article shape and flags them synthetic', async () => {
+    const results = await articleStore.ctnSearch('sea walls', {
+      domains: ['theguardian.com'],
+      numResults: 5,
+      startPublishedDate: '2000-01-01T00:00:00.000Z'
+    });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({
+      title: 'Coastal towns weigh costs of new sea walls',
+      url: 'https://www.theguardian.com/ctn-fixture/coastal-towns-sea-walls',
+      synthetic: true
+    });
+    expect(results[0].text.length).toBeGreaterThan(0);
+    expect(new Date(results[0].publishedDate).getTime()).not.toBeNaN();
+  });
+
+  test('persists the store and adds nothing when the same feeds are read again', async () => {
+    const persisted = JSON.parse(fs.readFileSync(path.join(dataDir, 'articles.json'), 'utf8'));
+    expect(persisted).toHaveLength(4);
+
+    const rerun = await feedIngestion.ctnRunOnce();
+    expect(rerun.added).toBe(0);
+    expect(rerun.updated).toBe(0);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Shared setup for backend tests
+ * Services read their configuration when first required, so call
+ * setupTestEnv() at the top of a test file before requiring them. Every test
+ * file gets its own scratch data directory and runs on the offline mock
+ * provider, whatever the developer's shell or .env sets.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+/**
+ * Point the services at a temporary data directory and the mock provider
+ * Registers hooks that silence progress logs and remove the directory afterwards.
+ * @param {Object} env - Extra environment variables for this test file
+ * @returns {string} The data directory
+ */
+const setupTestEnv = (env = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ctn-test-'));
+
+  Object.assign(process.env, {
+    CTN_DATA_DIR: dataDir,
+    CTN_LLM_PROVIDER: 'mock',
+    ANTHROPIC_API_KEY: '',
+    OPENAI_API_KEY: '',
+    CTN_ANALYSIS_CACHE: 'on',
+    CTN_INGEST_INTERVAL_MINUTES: '0'
+  }, env);
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  return dataDir;
+};
+
+module.exports = { setupTestEnv, FIXTURES_DIR };
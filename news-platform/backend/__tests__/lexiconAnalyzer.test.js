@@ -0,0 +1,26 @@
+const lexiconAnalyzer = require('../services/lexiconAnalyzer');
+
+describe('lexiconAnalyzer negation', () => {
+  const content = 'The mayor said the plan doesn\'t reflect socialist priorities. Critics called it a living wage in name only, and supporters praised the tax relief.';
+
+  test.each([
+    ['straight', '\''],
+    ['curly', '’'],
+    ['modifier letter', 'ʼ']
+  ])('treats a %s apostrophe in a negation the same', (_, apostrophe) => {
+    const result = lexiconAnalyzer.ctnAnalyze('', content.replace('\'', apostrophe));
+
+    expect(result.contributions.find(contribution => contribution.term === 'socialist'))
+      .toMatchObject({ negatedMatches: 1, points: 0 });
+    expect(result.signal).toMatchObject({ left: 2, right: 2 });
+    expect(result.biasScore).toBe(50);
+  });
+
+  test('quotes evidence with the article\'s own characters', () => {
+    const text = 'Officials said the ‘living wage’ plan isn’t final.';
+    const [span] = lexiconAnalyzer.ctnAnalyze('', text).spans;
+
+    expect(span.text).toBe('living wage');
+    expect(text.slice(span.start, span.end)).toBe(span.text);
+  });
+});
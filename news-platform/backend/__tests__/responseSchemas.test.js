@@ -0,0 +1,124 @@
+const { extractJson, validateResponse, resolveBiasLabel } = require('../config/responseSchemas');
+
+const fields = (issues) => issues.map(issue => issue.field);
+
+describe('extractJson', () => {
+  test('parses bare JSON without repairs', () => {
+    expect(extractJson('{"biasScore": 40}')).toEqual({ value: { biasScore: 40 }, repairs: [] });
+  });
+
+  test('removes a code fence and the prose around it', () => {
+    const { value, repairs } = extractJson('Here is the analysis:\n```json\n{"biasScore": 40}\n```\nLet me know if you need more.');
+    expect(value).toEqual({ biasScore: 40 });
+    expect(repairs).toEqual(['removed code fence']);
+  });
+
+  test('removes prose around an unfenced object, ignoring braces inside strings', () => {
+    const { value, repairs } = extractJson('Result: {"reasoning": "uses {braces}", "biasScore": 40} (done)');
+    expect(value).toEqual({ reasoning: 'uses {braces}', biasScore: 40 });
+    expect(repairs).toEqual(['removed text around the JSON object']);
+  });
+
+  test('fixes trailing commas and curly quotes', () => {
+    const { value, repairs } = extractJson('{“biasScore”: 40, "keyIndicators": ["a", "b",],}');
+    expect(value).toEqual({ biasScore: 40, keyIndicators: ['a', 'b'] });
+    expect(repairs).toEqual(['fixed trailing commas or curly quotes']);
+  });
+
+  test('reports truncated JSON as an error instead of guessing the rest', () => {
+    const { value, error } = extractJson('```json\n{"biasScore": 40, "reasoning": "The article');
+    expect(value).toBeUndefined();
+    expect(error).toMatch(/^Response was not valid JSON/);
+  });
+
+  test('reports empty responses and responses with no object', () => {
+    expect(extractJson('   ')).toEqual({ error: 'Response was empty' });
+    expect(extractJson('I cannot rate this article.')).toEqual({ error: 'Response contained no JSON object' });
+  });
+});
+
+describe('validateResponse', () => {
+  test('accepts a well-formed bias response unchanged', () => {
+    const response = { biasScore: 35, biasLabel: 'Liberal', confidence: 0.8, reasoning: 'Framing', keyIndicators: ['a'], dimensions: {}, evidence: [] };
+    expect(validateResponse('bias', JSON.stringify(response))).toEqual({ value: response, errors: [], warnings: [] });
+  });
+
+  test('coerces numeric strings and normalizes free-form labels with warnings', () => {
+    const { value, errors, warnings } = validateResponse('bias', JSON.stringify({
+      biasScore: '45/100',
+      biasLabel: 'Center-Left',
+      keyIndicators: 'single indicator'
+    }));
+
+    expect(errors).toEqual([]);
+    expect(value).toMatchObject({ biasScore: 45, biasLabel: 'Liberal', keyIndicators: ['single indicator'] });
+    expect(fields(warnings)).toEqual(['biasScore', 'biasLabel', 'keyIndicators']);
+  });
+
+  test('fails on a missing or out-of-range required score', () => {
+    expect(fields(validateResponse('bias', '{"biasLabel": "Liberal"}').errors)).toEqual(['biasScore']);
+
+    const { errors } = validateResponse('bias', '{"biasScore": 140}');
+    expect(errors).toEqual([{ field: 'biasScore', message: 'must be between 0 and 100', received: '140' }]);
+  });
+
+  test('drops optional fields of the wrong type instead of failing the response', () => {
+    const { value, errors, warnings } = validateResponse('bias', JSON.stringify({
+      biasScore: 50,
+      reasoning: { text: 'nested' },
+      keyIndicators: ['kept', 7, ''],
+      dimensions: ['not', 'an', 'object'],
+      evidence: 'not a list'
+    }));
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ biasScore: 50, keyIndicators: ['kept'], dimensions: {}, evidence: [] });
+    expect(fields(warnings)).toEqual(['reasoning', 'keyIndicators', 'dimensions', 'evidence']);
+  });
+
+  test('drops labels and reliability levels it cannot recognize', () => {
+    const { value, warnings } = validateResponse('sourceRating', JSON.stringify({ biasScore: 50, biasLabel: 'Mixed', sourceReliability: 'Unknown' }));
+    expect(value).toEqual({ biasScore: 50 });
+    expect(fields(warnings)).toEqual(['biasLabel', 'sourceReliability']);
+  });
+
+  test.each([
+    [0.75, 0.75, null],
+    ['0.6', 0.6, 'converted to a number'],
+    [1.5, 1, 'clamped to 1'],
+    [80, 1, 'clamped to 1'],
+    ['85%', 0.85, 'read as a percentage'],
+    ['70/100', 0.7, 'read as a percentage']
+  ])('coerces confidence %p to %p', (confidence, expected, warning) => {
+    const { value, warnings } = validateResponse('bias', JSON.stringify({ biasScore: 50, confidence }));
+    expect(value.confidence).toBe(expected);
+    expect(warnings.map(issue => issue.message)).toEqual(warning ? [warning] : []);
+  });
+
+  test.each([-0.2, 101])('drops out-of-range confidence %p', (confidence) => {
+    const { value, errors, warnings } = validateResponse('bias', JSON.stringify({ biasScore: 50, confidence }));
+    expect(errors).toEqual([]);
+    expect(value).not.toHaveProperty('confidence');
+    expect(warnings).toEqual([{ field: 'confidence', message: 'must be between 0 and 1', received: String(confidence) }]);
+  });
+
+  test('rejects JSON that is not an object', () => {
+    const { value, errors } = validateResponse('summary', '["a summary"]');
+    expect(value).toBeNull();
+    expect(errors[0].message).toBe('Response contained no JSON object');
+  });
+
+  test('throws for an unknown schema', () => {
+    expect(() => validateResponse('unknown', '{}')).toThrow('Unknown response schema: unknown');
+  });
+});
+
+describe('resolveBiasLabel', () => {
+  test('derives the label from the score and flags a disagreeing model label', () => {
+    expect(resolveBiasLabel(35, 'Liberal')).toEqual({ label: 'Liberal', warning: null });
+
+    const { label, warning } = resolveBiasLabel(35, 'Conservative');
+    expect(label).toBe('Liberal');
+    expect(warning).toMatchObject({ field: 'biasLabel', received: 'Conservative' });
+  });
+});
@@ -0,0 +1,102 @@
+const searchPager = require('../services/searchPager');
+
+const makeArticles = (count, prefix = 'story') => Array.from({ length: count }, (_, index) => ({
+  title: `${prefix} ${index}`,
+  url: `https://www.npr.org/${prefix}-${index}`,
+  storyId: `story_${index + 1}`
+}));
+
+describe('searchPager cursors', () => {
+  test('round-trip a result set id and offset', () => {
+    const cursor = searchPager.ctnEncodeCursor('abc123', 20);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(searchPager.ctnDecodeCursor(cursor)).toEqual({ resultSetId: 'abc123', offset: 20 });
+  });
+
+  test.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['a numeric result set id', Buffer.from(JSON.stringify({ r: 7, o: 0 })).toString('base64url')],
+    ['a negative offset', Buffer.from(JSON.stringify({ r: 'abc123', o: -20 })).toString('base64url')],
+    ['a fractional offset', Buffer.from(JSON.stringify({ r: 'abc123', o: 2.5 })).toString('base64url')],
+    ['a JSON value that is not an object', Buffer.from('null').toString('base64url')]
+  ])('rejects a cursor with %s', (_, cursor) => {
+    expect(searchPager.ctnDecodeCursor(cursor)).toBeNull();
+  });
+});
+
+describe('searchPager result sets', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('pages through a set and stops at the last page', () => {
+    const resultSetId = searchPager.ctnCreateResultSet(makeArticles(45, 'paging'), { query: 'paging' });
+
+    const first = searchPager.ctnGetPage(resultSetId, 0, 20);
+    expect(first.articles).toHaveLength(20);
+    expect(first.pagination).toMatchObject({ offset: 0, totalResults: 45, hasMore: true });
+    expect(searchPager.ctnDecodeCursor(first.pagination.nextCursor)).toEqual({ resultSetId, offset: 20 });
+
+    const last = searchPager.ctnGetPage(resultSetId, 40, 20);
+    expect(last.articles.map(article => article.title)).toEqual(['paging 40', 'paging 41', 'paging 42', 'paging 43', 'paging 44']);
+    expect(last.pagination).toMatchObject({ offset: 40, hasMore: false, nextCursor: null });
+
+    expect(searchPager.ctnGetPage(resultSetId, 40, 5).pagination).toMatchObject({ hasMore: false, nextCursor: null });
+    expect(searchPager.ctnGetPage(resultSetId, 60, 20).articles).toEqual([]);
+  });
+
+  test('returns only the stories on the requested page', () => {
+    const articles = makeArticles(3, 'stories');
+    const stories = articles.map(article => ({ id: article.storyId, label: article.title }));
+    const resultSetId = searchPager.ctnCreateResultSet(articles, { query: 'stories' }, stories);
+
+    expect(searchPager.ctnGetPage(resultSetId, 1, 1).stories).toEqual([{ ...stories[1], articleIndexes: [0] }]);
+  });
+
+  test('reuses the result set of a repeated search', () => {
+    const articles = makeArticles(5, 'repeat');
+    const resultSetId = searchPager.ctnCreateResultSet(articles, { query: 'repeat' });
+
+    expect(searchPager.ctnCreateResultSet([...articles], { query: 'repeat' })).toBe(resultSetId);
+    expect(searchPager.ctnCreateResultSet(articles, { query: 'repeat', sortBy: 'date' })).not.toBe(resultSetId);
+    expect(searchPager.ctnCreateResultSet(articles.slice(1), { query: 'repeat' })).not.toBe(resultSetId);
+  });
+
+  test('expires a set that has not been read within its TTL', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.000Z') });
+    const resultSetId = searchPager.ctnCreateResultSet(makeArticles(5, 'expiry'), { query: 'expiry' });
+
+    jest.setSystemTime(new Date('2026-01-01T00:20:00.000Z'));
+    expect(searchPager.ctnGetPage(resultSetId, 0, 5)).not.toBeNull();
+
+    // Reading refreshed the TTL, so it lasts 30 minutes from the read
+    jest.setSystemTime(new Date('2026-01-01T00:45:00.000Z'));
+    expect(searchPager.ctnGetPage(resultSetId, 0, 5)).not.toBeNull();
+
+    jest.setSystemTime(new Date('2026-01-01T01:16:00.000Z'));
+    expect(searchPager.ctnGetPage(resultSetId, 0, 5)).toBeNull();
+  });
+
+  test('holds at most maxResultSets, dropping the least recently read', () => {
+    // A fresh pager, so sets from the other tests do not count toward the cap
+    let pager;
+    jest.isolateModules(() => {
+      pager = require('../services/searchPager');
+    });
+
+    jest.useFakeTimers({ now: new Date('2026-02-01T00:00:00.000Z') });
+    const ids = Array.from({ length: pager.maxResultSets }, (_, index) => {
+      jest.advanceTimersByTime(1000);
+      return pager.ctnCreateResultSet(makeArticles(1, `cap-${index}`), { query: `cap ${index}` });
+    });
+
+    jest.advanceTimersByTime(1000);
+    pager.ctnGetPage(ids[0], 0, 1);
+    pager.ctnCreateResultSet(makeArticles(1, 'cap-overflow'), { query: 'cap overflow' });
+
+    expect(pager.ctnGetPage(ids[0], 0, 1)).not.toBeNull();
+    expect(pager.ctnGetPage(ids[1], 0, 1)).toBeNull();
+    expect(pager.ctnGetPage(ids[2], 0, 1)).not.toBeNull();
+  });
+});
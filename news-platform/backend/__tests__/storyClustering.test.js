@@ -0,0 +1,81 @@
+const storyClustering = require('../services/storyClustering');
+
+const article = (domain, title, content) => ({ title, content, url: `https://www.${domain}/${title.toLowerCase().replace(/\W+/g, '-')}`, source: domain.split('.')[0] });
+
+describe('storyClustering grouping', () => {
+  const articles = [
+    article('reuters.com', 'Federal Reserve raises interest rates by a quarter point', 'The Federal Reserve raised its benchmark interest rate by a quarter point on Wednesday, citing persistent inflation.'),
+    article('wildfire.example', 'Wildfire forces evacuations north of Sacramento', 'Thousands of residents evacuated as a fast-moving wildfire spread through dry brush north of Sacramento.'),
+    article('foxnews.com', 'Fed hikes interest rates again as inflation lingers', 'Federal Reserve officials voted to lift interest rates a quarter point, pointing to inflation that has not cooled.'),
+    article('wsj.com', 'Senate passes farm bill after late-night vote', 'The Senate approved the farm bill, which funds crop insurance and nutrition programs, after a late-night vote.'),
+    article('huffpost.com', 'Interest rate increase from the Federal Reserve squeezes borrowers', 'Borrowers face higher costs after the Federal Reserve increased interest rates by a quarter point to fight inflation.')
+  ];
+
+  const { articles: clustered, stories } = storyClustering.ctnClusterArticles(articles);
+  const storyOf = (domain) => clustered.find(item => item.url.includes(domain)).storyId;
+
+  test('merges coverage of the same event from different outlets', () => {
+    expect(storyOf('foxnews.com')).toBe(storyOf('reuters.com'));
+    expect(storyOf('huffpost.com')).toBe(storyOf('reuters.com'));
+
+    const rates = stories.find(story => story.id === storyOf('reuters.com'));
+    expect(rates).toMatchObject({ articleCount: 3, outletCount: 3, label: articles[0].title });
+    expect(rates.keywords).toEqual(expect.arrayContaining(['interest', 'rates']));
+  });
+
+  test('keeps unrelated events apart', () => {
+    expect(stories).toHaveLength(3);
+    expect(new Set([storyOf('reuters.com'), storyOf('wildfire.example'), storyOf('wsj.com')]).size).toBe(3);
+  });
+
+  test('moves story members next to each other, where the story\'s first article was', () => {
+    expect(clustered.map(item => item.source)).toEqual(['reuters', 'foxnews', 'huffpost', 'wildfire', 'wsj']);
+  });
+});
+
+describe('storyClustering blindspots', () => {
+  const coverageOf = (...domains) => storyClustering.ctnGetCoverageDistribution(domains.map(domain => ({ url: `https://www.${domain}/story` })));
+
+  test('counts articles by their outlet\'s leaning and leaves unregistered outlets out of the shares', () => {
+    expect(coverageOf('huffpost.com', 'reuters.com', 'foxnews.com', 'unrated.example')).toEqual({
+      left: 1,
+      center: 1,
+      right: 1,
+      unrated: 1,
+      rated: 3,
+      shares: { left: 0.33, center: 0.33, right: 0.33 }
+    });
+    expect(coverageOf('unrated.example').shares).toBeNull();
+  });
+
+  test('flags a story when one side supplies more than 80% of its rated coverage', () => {
+    const coverage = coverageOf('foxnews.com', 'nypost.com', 'breitbart.com', 'dailywire.com', 'newsmax.com', 'reuters.com');
+
+    expect(coverage.right / coverage.rated).toBeGreaterThan(0.8);
+    expect(storyClustering.ctnDetectBlindspot(coverage)).toEqual({ side: 'right', share: 0.83, missingSide: 'left' });
+  });
+
+  test('does not flag a share of exactly 80%', () => {
+    const coverage = coverageOf('huffpost.com', 'salon.com', 'msnbc.com', 'vox.com', 'reuters.com');
+
+    expect(coverage.shares.left).toBe(0.8);
+    expect(storyClustering.ctnDetectBlindspot(coverage)).toBeNull();
+  });
+
+  test('needs at least 3 rated articles', () => {
+    expect(storyClustering.ctnDetectBlindspot(coverageOf('huffpost.com', 'salon.com'))).toBeNull();
+    expect(storyClustering.ctnDetectBlindspot(coverageOf('huffpost.com', 'salon.com', 'msnbc.com'))).toMatchObject({ side: 'left' });
+  });
+
+  test('excludes unrated articles from the share and the minimum', () => {
+    const unrated = ['one.example', 'two.example', 'three.example'];
+
+    expect(storyClustering.ctnDetectBlindspot(coverageOf('huffpost.com', 'salon.com', ...unrated))).toBeNull();
+    expect(storyClustering.ctnDetectBlindspot(coverageOf('huffpost.com', 'salon.com', 'msnbc.com', ...unrated)))
+      .toEqual({ side: 'left', share: 1, missingSide: 'right' });
+  });
+
+  test('does not treat center-heavy coverage as a blindspot', () => {
+    expect(storyClustering.ctnDetectBlindspot(coverageOf('reuters.com', 'apnews.com', 'bbc.com', 'pbs.org'))).toBeNull();
+  });
+});
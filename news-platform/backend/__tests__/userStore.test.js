@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv();
+const usersDir = path.join(dataDir, 'users');
+
+const userStore = require('../services/userStore');
+
+const article = (index) => ({ url: `https://www.npr.org/story-${index}`, title: `Story ${index}`, source: 'npr', bias: { biasScore: 40, biasLabel: 'Liberal' } });
+const readRecord = (userId) => JSON.parse(fs.readFileSync(path.join(usersDir, `${userId}.json`), 'utf8'));
+
+describe('userStore writes', () => {
+  test('records every one of many concurrent interactions for one user, in call order', async () => {
+    const writes = Array.from({ length: 40 }, (_, index) => userStore.ctnRecordInteraction('concurrent', article(index), 'read'));
+    const preferences = userStore.ctnUpdatePreferences('concurrent', { diversityWeight: 0.8 });
+    const stored = await Promise.all(writes);
+    await preferences;
+
+    const record = readRecord('concurrent');
+    expect(record.interactions.map(interaction => interaction.id)).toEqual(stored.map(interaction => interaction.id));
+    expect(record.interactions.map(interaction => interaction.title)).toEqual(stored.map((_, index) => `Story ${index}`));
+    expect(record.preferences.diversityWeight).toBe(0.8);
+    expect(userStore.writeQueues.has('concurrent')).toBe(false);
+  });
+
+  test('keeps separate users apart when they write at the same time', async () => {
+    await Promise.all(['first-user', 'second-user'].flatMap(userId =>
+      Array.from({ length: 10 }, (_, index) => userStore.ctnRecordInteraction(userId, article(index), 'click'))));
+
+    expect(readRecord('first-user').interactions).toHaveLength(10);
+    expect(readRecord('second-user').interactions).toHaveLength(10);
+  });
+
+  test('replaces the file by renaming a finished temp file, leaving none behind', async () => {
+    const writeSpy = jest.spyOn(fs.promises, 'writeFile');
+    const renameSpy = jest.spyOn(fs.promises, 'rename');
+
+    await userStore.ctnRecordInteraction('atomic', article(1), 'read');
+
+    const [tempPath] = writeSpy.mock.calls[0];
+    expect(tempPath).not.toBe(path.join(usersDir, 'atomic.json'));
+    expect(renameSpy).toHaveBeenCalledWith(tempPath, path.join(usersDir, 'atomic.json'));
+    expect(fs.readdirSync(usersDir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+
+    writeSpy.mockRestore();
+    renameSpy.mockRestore();
+  });
+
+  test('keeps the last good file when a write fails, and later writes in the queue still run', async () => {
+    await userStore.ctnRecordInteraction('failing', article(1), 'read');
+    const renameSpy = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+    const failed = userStore.ctnRecordInteraction('failing', article(2), 'read');
+    const queued = userStore.ctnRecordInteraction('failing', article(3), 'read');
+
+    await expect(failed).rejects.toThrow('disk full');
+    await queued;
+    expect(readRecord('failing').interactions.map(interaction => interaction.title)).toEqual(['Story 1', 'Story 3']);
+
+    renameSpy.mockRestore();
+  });
+
+  test('drops the oldest interactions beyond 1000', async () => {
+    const seeded = userStore.ctnCreateUserRecord('trimmed');
+    seeded.interactions = Array.from({ length: 998 }, (_, index) => ({ id: `seed-${index}`, action: 'read', title: `Seed ${index}` }));
+    fs.mkdirSync(usersDir, { recursive: true });
+    fs.writeFileSync(path.join(usersDir, 'trimmed.json'), JSON.stringify(seeded));
+
+    await Promise.all(Array.from({ length: 5 }, (_, index) => userStore.ctnRecordInteraction('trimmed', article(index), 'read')));
+
+    const { interactions } = readRecord('trimmed');
+    expect(interactions).toHaveLength(1000);
+    expect(interactions[0].id).toBe('seed-3');
+    expect(interactions.slice(-5).map(interaction => interaction.title)).toEqual(['Story 0', 'Story 1', 'Story 2', 'Story 3', 'Story 4']);
+  });
+});
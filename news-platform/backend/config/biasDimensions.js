@@ -0,0 +1,213 @@
+/**
+ * CTN Bias Dimensions - Axes scored alongside the liberal/conservative biasScore
+ * Every dimension is 0-100 with its own evidence. For sensationalism, opinion
+ * and emotionalTone higher means more of the problem; for sourceDiversity
+ * higher is better (more, and more varied, attributed sources).
+ *
+ * Analysis shape: { [key]: { score, evidence: [string], estimated? } }
+ * `estimated` marks scores that came from the text heuristics below rather
+ * than from a model.
+ *
+ * The definitions (label, shortLabel, higherIsBetter) are served to the
+ * frontend with the bias scale, which renders the dimension bars from them.
+ */
+
+const BIAS_DIMENSIONS = [
+  {
+    key: 'sensationalism',
+    label: 'Sensationalism',
+    shortLabel: 'Sensational',
+    higherIsBetter: false,
+    description: 'Clickbait headlines, hyperbole and alarmist framing (0 = measured, 100 = sensational)'
+  },
+  {
+    key: 'opinion',
+    label: 'Opinion vs. fact',
+    shortLabel: 'Opinion',
+    higherIsBetter: false,
+    description: 'Opinion or advocacy presented as news (0 = straight factual reporting, 100 = opinion piece)'
+  },
+  {
+    key: 'emotionalTone',
+    label: 'Emotional tone',
+    shortLabel: 'Emotional',
+    higherIsBetter: false,
+    description: 'Emotionally charged wording (0 = neutral, 100 = highly emotional)'
+  },
+  {
+    key: 'sourceDiversity',
+    label: 'Source diversity',
+    shortLabel: 'Sources',
+    higherIsBetter: true,
+    description: 'Range of attributed sources and viewpoints (0 = none or one-sided, 100 = many and varied)'
+  }
+];
+
+const MAX_EVIDENCE = 3;
+
+const SENSATIONAL_TERMS = [
+  'shocking', 'stunning', 'bombshell', 'explosive', 'slams', 'blasts', 'destroys', 'eviscerates',
+  'meltdown', 'chaos', 'outrage', 'firestorm', 'you won\'t believe', 'unbelievable', 'insane',
+  'disaster', 'catastrophic', 'breaking', 'must see', 'jaw-dropping', 'epic'
+];
+
+const OPINION_TERMS = [
+  'i think', 'i believe', 'in my view', 'in our view', 'we must', 'we need to', 'should', 'ought to',
+  'clearly', 'obviously', 'of course', 'undeniably', 'disgrace', 'shameful', 'absurd', 'ridiculous',
+  'it is time', 'make no mistake'
+];
+
+const EMOTIONAL_TERMS = [
+  'outrageous', 'horrifying', 'terrifying', 'heartbreaking', 'devastating', 'furious', 'fear',
+  'tragic', 'disgusting', 'appalling', 'brutal', 'cruel', 'heroic', 'evil', 'nightmare', 'crisis',
+  'betrayal', 'attack', 'war on', 'threat'
+];
+
+// Evidence categories for the cue terms above, keyed by dimension
+const CUE_TERMS = [
+  { category: 'sensationalism', terms: SENSATIONAL_TERMS, rationale: 'Hyperbolic or clickbait wording' },
+  { category: 'opinion', terms: OPINION_TERMS, rationale: 'Editorial judgment stated as fact' },
+  { category: 'emotional-tone', terms: EMOTIONAL_TERMS, rationale: 'Emotionally charged wording' }
+];
+
+const ATTRIBUTION_PATTERN = /\b(said|says|told|according to|stated|testified|wrote in a statement)\b/g;
+
+const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const countOf = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const findTerms = (text, terms) => terms.filter(term => new RegExp(`\\b${term}\\b`).test(text));
+
+/**
+ * Sanitize model output into the dimension shape, dropping anything malformed
+ * @param {Object} raw - `dimensions` object from a model response
+ * @returns {Object} Dimensions that had a numeric score
+ */
+const normalizeDimensions = (raw) => {
+  if (!raw || typeof raw !== 'object') return {};
+
+  return Object.fromEntries(BIAS_DIMENSIONS
+    .map(({ key }) => {
+      const entry = typeof raw[key] === 'number' ? { score: raw[key] } : raw[key];
+      if (!entry || typeof entry.score !== 'number' || Number.isNaN(entry.score)) return null;
+
+      const evidence = Array.isArray(entry.evidence)
+        ? entry.evidence.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()).slice(0, MAX_EVIDENCE)
+        : [];
+      return [key, { score: clampScore(entry.score), evidence }];
+    })
+    .filter(Boolean));
+};
+
+/**
+ * Score every dimension from surface features of the text
+ * @param {string} title - Article title
+ * @param {string} content - Article content
+ * @returns {Object} Dimensions, each marked estimated
+ */
+const estimateDimensions = (title = '', content = '') => {
+  const titleLower = title.toLowerCase();
+  const text = `${titleLower}\n${content.toLowerCase()}`;
+  const words = Math.max(1, text.split(/\s+/).filter(Boolean).length);
+  // Hits per 100 words, so long articles are not penalized for length
+  const density = (count) => (count / words) * 100;
+
+  const sensationalHeadline = findTerms(titleLower, SENSATIONAL_TERMS);
+  const sensationalBody = findTerms(text, SENSATIONAL_TERMS);
+  const exclamations = (title.match(/!/g) || []).length;
+  const shoutedWords = (title.match(/\b[A-Z]{4,}\b/g) || []).length;
+
+  const opinionTerms = findTerms(text, OPINION_TERMS);
+  const firstPerson = (text.match(/\b(i|we|my|our)\b/g) || []).length;
+
+  const emotionalTerms = findTerms(text, EMOTIONAL_TERMS);
+
+  const attributions = (text.match(ATTRIBUTION_PATTERN) || []).length;
+  const quotes = (content.match(/["“][^"”]{15,}["”]/g) || []).length;
+
+  return {
+    sensationalism: {
+      score: clampScore(10 + sensationalHeadline.length * 25 + sensationalBody.length * 8 + exclamations * 15 + shoutedWords * 10),
+      evidence: [
+        ...sensationalHeadline.map(term => `"${term}" in headline`),
+        ...(exclamations > 0 ? ['exclamation in headline'] : [])
+      ].slice(0, MAX_EVIDENCE),
+      estimated: true
+    },
+    opinion: {
+      score: clampScore(10 + opinionTerms.length * 12 + density(firstPerson) * 4),
+      evidence: opinionTerms.map(term => `"${term}"`).slice(0, MAX_EVIDENCE),
+      estimated: true
+    },
+    emotionalTone: {
+      score: clampScore(10 + emotionalTerms.length * 12 + density(emotionalTerms.length) * 5),
+      evidence: emotionalTerms.map(term => `"${term}"`).slice(0, MAX_EVIDENCE),
+      estimated: true
+    },
+    sourceDiversity: {
+      score: clampScore(attributions * 12 + quotes * 8),
+      evidence: [countOf(attributions, 'attributed statement'), countOf(quotes, 'direct quote')],
+      estimated: true
+    }
+  };
+};
+
+/**
+ * Every sensational, opinion and emotional cue term in the text, with its position
+ * @param {string} text - Text to scan
+ * @returns {Array<{ start: number, end: number, text: string, category: string, rationale: string }>} Spans in text order
+ */
+const findCueSpans = (text = '') => {
+  const spans = [];
+  CUE_TERMS.forEach(({ category, terms, rationale }) => {
+    terms.forEach(term => {
+      const pattern = new RegExp(`\\b${term}\\b`, 'gi');
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        spans.push({ start: match.index, end: match.index + match[0].length, text: match[0], category, rationale });
+      }
+    });
+  });
+  return spans.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Combine per-chunk dimensions, weighting each chunk's scores
+ * @param {Array<{ dimensions: Object, weight: number }>} entries - Chunk dimensions and weights
+ * @returns {Object} Merged dimensions
+ */
+const mergeDimensions = (entries) => Object.fromEntries(BIAS_DIMENSIONS
+  .map(({ key }) => {
+    const scored = entries.filter(entry => entry.dimensions && entry.dimensions[key]);
+    if (scored.length === 0) return null;
+
+    const weightOf = (entry) => entry.weight || 1;
+    const totalWeight = scored.reduce((total, entry) => total + weightOf(entry), 0);
+    const score = scored.reduce((total, entry) => total + entry.dimensions[key].score * weightOf(entry), 0) / totalWeight;
+    const evidence = [...new Set(scored.flatMap(entry => entry.dimensions[key].evidence))].slice(0, MAX_EVIDENCE);
+    const merged = { score: clampScore(score), evidence };
+    if (scored.every(entry => entry.dimensions[key].estimated)) merged.estimated = true;
+    return [key, merged];
+  })
+  .filter(Boolean));
+
+/**
+ * Model-scored dimensions, with any the model left out estimated from the text
+ * @param {Object} dimensions - Normalized model dimensions
+ * @param {string} title - Article title
+ * @param {string} content - Analyzed text
+ * @returns {Object} All dimensions
+ */
+const completeDimensions = (dimensions, title, content) => {
+  if (BIAS_DIMENSIONS.every(({ key }) => dimensions[key])) return dimensions;
+  return { ...estimateDimensions(title, content), ...dimensions };
+};
+
+module.exports = {
+  BIAS_DIMENSIONS,
+  normalizeDimensions,
+  estimateDimensions,
+  mergeDimensions,
+  completeDimensions,
+  findCueSpans
+};
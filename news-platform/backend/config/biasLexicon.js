@@ -0,0 +1,100 @@
+/**
+ * CTN Bias Lexicon - Weighted terms for the deterministic keyword bias tier
+ * Terms are matched case-insensitively on word boundaries ("union" does not
+ * match "reunion"). Multi-word terms tolerate any whitespace between words.
+ *
+ * Fields:
+ * - term: lowercase word or phrase
+ * - leaning: 'left' or 'right' (pulls the score that way), or 'neutral'
+ *   (balanced-reporting cue that dampens the partisan signal)
+ * - weight: 1 = topical term either side may use, 2 = characteristic framing,
+ *   3 = partisan or pejorative label
+ */
+
+const LEXICON = [
+  // Left-leaning framing
+  { term: 'progressive', leaning: 'left', weight: 1 },
+  { term: 'left-wing', leaning: 'left', weight: 1 },
+  { term: 'activist', leaning: 'left', weight: 1 },
+  { term: 'climate crisis', leaning: 'left', weight: 2 },
+  { term: 'climate emergency', leaning: 'left', weight: 2 },
+  { term: 'climate change', leaning: 'left', weight: 1 },
+  { term: 'social justice', leaning: 'left', weight: 2 },
+  { term: 'systemic racism', leaning: 'left', weight: 2 },
+  { term: 'white privilege', leaning: 'left', weight: 3 },
+  { term: 'medicare for all', leaning: 'left', weight: 2 },
+  { term: 'gun control', leaning: 'left', weight: 1 },
+  { term: 'gun violence', leaning: 'left', weight: 1 },
+  { term: 'assault weapons', leaning: 'left', weight: 2 },
+  { term: 'transgender rights', leaning: 'left', weight: 1 },
+  { term: 'undocumented immigrants', leaning: 'left', weight: 2 },
+  { term: 'dreamers', leaning: 'left', weight: 1 },
+  { term: 'asylum seekers', leaning: 'left', weight: 1 },
+  { term: 'income inequality', leaning: 'left', weight: 2 },
+  { term: 'wealth gap', leaning: 'left', weight: 1 },
+  { term: 'living wage', leaning: 'left', weight: 2 },
+  { term: 'workers rights', leaning: 'left', weight: 1 },
+  { term: 'union busting', leaning: 'left', weight: 2 },
+  { term: 'green new deal', leaning: 'left', weight: 1 },
+  { term: 'voter suppression', leaning: 'left', weight: 2 },
+  { term: 'reproductive rights', leaning: 'left', weight: 2 },
+  { term: 'anti-choice', leaning: 'left', weight: 3 },
+  { term: 'vulnerable communities', leaning: 'left', weight: 2 },
+  { term: 'marginalized', leaning: 'left', weight: 2 },
+  { term: 'corporate greed', leaning: 'left', weight: 3 },
+  { term: 'far-right', leaning: 'left', weight: 2 },
+  { term: 'extremist republicans', leaning: 'left', weight: 3 },
+  { term: 'maga extremists', leaning: 'left', weight: 3 },
+
+  // Right-leaning framing
+  { term: 'right-wing', leaning: 'right', weight: 1 },
+  { term: 'patriot', leaning: 'right', weight: 1 },
+  { term: 'traditional values', leaning: 'right', weight: 2 },
+  { term: 'family values', leaning: 'right', weight: 2 },
+  { term: 'religious freedom', leaning: 'right', weight: 1 },
+  { term: 'tax relief', leaning: 'right', weight: 2 },
+  { term: 'tax cuts', leaning: 'right', weight: 1 },
+  { term: 'deregulation', leaning: 'right', weight: 1 },
+  { term: 'free market', leaning: 'right', weight: 1 },
+  { term: 'job creators', leaning: 'right', weight: 2 },
+  { term: 'fiscal responsibility', leaning: 'right', weight: 2 },
+  { term: 'government overreach', leaning: 'right', weight: 2 },
+  { term: 'second amendment', leaning: 'right', weight: 1 },
+  { term: 'gun rights', leaning: 'right', weight: 1 },
+  { term: 'border security', leaning: 'right', weight: 1 },
+  { term: 'illegal immigration', leaning: 'right', weight: 2 },
+  { term: 'illegal aliens', leaning: 'right', weight: 3 },
+  { term: 'open borders', leaning: 'right', weight: 2 },
+  { term: 'law and order', leaning: 'right', weight: 2 },
+  { term: 'limited government', leaning: 'right', weight: 1 },
+  { term: 'school choice', leaning: 'right', weight: 1 },
+  { term: 'pro-life', leaning: 'right', weight: 2 },
+  { term: 'unborn', leaning: 'right', weight: 2 },
+  { term: 'radical left', leaning: 'right', weight: 3 },
+  { term: 'far-left', leaning: 'right', weight: 2 },
+  { term: 'socialist', leaning: 'right', weight: 2 },
+  { term: 'woke', leaning: 'right', weight: 3 },
+  { term: 'cancel culture', leaning: 'right', weight: 2 },
+  { term: 'mainstream media', leaning: 'right', weight: 2 },
+  { term: 'big government', leaning: 'right', weight: 2 },
+
+  // Balanced-reporting cues
+  { term: 'bipartisan', leaning: 'neutral', weight: 1 },
+  { term: 'nonpartisan', leaning: 'neutral', weight: 1 },
+  { term: 'according to data', leaning: 'neutral', weight: 1 },
+  { term: 'data shows', leaning: 'neutral', weight: 1 },
+  { term: 'research shows', leaning: 'neutral', weight: 1 },
+  { term: 'study finds', leaning: 'neutral', weight: 1 },
+  { term: 'critics say', leaning: 'neutral', weight: 1 },
+  { term: 'supporters say', leaning: 'neutral', weight: 1 },
+  { term: 'officials said', leaning: 'neutral', weight: 1 },
+  { term: 'statistics show', leaning: 'neutral', weight: 1 }
+];
+
+// Words that, shortly before a term, mean the article is not using it in its own voice
+const NEGATIONS = ['not', 'no', 'never', 'without', 'nor', 'neither', 'rejected', 'denied', 'isn\'t', 'wasn\'t', 'aren\'t', 'doesn\'t', 'don\'t'];
+
+module.exports = {
+  LEXICON,
+  NEGATIONS
+};
@@ -0,0 +1,144 @@
+/**
+ * CTN Bias Scale - The one definition of what a 0-100 bias score means
+ * Analyzers, prompts, analytics and the frontend (via GET /api/news/bias-scale)
+ * all read the bands, labels, colors and left/center/right groupings from
+ * here, so a score of 40 is "Liberal" and "left" everywhere.
+ *
+ * Bands: contiguous, inclusive ranges. A score belongs to the first band whose
+ * max it does not exceed, so 40 is Liberal and 40.5 is Neutral/Centrist.
+ * Leanings: the coarser left / center / right grouping used for filters,
+ * source groups and coverage shares; each spans the bands that name it.
+ *
+ * Colors are hex values (solid for scales and bars; background, text and
+ * border for badges) so the frontend can apply them without knowing them
+ * at build time.
+ */
+
+const SCALE_MIN = 0;
+const SCALE_MAX = 100;
+
+const BIAS_BANDS = [
+  {
+    id: 'highly-liberal',
+    label: 'Highly Liberal',
+    shortLabel: 'Liberal',
+    description: 'strong progressive/left-wing perspective',
+    min: 0,
+    max: 20,
+    leaning: 'left',
+    color: { solid: '#3b82f6', background: '#dbeafe', text: '#1e40af', border: '#bfdbfe' }
+  },
+  {
+    id: 'liberal',
+    label: 'Liberal',
+    shortLabel: 'Liberal',
+    description: 'moderate left-leaning perspective',
+    min: 21,
+    max: 40,
+    leaning: 'left',
+    color: { solid: '#06b6d4', background: '#cffafe', text: '#155e75', border: '#a5f3fc' }
+  },
+  {
+    id: 'neutral',
+    label: 'Neutral/Centrist',
+    shortLabel: 'Center',
+    description: 'balanced, minimal bias',
+    min: 41,
+    max: 60,
+    leaning: 'center',
+    color: { solid: '#9ca3af', background: '#f3f4f6', text: '#1f2937', border: '#e5e7eb' }
+  },
+  {
+    id: 'conservative',
+    label: 'Conservative',
+    shortLabel: 'Conservative',
+    description: 'moderate right-leaning perspective',
+    min: 61,
+    max: 80,
+    leaning: 'right',
+    color: { solid: '#f97316', background: '#ffedd5', text: '#9a3412', border: '#fed7aa' }
+  },
+  {
+    id: 'highly-conservative',
+    label: 'Highly Conservative',
+    shortLabel: 'Conservative',
+    description: 'strong conservative/right-wing perspective',
+    min: 81,
+    max: 100,
+    leaning: 'right',
+    color: { solid: '#ef4444', background: '#fee2e2', text: '#991b1b', border: '#fecaca' }
+  }
+];
+
+// Leanings take the color of their outermost band
+const LEANING_DEFINITIONS = [
+  { id: 'left', label: 'Liberal', colorBand: 'highly-liberal' },
+  { id: 'center', label: 'Center', colorBand: 'neutral' },
+  { id: 'right', label: 'Conservative', colorBand: 'highly-conservative' }
+];
+
+// Each leaning covers its bands' range
+const BIAS_LEANINGS = LEANING_DEFINITIONS.map(({ id, label, colorBand }) => {
+  const bands = BIAS_BANDS.filter(band => band.leaning === id);
+  return {
+    id,
+    label,
+    color: BIAS_BANDS.find(band => band.id === colorBand).color,
+    min: bands[0].min,
+    max: bands[bands.length - 1].max,
+    bands: bands.map(band => band.id)
+  };
+});
+
+const BIAS_LABELS = BIAS_BANDS.map(band => band.label);
+
+/**
+ * Band a score falls in
+ * @param {number} biasScore - Score on the 0-100 scale
+ * @returns {Object} Entry of BIAS_BANDS
+ */
+const getBiasBand = (biasScore) => BIAS_BANDS.find(band => biasScore <= band.max) || BIAS_BANDS[BIAS_BANDS.length - 1];
+
+/**
+ * Map a score to its band label
+ * @param {number} biasScore - Score on the 0-100 scale
+ * @returns {string} Highly Liberal, Liberal, Neutral/Centrist, Conservative or Highly Conservative
+ */
+const getBiasLabel = (biasScore) => getBiasBand(biasScore).label;
+
+/**
+ * Map a score to the left / center / right grouping
+ * @param {number} biasScore - Score on the 0-100 scale
+ * @returns {string} left, center or right
+ */
+const getLeaning = (biasScore) => getBiasBand(biasScore).leaning;
+
+/**
+ * The scale as prompt text, one band per line
+ * @returns {string} Lines such as "- 0-20: Highly Liberal (strong progressive/left-wing perspective)"
+ */
+const describeBiasScale = () => BIAS_BANDS
+  .map(band => `- ${band.min}-${band.max}: ${band.label} (${band.description})`)
+  .join('\n');
+
+/**
+ * The full definition, as served to the frontend
+ * @returns {Object} Scale range, bands and leanings
+ */
+const getBiasScale = () => ({
+  min: SCALE_MIN,
+  max: SCALE_MAX,
+  bands: BIAS_BANDS,
+  leanings: BIAS_LEANINGS
+});
+
+module.exports = {
+  BIAS_BANDS,
+  BIAS_LEANINGS,
+  BIAS_LABELS,
+  getBiasBand,
+  getBiasLabel,
+  getLeaning,
+  describeBiasScale,
+  getBiasScale
+};
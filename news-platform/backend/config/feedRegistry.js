@@ -0,0 +1,55 @@
+/**
+ * CTN Feed Registry - RSS/Atom feeds for registered outlets
+ * Used by the RSS retrieval provider. Every domain here must also be in
+ * config/sourceRegistry.js so feed articles get the outlet's rating and category.
+ * Outlets without a public feed (e.g. Reuters, AP) are simply absent.
+ */
+
+const FEED_REGISTRY = [
+  // Category A
+  { domain: 'huffpost.com', url: 'https://www.huffpost.com/section/front-page/feed' },
+  { domain: 'salon.com', url: 'https://www.salon.com/feed/' },
+  { domain: 'vox.com', url: 'https://www.vox.com/rss/index.xml' },
+  { domain: 'motherjones.com', url: 'https://www.motherjones.com/feed/' },
+  { domain: 'slate.com', url: 'https://slate.com/feeds/all.rss' },
+  { domain: 'cnn.com', url: 'http://rss.cnn.com/rss/cnn_topstories.rss' },
+  { domain: 'thenation.com', url: 'https://www.thenation.com/feed/?post_type=article' },
+
+  // Category B
+  { domain: 'npr.org', url: 'https://feeds.npr.org/1001/rss.xml' },
+  { domain: 'bbc.com', url: 'https://feeds.bbci.co.uk/news/rss.xml' },
+  { domain: 'abcnews.go.com', url: 'https://abcnews.go.com/abcnews/topstories' },
+  { domain: 'cbsnews.com', url: 'https://www.cbsnews.com/latest/rss/main' },
+  { domain: 'nbcnews.com', url: 'https://feeds.nbcnews.com/nbcnews/public/news' },
+  { domain: 'pbs.org', url: 'https://www.pbs.org/newshour/feeds/rss/headlines' },
+
+  // Category C
+  { domain: 'foxnews.com', url: 'https://moxie.foxnews.com/google-publisher/latest.xml' },
+  { domain: 'wsj.com', url: 'https://feeds.a.dj.com/rss/RSSWorldNews.xml' },
+  { domain: 'nypost.com', url: 'https://nypost.com/feed/' },
+  { domain: 'dailywire.com', url: 'https://www.dailywire.com/feeds/rss.xml' },
+  { domain: 'nationalreview.com', url: 'https://www.nationalreview.com/feed/' },
+  { domain: 'breitbart.com', url: 'https://feeds.feedburner.com/breitbart' },
+
+  // Additional coverage
+  { domain: 'theguardian.com', url: 'https://www.theguardian.com/world/rss' },
+  { domain: 'nytimes.com', url: 'https://rss.nytimes.com/services/xml/rss/nyt/HomePage.xml' },
+  { domain: 'washingtonpost.com', url: 'https://feeds.washingtonpost.com/rss/national' },
+  { domain: 'politico.com', url: 'https://rss.politico.com/politics-news.xml' },
+  { domain: 'theatlantic.com', url: 'https://www.theatlantic.com/feed/all/' }
+];
+
+/**
+ * Feeds for a set of domains
+ * @param {Array<string>} domains - Registered domains
+ * @returns {Array<{ domain: string, url: string }>} Matching feeds
+ */
+const getFeedsForDomains = (domains = []) => {
+  const wanted = new Set(domains);
+  return FEED_REGISTRY.filter(feed => wanted.has(feed.domain));
+};
+
+module.exports = {
+  FEED_REGISTRY,
+  getFeedsForDomains
+};
@@ -0,0 +1,80 @@
+/**
+ * CTN LLM Configuration - Which provider and model runs each analysis task
+ *
+ * Tasks:
+ * - bias: primary article bias analysis
+ * - sourceRating: source reputation rating and the in-context article assessment
+ * - summary: neutral article summary
+ * - comparison: side-by-side framing comparison of several articles on one story
+ *
+ * Environment (all optional):
+ * - CTN_LLM_PROVIDER: default provider for every task (anthropic, openai, mock, replay; default anthropic)
+ * - CTN_<TASK>_PROVIDER: per-task override, e.g. CTN_SUMMARY_PROVIDER=openai
+ * - CTN_<TASK>_MODEL: per-task model, otherwise the provider's default model
+ * - CTN_ANTHROPIC_MODEL / CTN_OPENAI_MODEL: provider default models
+ * - CTN_LLM_RECORDINGS: JSONL file of recorded completions served by the replay provider
+ * - CTN_LLM_RECORD: set to true to append every anthropic/openai completion to CTN_LLM_RECORDINGS
+ */
+
+const PROVIDERS = ['anthropic', 'openai', 'mock', 'replay'];
+
+const DEFAULT_MODELS = {
+  anthropic: process.env.CTN_ANTHROPIC_MODEL || 'claude-3-haiku-20240307',
+  openai: process.env.CTN_OPENAI_MODEL || 'gpt-4o-mini',
+  mock: 'ctn-mock-1',
+  replay: 'ctn-replay'
+};
+
+// Generation settings per task; the prompts themselves are versioned files (services/promptRegistry.js)
+const TASK_SETTINGS = {
+  bias: { envPrefix: 'CTN_BIAS', maxTokens: 500, temperature: 0.1 },
+  sourceRating: { envPrefix: 'CTN_SOURCE_RATING', maxTokens: 600, temperature: 0.1 },
+  summary: { envPrefix: 'CTN_SUMMARY', maxTokens: 300, temperature: 0.2 },
+  comparison: { envPrefix: 'CTN_COMPARISON', maxTokens: 1500, temperature: 0.2 }
+};
+
+const TASKS = Object.keys(TASK_SETTINGS);
+
+const resolveProvider = (value, fallback) => {
+  if (!value) return fallback;
+  const provider = value.toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    console.warn(`⚠️ CTN unknown LLM provider "${value}", using ${fallback}`);
+    return fallback;
+  }
+  return provider;
+};
+
+const defaultProvider = resolveProvider(process.env.CTN_LLM_PROVIDER, 'anthropic');
+
+const TASK_CONFIG = Object.fromEntries(TASKS.map(task => {
+  const { envPrefix, maxTokens, temperature } = TASK_SETTINGS[task];
+  const provider = resolveProvider(process.env[`${envPrefix}_PROVIDER`], defaultProvider);
+
+  return [task, {
+    provider,
+    model: process.env[`${envPrefix}_MODEL`] || DEFAULT_MODELS[provider],
+    maxTokens,
+    temperature
+  }];
+}));
+
+/**
+ * Look up the provider, model and generation settings for a task
+ * @param {string} task - One of TASKS
+ * @returns {{ provider: string, model: string, maxTokens: number, temperature: number }} Task configuration
+ */
+const getTaskConfig = (task) => {
+  const config = TASK_CONFIG[task];
+  if (!config) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+  return config;
+};
+
+module.exports = {
+  PROVIDERS,
+  TASKS,
+  DEFAULT_MODELS,
+  getTaskConfig
+};
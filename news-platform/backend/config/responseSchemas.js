@@ -0,0 +1,311 @@
+/**
+ * CTN Response Schemas - Validation for the JSON the analysis prompts ask for
+ * Model output is extracted from surrounding prose and code fences, lightly
+ * repaired (trailing commas, curly quotes), then every field is checked and
+ * coerced against the schema for its response type. Problems come back as
+ * structured errors ({ field, message, received }) rather than being papered
+ * over with defaults; errors mean the response is unusable, warnings mean a
+ * value was coerced or dropped.
+ *
+ * Response types: bias, sourceRating, contentAdjustment, summary.
+ */
+
+const biasScale = require('./biasScale');
+
+const { BIAS_LABELS } = biasScale;
+const [HIGHLY_LIBERAL, LIBERAL, NEUTRAL, CONSERVATIVE, HIGHLY_CONSERVATIVE] = BIAS_LABELS;
+
+const RELIABILITY_LEVELS = ['High', 'Medium', 'Low'];
+
+const MAX_RECEIVED_LENGTH = 80;
+
+/**
+ * Map a free-form lean description ("Center-Left", "far right", "Lean Left") onto the five labels
+ * @param {string} label - Label from a model response
+ * @returns {string|null} One of BIAS_LABELS, or null if the label does not describe a lean
+ */
+const normalizeBiasLabel = (label) => {
+  if (typeof label !== 'string') return null;
+  if (BIAS_LABELS.includes(label)) return label;
+
+  const text = label.toLowerCase().replace(/[_/-]+/g, ' ');
+  const strong = /\b(highly|very|strongly|far|extreme|extremely|hard|radical)\b/.test(text);
+  const left = /\b(left|liberal|progressive)\b/.test(text);
+  const right = /\b(right|conservative)\b/.test(text);
+
+  if (left && !right) return strong ? HIGHLY_LIBERAL : LIBERAL;
+  if (right && !left) return strong ? HIGHLY_CONSERVATIVE : CONSERVATIVE;
+  if (/\b(neutral|center|centre|centrist|balanced|unbiased|least biased|moderate)\b/.test(text)) return NEUTRAL;
+  return null;
+};
+
+const describeReceived = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text === undefined ? 'undefined' : text.slice(0, MAX_RECEIVED_LENGTH);
+};
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  // Tolerate "45", "45/100" and "45%"
+  if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*(\/\s*100|%)?\s*$/.test(value)) return parseFloat(value);
+  return NaN;
+};
+
+// Each coerce returns { value } when usable, adding `warning` when it had to change or drop something, or { error }
+const FIELD_TYPES = {
+  score: {
+    describe: 'integer from 0 to 100',
+    coerce: (value) => {
+      const number = parseNumber(value);
+      if (Number.isNaN(number)) return { error: 'must be a number from 0 to 100' };
+      if (number < 0 || number > 100) return { error: 'must be between 0 and 100' };
+      return { value: Math.round(number), warning: typeof value === 'number' ? null : 'converted to a number' };
+    }
+  },
+  probability: {
+    describe: 'number from 0 to 1',
+    coerce: (value) => {
+      const number = parseNumber(value);
+      if (Number.isNaN(number)) return { error: 'must be a number from 0 to 1' };
+      // Only an explicit "85%" or "85/100" is a percentage; a bare 1.5 or 85 overshoots the scale
+      if (typeof value === 'string' && /(%|\/\s*100)\s*$/.test(value) && number >= 0 && number <= 100) {
+        return { value: number / 100, warning: 'read as a percentage' };
+      }
+      if (number > 1 && number <= 100) return { value: 1, warning: 'clamped to 1' };
+      if (number < 0 || number > 1) return { error: 'must be between 0 and 1' };
+      return { value: number, warning: typeof value === 'number' ? null : 'converted to a number' };
+    }
+  },
+  integer: {
+    describe: 'non-negative integer',
+    coerce: (value) => {
+      const number = parseNumber(value);
+      if (Number.isNaN(number) || number < 0) return { error: 'must be a non-negative integer' };
+      return { value: Math.round(number), warning: typeof value === 'number' ? null : 'converted to a number' };
+    }
+  },
+  biasLabel: {
+    describe: `one of ${BIAS_LABELS.join(', ')}`,
+    coerce: (value) => {
+      const label = normalizeBiasLabel(value);
+      if (!label) return { value: null, warning: 'not a recognizable lean; dropped' };
+      return { value: label, warning: label === value ? null : `normalized to ${label}` };
+    }
+  },
+  reliability: {
+    describe: RELIABILITY_LEVELS.join(', '),
+    coerce: (value) => {
+      const level = typeof value === 'string' && RELIABILITY_LEVELS.find(candidate => value.toLowerCase().startsWith(candidate.toLowerCase()));
+      if (!level) return { value: null, warning: `not one of ${RELIABILITY_LEVELS.join(', ')}; dropped` };
+      return { value: level, warning: level === value ? null : `normalized to ${level}` };
+    }
+  },
+  string: {
+    describe: 'string',
+    coerce: (value) => {
+      if (typeof value === 'string') return value.trim() ? { value: value.trim() } : { error: 'must not be empty' };
+      if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value), warning: 'converted to a string' };
+      return { error: 'must be a string' };
+    }
+  },
+  stringList: {
+    describe: 'array of strings',
+    coerce: (value) => {
+      if (typeof value === 'string') return { value: [value.trim()].filter(Boolean), warning: 'wrapped in an array' };
+      if (!Array.isArray(value)) return { error: 'must be an array of strings' };
+      const strings = value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+      return { value: strings, warning: strings.length < value.length ? `dropped ${value.length - strings.length} non-string item(s)` : null };
+    }
+  },
+  list: {
+    describe: 'array',
+    coerce: (value) => (Array.isArray(value) ? { value } : { value: [], warning: 'not an array; dropped' })
+  },
+  object: {
+    describe: 'object',
+    coerce: (value) => (value && typeof value === 'object' && !Array.isArray(value) ? { value } : { value: {}, warning: 'not an object; dropped' })
+  }
+};
+
+const RESPONSE_SCHEMAS = {
+  bias: {
+    biasScore: { type: 'score', required: true },
+    biasLabel: { type: 'biasLabel' },
+    confidence: { type: 'probability' },
+    reasoning: { type: 'string' },
+    keyIndicators: { type: 'stringList' },
+    dimensions: { type: 'object' },
+    evidence: { type: 'list' }
+  },
+  sourceRating: {
+    biasScore: { type: 'score', required: true },
+    biasLabel: { type: 'biasLabel' },
+    confidence: { type: 'probability' },
+    reasoning: { type: 'string' },
+    keyIndicators: { type: 'stringList' },
+    sourceReliability: { type: 'reliability' },
+    lastUpdated: { type: 'string' }
+  },
+  contentAdjustment: {
+    finalBiasScore: { type: 'score', required: true },
+    finalBiasLabel: { type: 'biasLabel' },
+    confidence: { type: 'probability' },
+    reasoning: { type: 'string' },
+    keyIndicators: { type: 'stringList' },
+    dimensions: { type: 'object' },
+    evidence: { type: 'list' }
+  },
+  summary: {
+    summary: { type: 'string', required: true },
+    keyPoints: { type: 'stringList' },
+    wordCount: { type: 'integer' }
+  }
+};
+
+// Index of the brace that closes the object opening at `start`, skipping braces inside strings
+const findObjectEnd = (text, start) => {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+};
+
+const tryParse = (text) => {
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+/**
+ * Pull the JSON object out of a model response
+ * Accepts bare JSON, JSON in a code fence, or JSON surrounded by prose, and
+ * repairs trailing commas and curly quotes around keys and values.
+ * @param {string} text - Raw completion text
+ * @returns {{ value: Object, repairs: Array<string> } | { error: string }} Parsed object and what was repaired, or why parsing failed
+ */
+const extractJson = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'Response was empty' };
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = (fenced ? fenced[1] : text).replace(/^\uFEFF/, '').trim();
+  const repairs = fenced ? ['removed code fence'] : [];
+
+  const start = body.indexOf('{');
+  if (start === -1) return { error: 'Response contained no JSON object' };
+  const end = findObjectEnd(body, start);
+  const candidate = end === -1 ? body.slice(start) : body.slice(start, end + 1);
+  if (start > 0 || (end !== -1 && end < body.length - 1)) repairs.push('removed text around the JSON object');
+
+  const parsed = tryParse(candidate);
+  if (parsed.value !== undefined) return { value: parsed.value, repairs };
+
+  const cleaned = candidate
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1');
+  const reparsed = tryParse(cleaned);
+  if (reparsed.value !== undefined) return { value: reparsed.value, repairs: [...repairs, 'fixed trailing commas or curly quotes'] };
+
+  return { error: `Response was not valid JSON (${parsed.error})` };
+};
+
+/**
+ * Validate and coerce a completion against a response schema
+ * @param {string} type - Key of RESPONSE_SCHEMAS
+ * @param {string} text - Raw completion text
+ * @returns {{ value: Object|null, errors: Array<Object>, warnings: Array<Object> }} Coerced object (null when the JSON could not be parsed) and issues found
+ */
+const validateResponse = (type, text) => {
+  const schema = RESPONSE_SCHEMAS[type];
+  if (!schema) throw new Error(`Unknown response schema: ${type}`);
+
+  const extracted = extractJson(text);
+  if (extracted.error) {
+    return { value: null, errors: [{ field: null, message: extracted.error, received: describeReceived(text) }], warnings: [] };
+  }
+  if (!extracted.value || typeof extracted.value !== 'object' || Array.isArray(extracted.value)) {
+    return { value: null, errors: [{ field: null, message: 'Response must be a JSON object', received: describeReceived(extracted.value) }], warnings: [] };
+  }
+
+  const raw = extracted.value;
+  const value = {};
+  const errors = [];
+  const warnings = extracted.repairs.map(message => ({ field: null, message }));
+
+  Object.entries(schema).forEach(([field, { type: fieldType, required }]) => {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === '') {
+      if (required) errors.push({ field, message: 'is required', received: describeReceived(raw[field]) });
+      return;
+    }
+
+    const result = FIELD_TYPES[fieldType].coerce(raw[field]);
+    if (result.error) {
+      // Optional fields that cannot be used are dropped rather than failing the response
+      (required ? errors : warnings).push({ field, message: result.error, received: describeReceived(raw[field]) });
+      return;
+    }
+    if (result.warning) warnings.push({ field, message: result.warning, received: describeReceived(raw[field]) });
+    if (result.value !== null) value[field] = result.value;
+  });
+
+  return { value, errors, warnings };
+};
+
+/**
+ * Choose the label for a score, noting when the model's own label disagreed with it
+ * @param {number} score - Validated 0-100 score
+ * @param {string} modelLabel - Normalized label from the response, if any
+ * @returns {{ label: string, warning: Object|null }} Label derived from the score
+ */
+const resolveBiasLabel = (score, modelLabel) => {
+  const label = biasScale.getBiasLabel(score);
+  return {
+    label,
+    warning: modelLabel && modelLabel !== label
+      ? { field: 'biasLabel', message: `label ${modelLabel} disagrees with score ${score}; using ${label}`, received: modelLabel }
+      : null
+  };
+};
+
+/**
+ * Field list for a schema, as shown to the model when asking it to repair a response
+ * @param {string} type - Key of RESPONSE_SCHEMAS
+ * @returns {string} One line per field
+ */
+const describeSchema = (type) => Object.entries(RESPONSE_SCHEMAS[type])
+  .map(([field, { type: fieldType, required }]) => `- ${field}${required ? ' (required)' : ''}: ${FIELD_TYPES[fieldType].describe}`)
+  .join('\n');
+
+/**
+ * One-line description of validation errors for logs and error messages
+ * @param {Array<Object>} errors - Validation errors
+ * @returns {string} Errors joined with semicolons
+ */
+const formatErrors = (errors) => errors
+  .map(({ field, message }) => (field ? `${field} ${message}` : message))
+  .join('; ');
+
+module.exports = {
+  RESPONSE_SCHEMAS,
+  normalizeBiasLabel,
+  extractJson,
+  validateResponse,
+  resolveBiasLabel,
+  describeSchema,
+  formatErrors
+};
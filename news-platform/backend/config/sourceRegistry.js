@@ -0,0 +1,162 @@
+/**
+ * CTN Source Registry - Single list of known news outlets
+ * Drives which domains the news retrieval system searches (and in which
+ * category) and the source-based modifiers used by the keyword bias tier.
+ *
+ * Fields:
+ * - domain: registrable domain used for Exa includeDomains
+ * - name: display name
+ * - biasScore: baseline bias on the 0-100 scale (0 = Highly Liberal, 100 = Highly Conservative)
+ * - reliability: High / Medium / Low
+ * - lastRated: date the baseline rating was last reviewed
+ * - searchCategory: categoryA / categoryB / categoryC for the balanced category
+ *   searches, 'mixed' for the additional-coverage search only, null for rating only
+ * - aliases: lowercase fragments that identify the outlet in a free-text source name
+ */
+
+const SOURCE_REGISTRY = [
+  // Category A
+  { domain: 'huffpost.com', name: 'HuffPost', biasScore: 22, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['huffpost', 'huffington'] },
+  { domain: 'salon.com', name: 'Salon', biasScore: 18, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['salon'] },
+  { domain: 'vox.com', name: 'Vox', biasScore: 25, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['vox'] },
+  { domain: 'motherjones.com', name: 'Mother Jones', biasScore: 18, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['motherjones'] },
+  { domain: 'thedailybeast.com', name: 'The Daily Beast', biasScore: 25, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['thedailybeast', 'dailybeast'] },
+  { domain: 'slate.com', name: 'Slate', biasScore: 22, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['slate'] },
+  { domain: 'msnbc.com', name: 'MSNBC', biasScore: 20, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['msnbc'] },
+  { domain: 'cnn.com', name: 'CNN', biasScore: 33, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['cnn'] },
+  { domain: 'thenation.com', name: 'The Nation', biasScore: 15, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['thenation'] },
+  { domain: 'jacobinmag.com', name: 'Jacobin', biasScore: 10, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryA', aliases: ['jacobin'] },
+
+  // Category B
+  { domain: 'npr.org', name: 'NPR', biasScore: 42, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryB', aliases: ['npr'] },
+  { domain: 'reuters.com', name: 'Reuters', biasScore: 50, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryB', aliases: ['reuters'] },
+  { domain: 'bbc.com', name: 'BBC News', biasScore: 48, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryB', aliases: ['bbc'] },
+  { domain: 'apnews.com', name: 'Associated Press', biasScore: 47, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryB', aliases: ['apnews'] },
+  { domain: 'abcnews.go.com', name: 'ABC News', biasScore: 42, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryB', aliases: ['abcnews'] },
+  { domain: 'cbsnews.com', name: 'CBS News', biasScore: 43, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryB', aliases: ['cbsnews'] },
+  { domain: 'nbcnews.com', name: 'NBC News', biasScore: 41, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryB', aliases: ['nbcnews'] },
+  { domain: 'pbs.org', name: 'PBS NewsHour', biasScore: 45, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryB', aliases: ['pbs'] },
+
+  // Category C
+  { domain: 'foxnews.com', name: 'Fox News', biasScore: 75, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryC', aliases: ['foxnews', 'fox'] },
+  { domain: 'wsj.com', name: 'The Wall Street Journal', biasScore: 60, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'categoryC', aliases: ['wsj'] },
+  { domain: 'nypost.com', name: 'New York Post', biasScore: 72, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryC', aliases: ['nypost'] },
+  { domain: 'dailywire.com', name: 'The Daily Wire', biasScore: 82, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryC', aliases: ['dailywire'] },
+  { domain: 'nationalreview.com', name: 'National Review', biasScore: 78, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: 'categoryC', aliases: ['nationalreview'] },
+  { domain: 'theblaze.com', name: 'TheBlaze', biasScore: 85, reliability: 'Low', lastRated: '2024-09-01', searchCategory: 'categoryC', aliases: ['theblaze'] },
+  { domain: 'breitbart.com', name: 'Breitbart', biasScore: 90, reliability: 'Low', lastRated: '2024-09-01', searchCategory: 'categoryC', aliases: ['breitbart'] },
+  { domain: 'townhall.com', name: 'Townhall', biasScore: 85, reliability: 'Low', lastRated: '2024-09-01', searchCategory: 'categoryC', aliases: ['townhall'] },
+
+  // Additional coverage (mixed search only)
+  { domain: 'theguardian.com', name: 'The Guardian', biasScore: 30, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'mixed', aliases: ['theguardian', 'guardian'] },
+  { domain: 'washingtonpost.com', name: 'The Washington Post', biasScore: 35, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'mixed', aliases: ['washingtonpost'] },
+  { domain: 'nytimes.com', name: 'The New York Times', biasScore: 35, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'mixed', aliases: ['nytimes'] },
+  { domain: 'politico.com', name: 'Politico', biasScore: 42, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'mixed', aliases: ['politico'] },
+  { domain: 'theatlantic.com', name: 'The Atlantic', biasScore: 32, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'mixed', aliases: ['theatlantic'] },
+  { domain: 'usatoday.com', name: 'USA Today', biasScore: 43, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'mixed', aliases: ['usatoday'] },
+  { domain: 'bloomberg.com', name: 'Bloomberg', biasScore: 45, reliability: 'High', lastRated: '2024-09-01', searchCategory: 'mixed', aliases: ['bloomberg'] },
+
+  // Rated only (recognized when analyzing, not searched)
+  { domain: 'dailykos.com', name: 'Daily Kos', biasScore: 12, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['dailykos'] },
+  { domain: 'commondreams.org', name: 'Common Dreams', biasScore: 12, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['commondreams'] },
+  { domain: 'thinkprogress.org', name: 'ThinkProgress', biasScore: 15, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['thinkprogress'] },
+  { domain: 'mediamatters.org', name: 'Media Matters', biasScore: 15, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: null, aliases: ['mediamatters'] },
+  { domain: 'rawstory.com', name: 'Raw Story', biasScore: 15, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['rawstory'] },
+  { domain: 'alternet.org', name: 'AlterNet', biasScore: 12, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['alternet'] },
+  { domain: 'truthout.org', name: 'Truthout', biasScore: 12, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['truthout'] },
+  { domain: 'democracynow.org', name: 'Democracy Now!', biasScore: 15, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: null, aliases: ['democracynow'] },
+  { domain: 'dailycaller.com', name: 'The Daily Caller', biasScore: 82, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['dailycaller'] },
+  { domain: 'redstate.com', name: 'RedState', biasScore: 88, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['redstate'] },
+  { domain: 'washingtonexaminer.com', name: 'Washington Examiner', biasScore: 75, reliability: 'Medium', lastRated: '2024-09-01', searchCategory: null, aliases: ['washingtonexaminer'] },
+  { domain: 'americanthinker.com', name: 'American Thinker', biasScore: 90, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['americanthinker'] },
+  { domain: 'powerlineblog.com', name: 'Power Line', biasScore: 85, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['powerline'] },
+  { domain: 'hotair.com', name: 'Hot Air', biasScore: 85, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['hotair'] },
+  { domain: 'pjmedia.com', name: 'PJ Media', biasScore: 88, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['pjmedia'] },
+  { domain: 'oann.com', name: 'One America News', biasScore: 92, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['oann'] },
+  { domain: 'newsmax.com', name: 'Newsmax', biasScore: 88, reliability: 'Low', lastRated: '2024-09-01', searchCategory: null, aliases: ['newsmax'] }
+];
+
+const SEARCH_CATEGORIES = ['categoryA', 'categoryB', 'categoryC'];
+
+/**
+ * Normalize a URL or hostname to a bare lowercase hostname
+ * @param {string} urlOrHost - Full URL or hostname
+ * @returns {string} Hostname without www.
+ */
+const normalizeHost = (urlOrHost = '') => {
+  const value = String(urlOrHost).trim().toLowerCase();
+  try {
+    return new URL(value.includes('://') ? value : `https://${value}`).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return value.replace(/^www\./, '');
+  }
+};
+
+/**
+ * Find the registry entry for a URL or domain, including subdomains
+ * @param {string} urlOrHost - Full URL or hostname
+ * @returns {Object|null} Registry entry
+ */
+const getSourceByDomain = (urlOrHost) => {
+  const host = normalizeHost(urlOrHost);
+  if (!host) return null;
+  return SOURCE_REGISTRY.find(source => host === source.domain || host.endsWith(`.${source.domain}`)) || null;
+};
+
+/**
+ * Find the registry entry for a free-text source name such as "foxnews" or "The Guardian"
+ * @param {string} sourceName - Source name as shown on an article
+ * @returns {Object|null} Registry entry
+ */
+const findSourceByName = (sourceName = '') => {
+  const normalized = String(sourceName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  if (!normalized) return null;
+
+  return getSourceByDomain(normalized) ||
+    SOURCE_REGISTRY.find(source => source.aliases.some(alias => normalized.includes(alias))) ||
+    null;
+};
+
+/**
+ * Resolve user input ("CNN", "www.reuters.com", "https://apnews.com/x") to a domain
+ * Registered outlets resolve by domain or alias; other well-formed domains pass through.
+ * @param {string} value - Source name, domain or URL
+ * @returns {string|null} Normalized domain, or null if it cannot be a domain
+ */
+const resolveSourceDomain = (value = '') => {
+  const registered = getSourceByDomain(value) || findSourceByName(value);
+  if (registered) return registered.domain;
+
+  const host = normalizeHost(value);
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+};
+
+/**
+ * Domains for each balanced category search
+ * @returns {Object} { categoryA: [...], categoryB: [...], categoryC: [...] }
+ */
+const getCategoryDomains = () => Object.fromEntries(
+  SEARCH_CATEGORIES.map(category => [
+    category,
+    SOURCE_REGISTRY.filter(source => source.searchCategory === category).map(source => source.domain)
+  ])
+);
+
+/**
+ * Every domain the news retrieval system searches
+ * @returns {Array<string>} Domains
+ */
+const getSearchableDomains = () => SOURCE_REGISTRY
+  .filter(source => source.searchCategory)
+  .map(source => source.domain);
+
+module.exports = {
+  SOURCE_REGISTRY,
+  SEARCH_CATEGORIES,
+  normalizeHost,
+  getSourceByDomain,
+  findSourceByName,
+  resolveSourceDomain,
+  getCategoryDomains,
+  getSearchableDomains
+};
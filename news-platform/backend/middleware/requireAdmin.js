@@ -0,0 +1,43 @@
+/**
+ * CTN Admin Guard - Protects operator endpoints (cache admin, feed crawls)
+ * Requests must send the configured token in the X-Admin-Token header. When
+ * no token is configured the endpoints are disabled rather than left open.
+ *
+ * Configuration (environment):
+ * - ADMIN_TOKEN: shared secret for admin endpoints
+ */
+
+const crypto = require('crypto');
+
+const ADMIN_TOKEN_HEADER = 'x-admin-token';
+
+/**
+ * Constant-time comparison of two strings
+ * @param {string} provided - Token sent by the client
+ * @param {string} expected - Configured token
+ * @returns {boolean} True when they match
+ */
+const tokensMatch = (provided, expected) => {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Express middleware allowing only requests with the admin token
+ */
+const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin endpoints are disabled; set ADMIN_TOKEN to enable them' });
+  }
+
+  const provided = req.get(ADMIN_TOKEN_HEADER);
+  if (typeof provided !== 'string' || !tokensMatch(provided, expected)) {
+    return res.status(401).json({ error: 'A valid X-Admin-Token header is required' });
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,397 @@
+const express = require('express');
+const aiService = require('../services/aiService');
+const requestQueue = require('../services/requestQueue');
+const analysisCache = require('../services/analysisCache');
+const promptRegistry = require('../services/promptRegistry');
+const requireAdmin = require('../middleware/requireAdmin');
+
+const router = express.Router();
+
+// Request limits for direct analysis calls
+const MAX_CONTENT_LENGTH = 50000;
+const MAX_TITLE_LENGTH = 500;
+const MAX_BATCH_SIZE = 10;
+const MAX_CACHE_PAGE_SIZE = 200;
+const MAX_WARM_QUERY_RESULTS = 20;
+
+/**
+ * Validate an article-like request body
+ * @param {Object} body - Request body
+ * @param {Object} options - Which fields are required
+ * @returns {string|null} Error message, or null when the body is valid
+ */
+const validateArticleInput = (body, { requireTitle = true } = {}) => {
+  if (!body || typeof body !== 'object') {
+    return 'Request body must be a JSON object';
+  }
+
+  const { content, title, source } = body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return 'content is required and must be a non-empty string';
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return `content cannot exceed ${MAX_CONTENT_LENGTH} characters`;
+  }
+  if (requireTitle && (typeof title !== 'string' || !title.trim())) {
+    return 'title is required and must be a non-empty string';
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+    return `title must be a string of at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (source !== undefined && typeof source !== 'string') {
+    return 'source must be a string';
+  }
+
+  return null;
+};
+
+/**
+ * POST /api/ai/bias-analysis
+ * Run the CTN political bias pipeline on a single piece of text
+ */
+router.post('/bias-analysis', async (req, res) => {
+  try {
+    const validationError = validateArticleInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { content, title, source = 'Unknown Source' } = req.body;
+    const biasAnalysis = await aiService.ctnAnalyzePoliticalBias(content, title, source);
+
+    res.json({
+      ...biasAnalysis,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in bias analysis:', error);
+    res.status(500).json({
+      error: 'Failed to analyze bias',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/summarize
+ * Generate a neutral summary for a single piece of text
+ */
+router.post('/summarize', async (req, res) => {
+  try {
+    const validationError = validateArticleInput(req.body, { requireTitle: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { content, title = '' } = req.body;
+    const summary = await aiService.ctnGenerateNeutralSummary(content, title);
+
+    res.json({
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in summary generation:', error);
+    res.status(500).json({
+      error: 'Failed to generate summary',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/process-article
+ * Run the complete bias + summary pipeline on one article
+ */
+router.post('/process-article', async (req, res) => {
+  try {
+    const validationError = validateArticleInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const article = {
+      ...req.body,
+      source: req.body.source || 'Unknown Source'
+    };
+    const processedArticle = await aiService.ctnProcessCompleteArticle(article);
+
+    res.json(processedArticle);
+
+  } catch (error) {
+    console.error('Error in article processing:', error);
+    res.status(500).json({
+      error: 'Failed to process article',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/batch-process
+ * Run the complete pipeline on several articles, reporting failures per article
+ */
+router.post('/batch-process', async (req, res) => {
+  try {
+    const { articles } = req.body || {};
+
+    if (!Array.isArray(articles) || articles.length === 0) {
+      return res.status(400).json({ error: 'articles must be a non-empty array' });
+    }
+    if (articles.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `Batch size cannot exceed ${MAX_BATCH_SIZE} articles` });
+    }
+
+    for (let i = 0; i < articles.length; i++) {
+      const validationError = validateArticleInput(articles[i]);
+      if (validationError) {
+        return res.status(400).json({ error: `articles[${i}]: ${validationError}` });
+      }
+    }
+
+    const settled = await Promise.allSettled(
+      articles.map(article => aiService.ctnProcessCompleteArticle({
+        ...article,
+        source: article.source || 'Unknown Source'
+      }))
+    );
+
+    const results = settled.map((outcome, index) => (
+      outcome.status === 'fulfilled'
+        ? { index, success: true, article: outcome.value }
+        : { index, success: false, error: outcome.reason?.message || 'Processing failed' }
+    ));
+
+    res.json({
+      results,
+      total: results.length,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in batch processing:', error);
+    res.status(500).json({
+      error: 'Failed to process articles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/capabilities
+ * Report which analysis tiers are available with the current configuration
+ */
+router.get('/capabilities', (req, res) => {
+  res.json({
+    ...aiService.ctnGetCapabilities(),
+    queue: requestQueue.ctnGetStats(),
+    limits: {
+      maxContentLength: MAX_CONTENT_LENGTH,
+      maxTitleLength: MAX_TITLE_LENGTH,
+      maxBatchSize: MAX_BATCH_SIZE
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/ai/queue
+ * Model request queue depth, retry counters and recent wait times
+ */
+router.get('/queue', (req, res) => {
+  res.json({
+    ...requestQueue.ctnGetStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/ai/prompts
+ * Registered prompt templates and versions, marking the ones in use
+ */
+router.get('/prompts', (req, res) => {
+  try {
+    res.json({
+      prompts: promptRegistry.ctnList(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    res.status(500).json({
+      error: 'Failed to list prompts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/cache
+ * Analysis cache size, per-type hit counts and TTL policy
+ */
+router.get('/cache', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      ...(await analysisCache.ctnGetStats()),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error reading analysis cache stats:', error);
+    res.status(500).json({
+      error: 'Failed to read analysis cache',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/cache/entries
+ * Page through cached analyses (without their values), newest first
+ * Query: type (optional), limit (1-200, default 50), offset (default 0)
+ */
+router.get('/cache/entries', requireAdmin, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+    const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+
+    if (type !== undefined && !analysisCache.artifactTypes.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${analysisCache.artifactTypes.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CACHE_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_CACHE_PAGE_SIZE}` });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    const { entries, total } = await analysisCache.ctnList({ type, limit, offset });
+
+    res.json({
+      entries,
+      total,
+      limit,
+      offset,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error listing analysis cache:', error);
+    res.status(500).json({
+      error: 'Failed to list analysis cache',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/ai/cache
+ * Purge cached analyses. A scope is required: type, key, stale=true (only
+ * expired entries and ones from an old provider, model or prompt version),
+ * or all=true to remove everything
+ */
+router.delete('/cache', requireAdmin, async (req, res) => {
+  try {
+    const { type, key, stale, all } = req.query;
+
+    if (all !== undefined && all !== 'true') {
+      return res.status(400).json({ error: 'all must be true when given' });
+    }
+    if (type === undefined && key === undefined && stale !== 'true' && all !== 'true') {
+      return res.status(400).json({ error: 'Specify type, key, stale=true or all=true' });
+    }
+    if (all === 'true' && (type !== undefined || key !== undefined || stale !== undefined)) {
+      return res.status(400).json({ error: 'all=true cannot be combined with other filters' });
+    }
+
+    if (type !== undefined && !analysisCache.artifactTypes.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${analysisCache.artifactTypes.join(', ')}` });
+    }
+    if (key !== undefined && (typeof key !== 'string' || !key.trim())) {
+      return res.status(400).json({ error: 'key must be a non-empty string' });
+    }
+    if (stale !== undefined && !['true', 'false'].includes(stale)) {
+      return res.status(400).json({ error: 'stale must be true or false' });
+    }
+
+    const removed = await analysisCache.ctnPurge({ type, key, staleOnly: stale === 'true' });
+    console.log(`🧹 Purged ${removed} analysis cache entries`);
+
+    res.json({
+      removed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error purging analysis cache:', error);
+    res.status(500).json({
+      error: 'Failed to purge analysis cache',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/cache/warm
+ * Analyze articles ahead of time so readers hit the cache.
+ * Body: { articles: [...] } (at most MAX_BATCH_SIZE) or { query, limit } to warm a search
+ */
+router.post('/cache/warm', requireAdmin, async (req, res) => {
+  try {
+    const { articles, query, limit = 10 } = req.body || {};
+    let toWarm;
+
+    if (articles !== undefined) {
+      if (!Array.isArray(articles) || articles.length === 0) {
+        return res.status(400).json({ error: 'articles must be a non-empty array' });
+      }
+      if (articles.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ error: `Batch size cannot exceed ${MAX_BATCH_SIZE} articles` });
+      }
+      for (let i = 0; i < articles.length; i++) {
+        const validationError = validateArticleInput(articles[i]);
+        if (validationError) {
+          return res.status(400).json({ error: `articles[${i}]: ${validationError}` });
+        }
+      }
+      toWarm = articles.map(article => ({ ...article, source: article.source || 'Unknown Source' }));
+    } else {
+      if (typeof query !== 'string' || !query.trim()) {
+        return res.status(400).json({ error: 'Provide either articles or a non-empty query' });
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_WARM_QUERY_RESULTS) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_WARM_QUERY_RESULTS}` });
+      }
+      toWarm = (await aiService.ctnSearchNewsArticles(query.trim(), {}, limit)).articles;
+    }
+
+    // Only articles found by the server's own search have their pages fetched
+    const options = { extractFullText: articles === undefined };
+    console.log(`🔥 Warming analysis cache with ${toWarm.length} articles`);
+    const processed = await Promise.all(toWarm.map(article => aiService.ctnProcessArticleOrMarkFailed(article, options)));
+    const failed = processed.filter(article => article.analysis?.status === 'failed').length;
+
+    res.json({
+      warmed: processed.length - failed,
+      failed,
+      total: processed.length,
+      cache: await analysisCache.ctnGetStats(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error warming analysis cache:', error);
+    res.status(500).json({
+      error: 'Failed to warm analysis cache',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
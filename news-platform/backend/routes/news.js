@@ -1,46 +1,228 @@
 const express = require('express');
 const aiService = require('../services/aiService');
+const trendingService = require('../services/trendingService');
+const sourceRegistry = require('../config/sourceRegistry');
+const biasScale = require('../config/biasScale');
+const biasDimensions = require('../config/biasDimensions');
+const searchPager = require('../services/searchPager');
+const feedIngestion = require('../services/feedIngestion');
+const articleStore = require('../services/articleStore');
+const storyClustering = require('../services/storyClustering');
+const requireAdmin = require('../middleware/requireAdmin');
 
 const router = express.Router();
 
+const MAX_SOURCE_FILTER_ENTRIES = 30;
+
+// Articles retrieved per new search; pages are served from this result set, whose
+// category searches are merged round-robin so every page keeps the same mix
+const SEARCH_DEPTH = 60;
+
+// Framing comparisons take this many articles about one story
+const MIN_COMPARE_ARTICLES = 2;
+const MAX_COMPARE_ARTICLES = 5;
+const MAX_COMPARE_TITLE_LENGTH = 500;
+const MAX_COMPARE_CONTENT_LENGTH = 50000;
+
+// Articles this server retrieved itself may have their pages fetched for full text
+const SERVER_RETRIEVED = { extractFullText: true };
+
+// Streamed analyses started at once; the rest wait so a closed stream stops starting new ones
+const STREAM_ANALYSIS_CONCURRENCY = 3;
+
 /**
- * GET /api/news/search
- * CTN News Intelligence System - Search articles with comprehensive bias analysis
+ * Parse a comma-separated (or repeated) source query parameter into domains
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {{ domains: Array<string>, invalid: Array<string> }} Resolved domains and rejected entries
  */
-router.get('/search', async (req, res) => {
-  try {
-    const { 
-      query = 'latest news', 
-      limit = 10
-    } = req.query;
+const parseSourceList = (value) => {
+  const entries = (Array.isArray(value) ? value : [value || ''])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  const domains = new Set();
+  const invalid = [];
+  entries.forEach(entry => {
+    const domain = sourceRegistry.resolveSourceDomain(entry);
+    if (domain) {
+      domains.add(domain);
+    } else {
+      invalid.push(entry);
+    }
+  });
+
+  return { domains: [...domains], invalid };
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SORT_OPTIONS = ['relevance', 'date'];
+
+/**
+ * Parse a date query parameter; bare dates cover the whole day
+ * @param {string} value - ISO timestamp or YYYY-MM-DD
+ * @param {boolean} endOfDay - Expand a bare date to 23:59:59.999 instead of 00:00
+ * @returns {string|null|undefined} ISO string, null when absent, undefined when invalid
+ */
+const parseDateParam = (value, endOfDay = false) => {
+  if (value === undefined || value === '') return null;
+  const text = String(value);
+  const date = new Date(DATE_ONLY_PATTERN.test(text)
+    ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+    : text);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * Validate search parameters and load the requested page of results
+ * New searches retrieve a deep result set; `cursor` reads a later page of an earlier one.
+ * @param {Object} params - Request query parameters
+ * @returns {Promise<{ error?: { status: number, message: string }, page?: Object }>} Page or validation error
+ */
+const resolveSearchPage = async (params) => {
+  const { 
+    query = 'latest news', 
+    limit = 10,
+    cursor
+  } = params;
+  const fail = (status, message) => ({ error: { status, message } });
+
+  // Validate inputs
+  if (limit > 20) {
+    return fail(400, 'Limit cannot exceed 20 articles');
+  }
+
+  const pageSize = parseInt(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    return fail(400, 'Limit must be a positive integer');
+  }
 
-    // Validate inputs
-    if (limit > 20) {
-      return res.status(400).json({ error: 'Limit cannot exceed 20 articles' });
+  // Later pages come from the stored result set; its search parameters win
+  if (cursor) {
+    const decoded = searchPager.ctnDecodeCursor(cursor);
+    if (!decoded) {
+      return fail(400, 'Invalid cursor');
     }
 
+    const page = searchPager.ctnGetPage(decoded.resultSetId, decoded.offset, pageSize);
+    if (!page) {
+      return fail(410, 'Search results expired, please search again');
+    }
+
+    return { page };
+  }
+
+  const includeSources = parseSourceList(params.sources);
+  const excludeSources = parseSourceList(params.excludeSources);
+  const invalidSources = [...includeSources.invalid, ...excludeSources.invalid];
+
+  if (invalidSources.length > 0) {
+    return fail(400, `Unrecognized sources: ${invalidSources.join(', ')}`);
+  }
+  if (includeSources.domains.length > MAX_SOURCE_FILTER_ENTRIES || excludeSources.domains.length > MAX_SOURCE_FILTER_ENTRIES) {
+    return fail(400, `Source filters cannot exceed ${MAX_SOURCE_FILTER_ENTRIES} entries each`);
+  }
+
+  const conflicting = includeSources.domains.filter(domain => excludeSources.domains.includes(domain));
+  if (conflicting.length > 0) {
+    return fail(400, `Sources cannot be both included and excluded: ${conflicting.join(', ')}`);
+  }
 
-    // Search for news articles using CTN news retrieval system
-    const newsData = await aiService.ctnSearchNewsArticles(query, '', parseInt(limit));
-    
-    if (!newsData.articles || newsData.articles.length === 0) {
-      return res.json({ 
-        articles: [], 
+  const sourceFilter = {
+    include: includeSources.domains,
+    exclude: excludeSources.domains
+  };
+
+  const from = parseDateParam(params.from);
+  const to = parseDateParam(params.to, true);
+  const { sortBy = 'relevance' } = params;
+
+  if (from === undefined || to === undefined) {
+    return fail(400, 'from and to must be ISO dates (YYYY-MM-DD or full timestamps)');
+  }
+  if (from && to && from > to) {
+    return fail(400, 'from must be on or before to');
+  }
+  if (from && new Date(from) > new Date()) {
+    return fail(400, 'from cannot be in the future');
+  }
+  if (!SORT_OPTIONS.includes(sortBy)) {
+    return fail(400, `sortBy must be one of ${SORT_OPTIONS.join(', ')}`);
+  }
+
+  // Search for news articles using CTN news retrieval system
+  const newsData = await aiService.ctnSearchNewsArticles(query, sourceFilter, SEARCH_DEPTH, { from, to, sortBy });
+
+  // Which provider served the results, so synthetic data is never presented as live news
+  const retrieval = {
+    provider: newsData.provider,
+    synthetic: newsData.synthetic,
+    ...(newsData.fallbackReason && { fallbackReason: newsData.fallbackReason })
+  };
+  const meta = { query, sources: sourceFilter, from, to, sortBy, retrieval };
+
+  if (!newsData.articles || newsData.articles.length === 0) {
+    return {
+      page: {
+        articles: [],
+        stories: [],
+        meta,
         message: 'No articles found for your search query',
-        query,
-        total: 0
-      });
+        pagination: { offset: 0, pageSize, totalResults: 0, hasMore: false, nextCursor: null }
+      }
+    };
+  }
+
+  trendingService.ctnRecordArticles(newsData.articles);
+
+  // Coverage of the same event from several outlets is grouped into stories
+  const { articles, stories } = storyClustering.ctnClusterArticles(newsData.articles);
+  const resultSetId = searchPager.ctnCreateResultSet(articles, meta, stories);
+  return { page: searchPager.ctnGetPage(resultSetId, 0, pageSize) };
+};
+
+/**
+ * Attach processed member articles and their bias spread to a page's stories
+ * @param {Array} stories - Page stories with articleIndexes
+ * @param {Array} processedArticles - The page's processed articles
+ * @param {boolean} includeArticles - Embed member articles in each story
+ * @returns {Array} Stories with biasSpread
+ */
+const withBiasSpread = (stories, processedArticles, includeArticles = true) => stories.map(story => {
+  const members = story.articleIndexes.map(index => processedArticles[index]).filter(Boolean);
+  return {
+    ...story,
+    ...(includeArticles && { articles: members }),
+    biasSpread: storyClustering.ctnGetBiasSpread(members)
+  };
+});
+
+/**
+ * GET /api/news/search
+ * CTN News Intelligence System - Search articles with comprehensive bias analysis
+ * Results are grouped into `stories` (articles covering the same event), each
+ * with its member articles and the spread of their bias scores.
+ * Pass `cursor` from a previous response's pagination to fetch the next page.
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { error, page } = await resolveSearchPage(req.query);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
     }
 
-    // Process articles with CTN AI analysis pipeline
+    // Process only this page's articles with CTN AI analysis pipeline
     const processedArticles = await Promise.all(
-      newsData.articles.map(article => aiService.ctnProcessCompleteArticle(article))
+      page.articles.map(article => aiService.ctnProcessArticleOrMarkFailed(article, SERVER_RETRIEVED))
     );
 
     res.json({
       articles: processedArticles,
-      query,
+      stories: withBiasSpread(page.stories, processedArticles),
+      ...(page.message && { message: page.message }),
+      ...page.meta,
       total: processedArticles.length,
+      pagination: page.pagination,
       timestamp: new Date().toISOString()
     });
 
@@ -53,4 +235,358 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/news/search/stream
+ * Server-Sent Events variant of /search. Sends the raw page and its stories as
+ * an `articles` event right away, then one `analysis` (or `analysis-error`) event
+ * per article as its bias and summary complete, then `done` with each story's
+ * bias spread. No further analyses start once the client disconnects.
+ * Accepts the same parameters as /search.
+ */
+router.get('/search/stream', async (req, res) => {
+  let closed = false;
+  let heartbeat = null;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const { error, page } = await resolveSearchPage(req.query);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Keep proxies from timing out while slow analyses are running
+    heartbeat = setInterval(() => {
+      if (!closed) res.write(': keep-alive\n\n');
+    }, 15000);
+
+    sendEvent('articles', {
+      articles: page.articles,
+      stories: page.stories,
+      ...(page.message && { message: page.message }),
+      ...page.meta,
+      total: page.articles.length,
+      pagination: page.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+    const processedArticles = [];
+    let nextIndex = 0;
+
+    const analyzeNext = async () => {
+      while (!closed && nextIndex < page.articles.length) {
+        const index = nextIndex++;
+        const article = page.articles[index];
+        try {
+          const processed = await aiService.ctnProcessCompleteArticle(article, SERVER_RETRIEVED);
+          processedArticles[index] = processed;
+          sendEvent('analysis', {
+            index,
+            url: article.url,
+            bias: processed.bias,
+            summary: processed.summary,
+            analysis: processed.analysis,
+            processedAt: processed.processedAt
+          });
+        } catch (analysisError) {
+          sendEvent('analysis-error', {
+            index,
+            url: article.url,
+            message: analysisError.message,
+            analysis: { status: 'failed', confidence: null, reasons: [analysisError.message] }
+          });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(STREAM_ANALYSIS_CONCURRENCY, page.articles.length) }, analyzeNext));
+
+    if (closed) {
+      console.log(`🔌 CTN search stream closed by client; skipped ${page.articles.length - nextIndex} of ${page.articles.length} analyses`);
+      return res.end();
+    }
+
+    sendEvent('done', {
+      total: page.articles.length,
+      stories: withBiasSpread(page.stories, processedArticles, false),
+      timestamp: new Date().toISOString()
+    });
+    res.end();
+
+  } catch (error) {
+    console.error('Error in streaming news search:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Failed to search news articles',
+        message: error.message
+      });
+    }
+    sendEvent('search-error', { error: 'Failed to search news articles', message: error.message });
+    res.end();
+  } finally {
+    clearInterval(heartbeat);
+  }
+});
+
+/**
+ * GET /api/news/trending
+ * Recently covered topics ranked by outlet diversity and recency, with
+ * each topic's articles spread across the outlet categories
+ */
+router.get('/trending', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit ?? 15, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({ error: 'Limit must be between 1 and 20 articles' });
+    }
+
+    const topics = await trendingService.ctnGetTrendingTopics(limit);
+
+    // Only the articles actually returned go through the AI pipeline
+    const processedTopics = await Promise.all(topics.map(async topic => ({
+      ...topic,
+      articles: await Promise.all(
+        topic.articles.map(article => aiService.ctnProcessArticleOrMarkFailed(article, SERVER_RETRIEVED))
+      )
+    })));
+
+    const articles = processedTopics.flatMap(topic =>
+      topic.articles.map(article => ({ ...article, topicId: topic.id }))
+    );
+
+    res.json({
+      topics: processedTopics,
+      articles,
+      total: articles.length,
+      synthetic: articles.some(article => article.synthetic),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in trending news:', error);
+    res.status(500).json({
+      error: 'Failed to load trending news',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate one article of a comparison request
+ * @param {Object} article - Article from the request body
+ * @returns {string|null} Error message, or null when the article is valid
+ */
+const validateCompareArticle = (article) => {
+  if (!article || typeof article !== 'object') {
+    return 'must be an object';
+  }
+  if (typeof article.title !== 'string' || !article.title.trim() || article.title.length > MAX_COMPARE_TITLE_LENGTH) {
+    return `title is required and must be at most ${MAX_COMPARE_TITLE_LENGTH} characters`;
+  }
+  if (typeof article.content !== 'string' || !article.content.trim() || article.content.length > MAX_COMPARE_CONTENT_LENGTH) {
+    return `content is required and must be at most ${MAX_COMPARE_CONTENT_LENGTH} characters`;
+  }
+  if (article.source !== undefined && typeof article.source !== 'string') {
+    return 'source must be a string';
+  }
+  if (article.url !== undefined && typeof article.url !== 'string') {
+    return 'url must be a string';
+  }
+  return null;
+};
+
+/**
+ * POST /api/news/compare
+ * Side-by-side framing comparison of 2-5 articles about the same event: what
+ * each emphasizes and omits relative to the others, and the loaded terms it uses.
+ * Articles are compared on the posted text only; a url just identifies them and
+ * is never fetched.
+ */
+router.post('/compare', async (req, res) => {
+  try {
+    const { articles } = req.body || {};
+
+    if (!Array.isArray(articles) || articles.length < MIN_COMPARE_ARTICLES || articles.length > MAX_COMPARE_ARTICLES) {
+      return res.status(400).json({
+        error: `articles must be an array of ${MIN_COMPARE_ARTICLES} to ${MAX_COMPARE_ARTICLES} articles`
+      });
+    }
+
+    for (let i = 0; i < articles.length; i++) {
+      const validationError = validateCompareArticle(articles[i]);
+      if (validationError) {
+        return res.status(400).json({ error: `articles[${i}]: ${validationError}` });
+      }
+    }
+
+    const urls = articles.map(article => article.url).filter(Boolean);
+    if (new Set(urls).size !== urls.length) {
+      return res.status(400).json({ error: 'articles must be distinct' });
+    }
+
+    const comparison = await aiService.ctnCompareFraming(articles.map(article => ({
+      title: article.title,
+      content: article.content,
+      source: article.source || 'Unknown Source'
+    })));
+
+    res.json({
+      ...comparison,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in framing comparison:', error);
+    res.status(500).json({
+      error: 'Failed to compare articles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/news/blindspots
+ * Recent stories covered mostly by one side of the spectrum (over 80% of
+ * coverage from left- or right-leaning outlets). `side` narrows to stories
+ * dominated by "left" or "right".
+ */
+router.get('/blindspots', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit ?? 10, 10);
+    const { side } = req.query;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({ error: 'Limit must be between 1 and 20 stories' });
+    }
+    if (side && !['left', 'right'].includes(side)) {
+      return res.status(400).json({ error: 'side must be left or right' });
+    }
+
+    const stories = await trendingService.ctnGetBlindspots(limit, side || null);
+
+    const processedStories = await Promise.all(stories.map(async story => {
+      const articles = await Promise.all(
+        story.articles.map(article => aiService.ctnProcessArticleOrMarkFailed(article, SERVER_RETRIEVED))
+      );
+      return { ...story, articles, biasSpread: storyClustering.ctnGetBiasSpread(articles) };
+    }));
+
+    res.json({
+      stories: processedStories,
+      total: processedStories.length,
+      synthetic: processedStories.some(story => story.articles.some(article => article.synthetic)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in blindspot detection:', error);
+    res.status(500).json({
+      error: 'Failed to load blindspots',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/news/sources
+ * Source directory with baseline bias ratings and reliability tiers
+ */
+router.get('/sources', (req, res) => {
+  const { leaning } = req.query;
+  const leaningIds = biasScale.BIAS_LEANINGS.map(({ id }) => id);
+
+  if (leaning && !leaningIds.includes(leaning)) {
+    return res.status(400).json({ error: `leaning must be one of ${leaningIds.join(', ')}` });
+  }
+
+  const sources = sourceRegistry.SOURCE_REGISTRY
+    .map(source => ({
+      domain: source.domain,
+      name: source.name,
+      biasScore: source.biasScore,
+      leaning: biasScale.getLeaning(source.biasScore),
+      reliability: source.reliability,
+      lastRated: source.lastRated,
+      searchCategory: source.searchCategory,
+      searchable: Boolean(source.searchCategory)
+    }))
+    .filter(source => !leaning || source.leaning === leaning);
+
+  res.json({
+    sources,
+    total: sources.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/news/bias-scale
+ * Bands, labels, colors and left/center/right ranges every bias score is displayed with,
+ * plus the secondary bias dimensions (key, labels, description, higherIsBetter)
+ */
+router.get('/bias-scale', (req, res) => {
+  res.json({
+    ...biasScale.getBiasScale(),
+    dimensions: biasDimensions.BIAS_DIMENSIONS,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/news/ingestion
+ * Feed ingestion schedule, last run, per-feed health and article store size
+ */
+router.get('/ingestion', async (req, res) => {
+  try {
+    res.json({
+      ...feedIngestion.ctnGetStatus(),
+      store: await articleStore.ctnGetStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reading ingestion status:', error);
+    res.status(500).json({
+      error: 'Failed to read ingestion status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/news/ingestion/run
+ * Poll every configured feed now and wait for the run to finish
+ */
+router.post('/ingestion/run', requireAdmin, async (req, res) => {
+  try {
+    const summary = await feedIngestion.ctnRunOnce();
+    res.json({
+      ...summary,
+      store: await articleStore.ctnGetStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error running feed ingestion:', error);
+    res.status(500).json({
+      error: 'Failed to run feed ingestion',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
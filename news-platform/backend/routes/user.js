@@ -0,0 +1,219 @@
+const express = require('express');
+const crypto = require('crypto');
+const userStore = require('../services/userStore');
+
+const router = express.Router();
+
+const MAX_HISTORY_PAGE = 100;
+const MAX_LIST_PREFERENCE_ITEMS = 50;
+
+/**
+ * Validate a partial preferences update
+ * @param {Object} body - Request body
+ * @returns {{ updates: Object, error: string|null }} Sanitized updates or an error
+ */
+const validatePreferences = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { updates: null, error: 'Preferences must be a JSON object' };
+  }
+
+  const updates = {};
+
+  for (const [key, value] of Object.entries(body)) {
+    switch (key) {
+      case 'biasRange': {
+        const { min, max } = value || {};
+        if (typeof min !== 'number' || typeof max !== 'number' || min < 0 || max > 100 || min > max) {
+          return { updates: null, error: 'biasRange must be { min, max } with 0 <= min <= max <= 100' };
+        }
+        updates.biasRange = { min, max };
+        break;
+      }
+      case 'diversityWeight':
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+          return { updates: null, error: 'diversityWeight must be a number between 0 and 1' };
+        }
+        updates.diversityWeight = value;
+        break;
+      case 'preferredSources':
+      case 'excludedSources':
+      case 'topics':
+        if (!Array.isArray(value) || value.length > MAX_LIST_PREFERENCE_ITEMS ||
+            !value.every(item => typeof item === 'string' && item.trim())) {
+          return { updates: null, error: `${key} must be an array of at most ${MAX_LIST_PREFERENCE_ITEMS} non-empty strings` };
+        }
+        updates[key] = value.map(item => item.trim());
+        break;
+      default:
+        return { updates: null, error: `Unknown preference: ${key}` };
+    }
+  }
+
+  return { updates, error: null };
+};
+
+// Reject malformed user ids before they reach the store
+router.param('userId', (req, res, next, userId) => {
+  if (!userStore.ctnIsValidUserId(userId)) {
+    return res.status(400).json({ error: 'Invalid user id' });
+  }
+  next();
+});
+
+/**
+ * GET /api/user/demo-user
+ * Create a fresh user with default preferences
+ */
+router.get('/demo-user', async (req, res) => {
+  try {
+    const userId = `demo_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+    const user = await userStore.ctnCreateUser(userId);
+
+    res.status(201).json({
+      userId: user.userId,
+      preferences: user.preferences,
+      createdAt: user.createdAt
+    });
+
+  } catch (error) {
+    console.error('Error creating demo user:', error);
+    res.status(500).json({
+      error: 'Failed to create demo user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/user/preferences/:userId
+ */
+router.get('/preferences/:userId', async (req, res) => {
+  try {
+    const preferences = await userStore.ctnGetPreferences(req.params.userId);
+    res.json({ userId: req.params.userId, preferences });
+
+  } catch (error) {
+    console.error('Error loading preferences:', error);
+    res.status(500).json({
+      error: 'Failed to load preferences',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/user/preferences/:userId
+ */
+router.put('/preferences/:userId', async (req, res) => {
+  try {
+    const { updates, error } = validatePreferences(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const preferences = await userStore.ctnUpdatePreferences(req.params.userId, updates);
+    res.json({ userId: req.params.userId, preferences });
+
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    res.status(500).json({
+      error: 'Failed to update preferences',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/user/interaction/:userId
+ * Record a read or click on an article together with its bias score
+ */
+router.post('/interaction/:userId', async (req, res) => {
+  try {
+    const { article, action = 'read' } = req.body || {};
+
+    if (!article || typeof article !== 'object' || (!article.url && !article.title)) {
+      return res.status(400).json({ error: 'article must include at least a url or a title' });
+    }
+    if (!userStore.ctnIsValidAction(action)) {
+      return res.status(400).json({ error: `Unsupported action: ${action}` });
+    }
+
+    const interaction = await userStore.ctnRecordInteraction(req.params.userId, article, action);
+    res.status(201).json({ userId: req.params.userId, interaction });
+
+  } catch (error) {
+    console.error('Error recording interaction:', error);
+    res.status(500).json({
+      error: 'Failed to record interaction',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/user/analytics/:userId
+ */
+router.get('/analytics/:userId', async (req, res) => {
+  try {
+    const analytics = await userStore.ctnGetAnalytics(req.params.userId);
+    res.json({
+      ...analytics,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error computing analytics:', error);
+    res.status(500).json({
+      error: 'Failed to compute analytics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/user/:userId/reading-history
+ * Paginated interaction history, newest first
+ */
+router.get('/:userId/reading-history', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit ?? 20, 10);
+    const offset = parseInt(req.query.offset ?? 0, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_HISTORY_PAGE}` });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    const page = await userStore.ctnGetReadingHistory(req.params.userId, limit, offset);
+    res.json({ userId: req.params.userId, ...page });
+
+  } catch (error) {
+    console.error('Error loading reading history:', error);
+    res.status(500).json({
+      error: 'Failed to load reading history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/:userId/data
+ * Permanently remove all stored preferences and activity for a user
+ */
+router.delete('/:userId/data', async (req, res) => {
+  try {
+    const deleted = await userStore.ctnDeleteUserData(req.params.userId);
+    res.json({ userId: req.params.userId, deleted });
+
+  } catch (error) {
+    console.error('Error deleting user data:', error);
+    res.status(500).json({
+      error: 'Failed to delete user data',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
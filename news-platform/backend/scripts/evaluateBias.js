@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * CTN Bias Evaluation - Score the bias tiers against a labeled dataset
+ * Runs every article in a JSONL dataset through the model tier
+ * (ctnAnalyzePoliticalBias), the source assessment tier and the lexicon tier,
+ * and reports per tier: mean absolute error against the reference score,
+ * a confusion matrix over the five labels, agreement between tiers, and
+ * stability across repeated runs.
+ *
+ * Usage: npm run eval:bias -- [options]
+ *   --dataset <path>   JSONL of { id, title, source, content, referenceScore } (default fixtures/bias-eval.jsonl)
+ *   --tiers <list>     Comma-separated subset of model,source,lexicon (default all)
+ *   --runs <n>         Repeat runs for the stability report (default 3)
+ *   --json <path>      Also write the full report, including per-article results, as JSON
+ *   --max-mae <n>      Exit with status 1 if any tier's MAE exceeds n
+ *   --verbose          Keep service logging
+ *
+ * Offline runs: CTN_LLM_PROVIDER defaults to mock here. Use
+ * CTN_LLM_PROVIDER=replay with CTN_LLM_RECORDINGS to score recorded model
+ * responses, or a real provider with CTN_LLM_RECORD=true to record them.
+ * The analysis cache is bypassed so every run calls the tiers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Configure before the services read their environment
+process.env.CTN_LLM_PROVIDER = process.env.CTN_LLM_PROVIDER || 'mock';
+process.env.CTN_ANALYSIS_CACHE = 'off';
+
+const aiService = require('../services/aiService');
+const biasScale = require('../config/biasScale');
+
+const DEFAULT_DATASET = path.join(__dirname, '..', 'fixtures', 'bias-eval.jsonl');
+
+const LABELS = biasScale.BIAS_LABELS;
+
+// Each tier is called directly; a result from a different tier means it fell back
+const TIERS = {
+  model: (article) => aiService.ctnAnalyzePoliticalBias(article.content, article.title, article.source),
+  source: (article) => aiService.ctnGetSourceBasedBiasAnalysis(article.source, article.title, article.content),
+  lexicon: async (article) => aiService.ctnAnalyzeContentBasedBias(article.title, article.content, article.source)
+};
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const mean = (values) => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null);
+
+/**
+ * Parse command-line flags
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+const parseArgs = (argv) => {
+  const options = { dataset: DEFAULT_DATASET, tiers: Object.keys(TIERS), runs: 3, json: null, maxMae: null, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+
+    if (flag === '--dataset') { options.dataset = path.resolve(value); i++; }
+    else if (flag === '--tiers') { options.tiers = value.split(',').map(tier => tier.trim()).filter(Boolean); i++; }
+    else if (flag === '--runs') { options.runs = parseInt(value, 10); i++; }
+    else if (flag === '--json') { options.json = path.resolve(value); i++; }
+    else if (flag === '--max-mae') { options.maxMae = parseFloat(value); i++; }
+    else if (flag === '--verbose') { options.verbose = true; }
+    else throw new Error(`Unknown option ${flag}`);
+  }
+
+  const unknownTiers = options.tiers.filter(tier => !TIERS[tier]);
+  if (unknownTiers.length > 0 || options.tiers.length === 0) {
+    throw new Error(`--tiers must list some of: ${Object.keys(TIERS).join(', ')}`);
+  }
+  if (!Number.isInteger(options.runs) || options.runs < 1) {
+    throw new Error('--runs must be a positive integer');
+  }
+  return options;
+};
+
+/**
+ * Read and validate the labeled dataset
+ * @param {string} file - JSONL path
+ * @returns {Array<Object>} Articles with referenceLabel added
+ */
+const loadDataset = (file) => fs.readFileSync(file, 'utf8')
+  .split('\n')
+  .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+  .filter(({ line }) => line)
+  .map(({ line, number }) => {
+    const article = JSON.parse(line);
+    if (!article.id || !article.title || !article.content || typeof article.referenceScore !== 'number') {
+      throw new Error(`${path.basename(file)} line ${number}: id, title, content and a numeric referenceScore are required`);
+    }
+    return {
+      ...article,
+      source: article.source || 'Unknown Source',
+      referenceLabel: biasScale.getBiasLabel(article.referenceScore)
+    };
+  });
+
+/**
+ * Run one tier over every article
+ * @param {string} tier - Tier name
+ * @param {Array<Object>} dataset - Articles
+ * @returns {Promise<Object>} Article id -> { status, score, label, servedBy }
+ */
+const runTier = async (tier, dataset) => {
+  const results = {};
+
+  for (const article of dataset) {
+    try {
+      const result = await TIERS[tier](article);
+      const status = result.tier !== tier ? 'fallback' : typeof result.biasScore === 'number' ? 'scored' : 'unrated';
+      results[article.id] = {
+        status,
+        score: status === 'scored' ? result.biasScore : null,
+        label: status === 'scored' ? biasScale.getBiasLabel(result.biasScore) : null,
+        servedBy: result.tier
+      };
+    } catch (error) {
+      results[article.id] = { status: 'error', score: null, label: null, error: error.message };
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Accuracy of one run of a tier against the reference scores
+ * @param {Object} results - Article id -> result
+ * @param {Array<Object>} dataset - Articles
+ * @returns {Object} Counts, MAE, signed error, label accuracy and confusion matrix
+ */
+const scoreAccuracy = (results, dataset) => {
+  const scored = dataset.filter(article => results[article.id].status === 'scored');
+  const errors = scored.map(article => results[article.id].score - article.referenceScore);
+
+  // Rows are reference labels, columns predicted labels plus Unrated for anything not scored
+  const confusion = Object.fromEntries(LABELS.map(label => [label, Object.fromEntries([...LABELS, 'Unrated'].map(column => [column, 0]))]));
+  dataset.forEach(article => {
+    confusion[article.referenceLabel][results[article.id].label || 'Unrated']++;
+  });
+
+  const countOf = (status) => dataset.filter(article => results[article.id].status === status).length;
+
+  return {
+    articles: dataset.length,
+    scored: scored.length,
+    unrated: countOf('unrated'),
+    fallback: countOf('fallback'),
+    errors: countOf('error'),
+    mae: round(mean(errors.map(Math.abs))),
+    // Positive means the tier rates articles further right than the reference
+    signedError: round(mean(errors)),
+    labelAccuracy: round(mean(scored.map(article => (results[article.id].label === article.referenceLabel ? 1 : 0)))),
+    confusion
+  };
+};
+
+/**
+ * How closely two tiers agree on the articles both of them scored
+ * @param {Object} first - First tier's results
+ * @param {Object} second - Second tier's results
+ * @param {Array<Object>} dataset - Articles
+ * @returns {Object} Shared count, mean absolute difference and label agreement
+ */
+const scoreAgreement = (first, second, dataset) => {
+  const shared = dataset.filter(article => first[article.id].status === 'scored' && second[article.id].status === 'scored');
+  return {
+    articles: shared.length,
+    meanAbsoluteDifference: round(mean(shared.map(article => Math.abs(first[article.id].score - second[article.id].score)))),
+    labelAgreement: round(mean(shared.map(article => (first[article.id].label === second[article.id].label ? 1 : 0))))
+  };
+};
+
+/**
+ * How much a tier's output moves between identical runs
+ * @param {Array<Object>} runs - One results object per run
+ * @param {Array<Object>} dataset - Articles
+ * @returns {Object} Score spread, label consistency and status changes
+ */
+const scoreStability = (runs, dataset) => {
+  const scoredEveryRun = dataset.filter(article => runs.every(run => run[article.id].status === 'scored'));
+  const spreads = scoredEveryRun.map(article => {
+    const scores = runs.map(run => run[article.id].score);
+    const average = mean(scores);
+    return {
+      standardDeviation: Math.sqrt(mean(scores.map(score => (score - average) ** 2))),
+      range: Math.max(...scores) - Math.min(...scores)
+    };
+  });
+
+  return {
+    runs: runs.length,
+    articles: scoredEveryRun.length,
+    meanStandardDeviation: round(mean(spreads.map(spread => spread.standardDeviation))),
+    maxRange: spreads.length > 0 ? Math.max(...spreads.map(spread => spread.range)) : null,
+    labelConsistency: round(mean(scoredEveryRun.map(article => (new Set(runs.map(run => run[article.id].label)).size === 1 ? 1 : 0)))),
+    statusChanges: dataset.filter(article => new Set(runs.map(run => run[article.id].status)).size > 1).length
+  };
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '-' : String(value));
+
+const printTable = (headers, rows) => {
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => formatValue(row[index]).length)));
+  const line = (cells) => cells.map((cell, index) => formatValue(cell).padEnd(widths[index])).join('  ').trimEnd();
+  console.log(line(headers));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(line(row)));
+  console.log('');
+};
+
+const printReport = (report) => {
+  console.log(`\n📊 CTN bias evaluation: ${report.articles} articles from ${report.dataset}`);
+  console.log(`   Providers: ${Object.entries(report.providers).map(([task, { provider, model }]) => `${task}=${provider}/${model}`).join(', ')}`);
+  console.log(`   Accuracy uses run 1 of ${report.runs}\n`);
+
+  printTable(
+    ['Tier', 'Scored', 'Unrated', 'Fallback', 'Errors', 'MAE', 'Signed', 'Label acc.'],
+    Object.entries(report.tiers).map(([tier, { accuracy }]) => [
+      tier, accuracy.scored, accuracy.unrated, accuracy.fallback, accuracy.errors, accuracy.mae, accuracy.signedError, accuracy.labelAccuracy
+    ])
+  );
+
+  // Initials of each label: HL, L, N, C, HC
+  const abbreviations = [...LABELS.map(label => label.split('/')[0].split(' ').map(word => word[0]).join('')), 'Unrated'];
+  Object.entries(report.tiers).forEach(([tier, { accuracy }]) => {
+    console.log(`Confusion (${tier}): rows = reference, columns = predicted`);
+    printTable(
+      ['', ...abbreviations],
+      LABELS.map((label, index) => [abbreviations[index], ...Object.values(accuracy.confusion[label])])
+    );
+  });
+
+  if (report.agreement.length > 0) {
+    console.log('Agreement between tiers');
+    printTable(
+      ['Tiers', 'Shared', 'Mean |diff|', 'Label agreement'],
+      report.agreement.map(pair => [pair.tiers.join(' vs '), pair.articles, pair.meanAbsoluteDifference, pair.labelAgreement])
+    );
+  }
+
+  console.log(`Stability across ${report.runs} runs`);
+  printTable(
+    ['Tier', 'Scored every run', 'Mean std dev', 'Max range', 'Label consistency', 'Status changes'],
+    Object.entries(report.tiers).map(([tier, { stability }]) => [
+      tier, stability.articles, stability.meanStandardDeviation, stability.maxRange, stability.labelConsistency, stability.statusChanges
+    ])
+  );
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const dataset = loadDataset(options.dataset);
+
+  const originalLog = console.log;
+  const originalError = console.error;
+  if (!options.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const runsByTier = {};
+  try {
+    for (const tier of options.tiers) {
+      runsByTier[tier] = [];
+      for (let run = 0; run < options.runs; run++) {
+        runsByTier[tier].push(await runTier(tier, dataset));
+      }
+    }
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+
+  const report = {
+    dataset: path.relative(process.cwd(), options.dataset) || options.dataset,
+    articles: dataset.length,
+    runs: options.runs,
+    providers: aiService.ctnGetCapabilities().providers,
+    generatedAt: new Date().toISOString(),
+    tiers: Object.fromEntries(options.tiers.map(tier => [tier, {
+      accuracy: scoreAccuracy(runsByTier[tier][0], dataset),
+      stability: scoreStability(runsByTier[tier], dataset)
+    }])),
+    agreement: options.tiers.flatMap((first, index) => options.tiers.slice(index + 1).map(second => ({
+      tiers: [first, second],
+      ...scoreAgreement(runsByTier[first][0], runsByTier[second][0], dataset)
+    })))
+  };
+
+  printReport(report);
+
+  if (options.json) {
+    const perArticle = dataset.map(article => ({
+      id: article.id,
+      source: article.source,
+      referenceScore: article.referenceScore,
+      referenceLabel: article.referenceLabel,
+      results: Object.fromEntries(options.tiers.map(tier => [tier, runsByTier[tier].map(run => run[article.id])]))
+    }));
+    fs.writeFileSync(options.json, JSON.stringify({ ...report, perArticle }, null, 2));
+    console.log(`💾 Full report written to ${options.json}`);
+  }
+
+  const overLimit = options.maxMae === null ? [] : Object.entries(report.tiers)
+    .filter(([, { accuracy }]) => accuracy.mae !== null && accuracy.mae > options.maxMae)
+    .map(([tier]) => tier);
+  if (overLimit.length > 0) {
+    console.error(`❌ MAE above ${options.maxMae} for: ${overLimit.join(', ')}`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch(error => {
+  console.error(`❌ Evaluation failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -5,6 +5,9 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const newsRoutes = require('./routes/news');
+const aiRoutes = require('./routes/ai');
+const userRoutes = require('./routes/user');
+const feedIngestion = require('./services/feedIngestion');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -29,6 +32,8 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/news', newsRoutes);
+app.use('/api/ai', aiRoutes);
+app.use('/api/user', userRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -57,6 +62,8 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 API available at http://localhost:${PORT}`);
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
+
+  feedIngestion.ctnStart();
 });
 
 module.exports = app;
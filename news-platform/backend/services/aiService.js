@@ -10,229 +10,451 @@
  * - Intelligent caching system for performance optimization
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-const Exa = require('exa-js').default;
 const NodeCache = require('node-cache');
-
-//   caching system - 30 minute TTL for optimal performance
+const sourceRegistry = require('../config/sourceRegistry');
+const biasScale = require('../config/biasScale');
+const biasDimensions = require('../config/biasDimensions');
+const responseSchemas = require('../config/responseSchemas');
+const llmProviders = require('./llmProviders');
+const promptRegistry = require('./promptRegistry');
+const newsRetrieval = require('./newsRetrieval');
+const articleExtractor = require('./articleExtractor');
+const lexiconAnalyzer = require('./lexiconAnalyzer');
+const analysisCache = require('./analysisCache');
+
+// Search results are cached in process for 30 minutes; LLM analyses go to the persistent analysis cache
 const ctnCache = new NodeCache({ stdTTL: 1800 });
 
-class CtnAiService {
-  constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
+// Upper bound on numResults for any single provider request (deep searches back pagination)
+const CTN_MAX_RESULTS_PER_SEARCH = 25;
+
+// Long articles are analyzed in chunks of about this many characters, up to a chunk limit
+const CTN_ANALYSIS_CHUNK_SIZE = 4000;
+const CTN_MAX_ANALYSIS_CHUNKS = 4;
+
+// Summaries read at most this much of the article in one prompt
+const CTN_MAX_SUMMARY_CHARACTERS = 12000;
+
+// Each article in a framing comparison contributes at most this much text
+const CTN_MAX_COMPARISON_CHARACTERS = 3000;
+
+// Prompt fragments asking for the secondary bias dimensions
+const DIMENSION_GUIDE = biasDimensions.BIAS_DIMENSIONS
+  .map(({ key, description }) => `- ${key}: ${description}`)
+  .join('\n');
+const DIMENSION_EXAMPLE = JSON.stringify(Object.fromEntries(biasDimensions.BIAS_DIMENSIONS
+  .map(({ key }) => [key, { score: 30, evidence: ['short quoted phrase'] }])));
+const EVIDENCE_EXAMPLE = JSON.stringify({
+  quote: 'exact words copied from the content',
+  category: 'loaded-language',
+  rationale: 'Why this wording is slanted'
+});
+
+// Categories a flagged evidence span can carry
+const EVIDENCE_CATEGORIES = [
+  'loaded-language', 'partisan-framing', 'sensationalism', 'opinion', 'emotional-tone', 'one-sided-sourcing'
+];
+const CTN_MAX_EVIDENCE_SPANS = 12;
+
+// Placeholder values shared by the bias-scoring prompts
+const CTN_BIAS_PROMPT_FRAGMENTS = {
+  scaleGuide: biasScale.describeBiasScale(),
+  dimensionGuide: DIMENSION_GUIDE,
+  dimensionExample: DIMENSION_EXAMPLE,
+  evidenceCategories: EVIDENCE_CATEGORIES.join(', '),
+  evidenceExample: EVIDENCE_EXAMPLE
+};
+
+/**
+ * Merge ranked lists by taking one item from each in turn, so any leading slice
+ * of the result draws evenly from every list that still has items
+ * @param {Array<Array>} lists - Ranked lists, e.g. the results of each search in a plan
+ * @returns {Array} Items in round-robin order
+ */
+const ctnInterleave = (lists) => {
+  const merged = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let rank = 0; rank < longest; rank++) {
+    lists.forEach(list => {
+      if (rank < list.length) merged.push(list[rank]);
+    });
+  }
+  return merged;
+};
+
+/**
+ * Record of which prompts and model settings produced a result, so results from
+ * an older prompt or model can be told apart and re-run
+ * @param {Array<{ id: string, version: number }>} prompts - Prompts the result was built from
+ * @param {Object} response - Completion that produced it ({ provider, model, temperature }); omitted for non-model tiers
+ * @returns {{ prompts: Array, provider: string|null, model: string|null, temperature: number|null, generatedAt: string }} Provenance
+ */
+const ctnProvenance = (prompts, response = {}) => ({
+  prompts: prompts.map(({ id, version }) => ({ id, version })),
+  provider: response.provider || null,
+  model: response.model || null,
+  temperature: typeof response.temperature === 'number' ? response.temperature : null,
+  generatedAt: new Date().toISOString()
+});
+
+// How much of an invalid response is quoted back to the model when asking for a repair
+const CTN_MAX_REPAIR_ECHO = 4000;
+
+/**
+ * Combine the validation records of several model calls
+ * @param {Array<Object>} records - { repaired, warnings } per call
+ * @returns {{ repaired: boolean, warnings: Array<Object> }} Whether any call needed a repair, and every warning
+ */
+const ctnMergeValidation = (records) => ({
+  repaired: records.some(record => record.repaired),
+  warnings: records.flatMap(record => record.warnings)
+});
+
+/**
+ * Why a tier was skipped, kept on the result of the tier that answered instead
+ * @param {string} tier - Tier that failed
+ * @param {Error} error - Failure
+ * @returns {{ tier: string, message: string, validationErrors?: Array<Object> }} Structured failure
+ */
+const ctnFallbackError = (tier, error) => ({
+  tier,
+  message: error.message,
+  ...(error.validationErrors && { validationErrors: error.validationErrors })
+});
+
+/**
+ * Anchor quoted evidence to character offsets in the analyzed text.
+ * Quotes that cannot be found verbatim (ignoring case and whitespace) are dropped,
+ * so every span shown to readers really is in the article.
+ * @param {string} content - Analyzed text
+ * @param {Array} evidence - Raw `evidence` entries ({ quote, category, rationale })
+ * @returns {Array<{ start: number, end: number, text: string, category: string, rationale: string }>} Located spans in text order
+ */
+const ctnLocateEvidence = (content, evidence) => {
+  if (!Array.isArray(evidence)) return [];
+
+  const spans = evidence
+    .filter(item => item && typeof item.quote === 'string' && item.quote.trim().length >= 3)
+    .map(item => {
+      const pattern = item.quote.trim()
+        .split(/\s+/)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('\\s+');
+      const match = new RegExp(pattern, 'i').exec(content);
+      if (!match) return null;
+
+      return {
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        category: EVIDENCE_CATEGORIES.includes(item.category) ? item.category : 'loaded-language',
+        rationale: typeof item.rationale === 'string' ? item.rationale.trim() : ''
+      };
+    })
+    .filter(Boolean);
+
+  return ctnMergeEvidence([spans]);
+};
+
+/**
+ * Combine evidence lists, dropping spans that overlap one already kept
+ * @param {Array<Array>} lists - Located span lists
+ * @returns {Array} Spans in text order, capped at CTN_MAX_EVIDENCE_SPANS
+ */
+const ctnMergeEvidence = (lists) => {
+  const kept = [];
+  lists.flat()
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach(span => {
+      const previous = kept[kept.length - 1];
+      if (!previous || span.start >= previous.end) kept.push(span);
     });
-    
-    this.exa = new Exa(process.env.EXA_API_KEY);
+  return kept.slice(0, CTN_MAX_EVIDENCE_SPANS);
+};
+
+// Highest confidence each analysis tier can report, however sure the model says it is
+const CTN_TIER_CONFIDENCE_CAP = { model: 0.9, source: 0.6, lexicon: 0.5 };
+// Below this many characters the analysis is working from preview-length text
+const CTN_SHORT_TEXT_CHARACTERS = 600;
+
+/**
+ * Turn a tier's self-reported confidence into one comparable across tiers.
+ * Each adjustment is recorded so the final number can be explained.
+ * @param {Object} analysis - Bias analysis with tier, confidence and coverage
+ * @param {Array<number>} chunkScores - Per-chunk scores when the article was analyzed in parts
+ * @returns {Object} The analysis with calibrated confidence and its calibration record
+ */
+const ctnCalibrateConfidence = (analysis, chunkScores = []) => {
+  if (typeof analysis.biasScore !== 'number') {
+    return { ...analysis, confidence: null, calibration: { rawConfidence: analysis.confidence, adjustments: [] } };
+  }
+
+  const adjustments = [];
+  const cap = CTN_TIER_CONFIDENCE_CAP[analysis.tier] || CTN_TIER_CONFIDENCE_CAP.lexicon;
+  let confidence = Math.max(0, Math.min(1, analysis.confidence || 0));
+
+  if (confidence > cap) {
+    adjustments.push({ reason: `${analysis.tier} tier capped at ${cap}`, multiplier: Math.round((cap / confidence) * 100) / 100 });
+    confidence = cap;
+  }
+
+  const coverage = analysis.coverage;
+  if (coverage && coverage.totalCharacters > 0 && coverage.truncated) {
+    const multiplier = 0.7 + 0.3 * (coverage.analyzedCharacters / coverage.totalCharacters);
+    adjustments.push({ reason: 'only part of the article was analyzed', multiplier: Math.round(multiplier * 100) / 100 });
+    confidence *= multiplier;
+  }
+
+  if (coverage && coverage.totalCharacters < CTN_SHORT_TEXT_CHARACTERS) {
+    adjustments.push({ reason: 'preview-length text', multiplier: 0.75 });
+    confidence *= 0.75;
+  }
+
+  if (chunkScores.length > 1) {
+    const mean = chunkScores.reduce((total, score) => total + score, 0) / chunkScores.length;
+    const spread = Math.sqrt(chunkScores.reduce((total, score) => total + (score - mean) ** 2, 0) / chunkScores.length);
+    const multiplier = Math.max(0.5, 1 - spread / 40);
+    if (multiplier < 1) {
+      adjustments.push({ reason: 'article sections disagree', multiplier: Math.round(multiplier * 100) / 100 });
+      confidence *= multiplier;
+    }
+  }
+
+  if (analysis.failedChunks > 0) {
+    const attempted = analysis.coverage.chunks + analysis.failedChunks;
+    const multiplier = analysis.coverage.chunks / attempted;
+    adjustments.push({ reason: 'some article sections could not be analyzed', multiplier: Math.round(multiplier * 100) / 100 });
+    confidence *= multiplier;
   }
 
+  return {
+    ...analysis,
+    confidence: Math.round(confidence * 100) / 100,
+    calibration: { rawConfidence: analysis.confidence, adjustments }
+  };
+};
+
+/**
+ * Overall analysis status for a processed article
+ * @param {Object} bias - Calibrated bias analysis
+ * @param {Object} summary - Summary result
+ * @returns {{ status: string, confidence: number|null, reasons: Array<string> }} complete or degraded, with why
+ */
+const ctnGetAnalysisStatus = (bias, summary) => {
+  const reasons = [];
+  if (bias.tier === 'source') reasons.push('Article analysis failed; scored from the outlet\'s assessment');
+  if (bias.tier === 'lexicon') reasons.push('Model analysis unavailable; scored from the keyword lexicon');
+  if (bias.failedChunks > 0) reasons.push(`${bias.failedChunks} article section(s) could not be analyzed`);
+  if (typeof bias.biasScore !== 'number') reasons.push('Not enough partisan language to rate');
+  if (summary && summary.failed) reasons.push('Summary generation failed');
+
+  return { status: reasons.length > 0 ? 'degraded' : 'complete', confidence: bias.confidence, reasons };
+};
+
+/**
+ * How much of an article an analysis actually read
+ * @param {string} content - Full article text
+ * @param {number} analyzedCharacters - Characters included in the prompts
+ * @param {number} chunks - Number of chunks analyzed
+ * @param {boolean} truncated - Whether part of the article was left out
+ * @returns {{ totalCharacters: number, analyzedCharacters: number, chunks: number, truncated: boolean }}
+ */
+const ctnCoverage = (content, analyzedCharacters, chunks = 1, truncated = analyzedCharacters < content.length) => ({
+  totalCharacters: content.length,
+  // Chunking trims whitespace between paragraphs, which should not read as missing text
+  analyzedCharacters: truncated ? Math.min(analyzedCharacters, content.length) : content.length,
+  chunks,
+  truncated
+});
+
+class CtnAiService {
   /**
-   * Custom utility to extract and parse JSON from AI model responses with markdown cleanup
+   * Extract the JSON object from a model response that has no schema (framing comparison)
    * @param {string} content - The response content from AI model
    * @returns {Object} Parsed JSON object
    */
   ctnParseJsonResponse(content) {
+    const extracted = responseSchemas.extractJson(content);
+    if (extracted.error) {
+      console.error('Failed to parse JSON:', extracted.error);
+      console.error('Content:', String(content).substring(0, 200) + '...');
+      throw new Error(extracted.error);
+    }
+    return extracted.value;
+  }
+
+  /**
+   * Run a prompt and validate its JSON against a response schema, giving the
+   * model one chance to repair an invalid response
+   * @param {string} task - LLM task
+   * @param {string} schema - Response schema (see config/responseSchemas.js)
+   * @param {Object} rendered - Rendered prompt from the prompt registry
+   * @param {Object} input - Article fields the prompt was built from
+   * @param {string} label - Short description for logs
+   * @returns {Promise<{ data: Object, provenance: Object, validation: Object }>} Coerced response, its provenance and validation record
+   * @throws {Error} With code CTN_INVALID_RESPONSE and validationErrors when the repaired response is still invalid
+   */
+  async ctnCompleteValidated(task, schema, rendered, input, label) {
+    const response = await llmProviders.ctnComplete(task, { system: rendered.system, prompt: rendered.prompt, input }, label);
+    const first = responseSchemas.validateResponse(schema, response.text);
+    if (first.errors.length === 0) {
+      return {
+        data: first.value,
+        provenance: ctnProvenance([rendered], response),
+        validation: { repaired: false, warnings: first.warnings }
+      };
+    }
+
+    console.warn(`🔧 CTN ${label} response was invalid (${responseSchemas.formatErrors(first.errors)}), requesting a repair`);
+    const invalid = (message, validationErrors) => Object.assign(new Error(message), { code: 'CTN_INVALID_RESPONSE', validationErrors });
+
+    const repair = promptRegistry.ctnRender('repair', {
+      errors: first.errors.map(({ field, message, received }) => `- ${field || 'response'} ${message} (received: ${received})`).join('\n'),
+      schema: responseSchemas.describeSchema(schema),
+      response: response.text.slice(0, CTN_MAX_REPAIR_ECHO),
+      request: rendered.prompt
+    });
+
+    let repairResponse;
     try {
-      // First try to parse as is
-      return JSON.parse(content);
+      repairResponse = await llmProviders.ctnComplete(task, { system: repair.system, prompt: repair.prompt, input }, `${label} repair`);
     } catch (error) {
-      try {
-        // Remove markdown code blocks if present
-        const cleanContent = content
-          .replace(/```json\s*/g, '')
-          .replace(/```\s*/g, '')
-          .trim();
-        return JSON.parse(cleanContent);
-      } catch (parseError) {
-        console.error('Failed to parse JSON:', parseError.message);
-        console.error('Content:', content.substring(0, 200) + '...');
-        throw parseError;
-      }
+      throw invalid(`${label} response was invalid and the repair request failed: ${error.message}`, first.errors);
     }
+
+    const second = responseSchemas.validateResponse(schema, repairResponse.text);
+    if (second.errors.length > 0) {
+      throw invalid(`${label} response was still invalid after a repair: ${responseSchemas.formatErrors(second.errors)}`, second.errors);
+    }
+
+    return {
+      data: second.value,
+      provenance: ctnProvenance([rendered, repair], repairResponse),
+      validation: { repaired: true, initialErrors: first.errors, warnings: second.warnings }
+    };
   }
 
   /**
    * Comprehensive news article retrieval system with balanced political coverage
    * @param {string} query - Search query for news
-   * @param {string} sources - Specific news sources (optional)
+   * @param {Object} sources - Source filters (optional)
+   * @param {Array<string>} sources.include - Only search these domains
+   * @param {Array<string>} sources.exclude - Never return these domains
    * @param {number} limit - Number of articles to fetch
-   * @returns {Promise<Array>} Array of news articles
+   * @param {Object} options - Date range and ordering (optional)
+   * @param {string} options.from - Earliest publish date (ISO); defaults to 14 days (7 for the mixed search) before `to`
+   * @param {string} options.to - Latest publish date (ISO); defaults to now
+   * @param {string} options.sortBy - 'relevance' (each search's own ranking) or 'date' (newest first within each search)
+   * @returns {Promise<Object>} Articles plus the retrieval provider that served them and whether they are synthetic
    */
-  async ctnSearchNewsArticles(query, sources = '', limit = 10) {
-    try {
-      const cacheKey = `ctn_news_${query}_${sources}_${limit}`;
-      const cached = ctnCache.get(cacheKey);
-      if (cached) return cached;
-
-      console.log(`🔍 CTN News Intelligence System searching: "${query}"`);
-
-      // Perform diverse searches to get comprehensive news coverage
-      const categoryA = ["huffpost.com", "salon.com", "vox.com", "motherjones.com", "thedailybeast.com", "slate.com", "msnbc.com", "cnn.com", "thenation.com", "jacobinmag.com"];
-      const categoryB = ["npr.org", "reuters.com", "bbc.com", "apnews.com", "abcnews.go.com", "cbsnews.com", "nbcnews.com", "pbs.org"];
-      const categoryC = ["foxnews.com", "wsj.com", "nypost.com", "dailywire.com", "nationalreview.com", "theblaze.com", "breitbart.com", "townhall.com"];
-      const allSourceDomains = [...categoryA, ...categoryB, ...categoryC, "theguardian.com", "washingtonpost.com", "nytimes.com", "politico.com", "theatlantic.com", "usatoday.com", "bloomberg.com"];
-
-      const searchPromises = [];
-      const resultsPerCategory = Math.ceil(limit / 4); // Divide by 4 for better distribution
-      
-      // Search 1: First source category
-      searchPromises.push(this.exa.searchAndContents(query, {
-        type: "neural",
-        useAutoprompt: true,
-        numResults: Math.min(resultsPerCategory, 8),
-        includeDomains: categoryA,
-        startPublishedDate: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString(),
-        text: { maxCharacters: 800, includeHtmlTags: false },
-        includeImageUrls: true
-      }));
-
-      // Search 2: Second source category
-      searchPromises.push(this.exa.searchAndContents(query, {
-        type: "neural",
-        useAutoprompt: true,
-        numResults: Math.min(resultsPerCategory, 8),
-        includeDomains: categoryC,
-        startPublishedDate: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString(),
-        text: { maxCharacters: 800, includeHtmlTags: false },
-        includeImageUrls: true
-      }));
-
-      // Search 3: Third source category
-      searchPromises.push(this.exa.searchAndContents(query, {
-        type: "neural",
-        useAutoprompt: true,
-        numResults: Math.min(resultsPerCategory, 8),
-        includeDomains: categoryB,
-        startPublishedDate: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString(),
-        text: { maxCharacters: 800, includeHtmlTags: false },
-        includeImageUrls: true
-      }));
-
-      // Search 4: Mixed sources for additional coverage
-      searchPromises.push(this.exa.searchAndContents(query, {
-        type: "neural", 
-        useAutoprompt: true,
-        numResults: Math.min(limit, 10),
-        includeDomains: sources ? sources.split(',').map(s => s.trim()) : allSourceDomains,
-        startPublishedDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
-        text: { maxCharacters: 800, includeHtmlTags: false },
-        includeImageUrls: true
-      }));
-
-      const searchPromise = Promise.all(searchPromises);
-
-      // Add 10 second timeout
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Exa API timeout')), 10000)
-      );
+  async ctnSearchNewsArticles(query, sources = {}, limit = 10, options = {}) {
+    const { include = [], exclude = [] } = sources;
+    const { from = null, to = null, sortBy = 'relevance' } = options;
+    const cacheKey = `ctn_news_${query}_${[...include].sort().join(',')}_${[...exclude].sort().join(',')}_${limit}_${from || ''}_${to || ''}_${sortBy}`;
+
+    const cached = ctnCache.get(cacheKey);
+    if (cached) return cached;
+
+    console.log(`🔍 CTN News Intelligence System searching: "${query}"`);
+
+    // Perform diverse searches to get comprehensive news coverage
+    const { categoryA, categoryB, categoryC } = sourceRegistry.getCategoryDomains();
+    const allSourceDomains = sourceRegistry.getSearchableDomains();
+
+    // Allow-list narrows every search; deny-list is removed from every search
+    const allowed = include.length ? new Set(include) : null;
+    const denied = new Set(exclude);
+    const applySourceFilter = domains => domains.filter(domain => (!allowed || allowed.has(domain)) && !denied.has(domain));
+
+    // Default look-back windows are measured from the end of the requested range
+    const windowEnd = to ? new Date(to).getTime() : Date.now();
+    const publishWindow = days => ({
+      startPublishedDate: from || new Date(windowEnd - days * 24 * 60 * 60 * 1000).toISOString(),
+      endPublishedDate: to
+    });
 
-      const searchResults = await Promise.race([searchPromise, timeoutPromise]);
+    const resultsPerCategory = Math.ceil(limit / 4); // Divide by 4 for better distribution
+    const searchPlan = [
+      { domains: applySourceFilter(categoryA), numResults: Math.min(resultsPerCategory, CTN_MAX_RESULTS_PER_SEARCH), ...publishWindow(14) },
+      { domains: applySourceFilter(categoryC), numResults: Math.min(resultsPerCategory, CTN_MAX_RESULTS_PER_SEARCH), ...publishWindow(14) },
+      { domains: applySourceFilter(categoryB), numResults: Math.min(resultsPerCategory, CTN_MAX_RESULTS_PER_SEARCH), ...publishWindow(14) },
+      // Mixed sources for additional coverage
+      { domains: allowed ? include.filter(domain => !denied.has(domain)) : applySourceFilter(allSourceDomains), numResults: Math.min(limit, CTN_MAX_RESULTS_PER_SEARCH), ...publishWindow(7) }
+    ].filter(search => search.domains.length > 0);
+
+    const retrieval = newsRetrieval.ctnDescribe().primary;
+    if (searchPlan.length === 0) {
+      return { articles: [], provider: retrieval.id, synthetic: retrieval.synthetic };
+    }
 
-      // Combine results from both searches and remove duplicates
-      const allResults = [];
-      searchResults.forEach(searchResult => {
-        if (searchResult && searchResult.results) {
-          allResults.push(...searchResult.results);
-        }
-      });
+    let retrieved;
+    try {
+      retrieved = await newsRetrieval.ctnSearch(query, searchPlan);
+    } catch (error) {
+      console.error('Error in CTN news search system:', error);
+      throw error;
+    }
 
-      // Remove duplicate URLs
-      const seenUrls = new Set();
-      const uniqueResults = allResults.filter(result => {
-        if (seenUrls.has(result.url)) {
-          return false;
-        }
-        seenUrls.add(result.url);
-        return true;
-      });
+    const { resultsBySearch, provider, synthetic, fallbackReason } = retrieved;
 
-      console.log(`📰 CTN retrieved ${uniqueResults.length} unique articles (${allResults.length} total before deduplication)`);
-
-
-      // Transform Exa results to our format
-      const articles = {
-        articles: uniqueResults.slice(0, limit).map(result => {
-          // Use the actual image from Exa API if available, otherwise fallback to generic
-          let imageUrl = result.image || result.imageUrl || result.featuredImage || result.thumbnail;
-          
-          // If no image from Exa, use generic fallback
-          if (!imageUrl) {
-            imageUrl = "https://images.unsplash.com/photo-1504711434969-e33886168f5c?w=800&h=600&fit=crop&crop=center";
-          }
-
-          return {
-            title: result.title || 'Untitled Article',
-            content: result.text || result.summary || 'No content available',
-            source: this.ctnExtractSourceDomain(result.url),
-            url: result.url,
-            publishedAt: result.publishedDate || new Date().toISOString(),
-            author: result.author || null,
-            imageUrl: imageUrl
-          };
-        })
-      };
+    // Remove duplicate URLs and anything on a denied domain (including subdomains);
+    // earlier searches in the plan keep an article found by several
+    const seenUrls = new Set();
+    const uniqueBySearch = resultsBySearch.map(results => results.filter(result => {
+      const host = sourceRegistry.normalizeHost(result.url);
+      if (seenUrls.has(result.url) || exclude.some(domain => host === domain || host.endsWith(`.${domain}`))) {
+        return false;
+      }
+      seenUrls.add(result.url);
+      return true;
+    }));
+
+    // Scores are only comparable within one search, so each is ordered on its own
+    if (sortBy === 'date') {
+      uniqueBySearch.forEach(results => results.sort((a, b) =>
+        (new Date(b.publishedDate).getTime() || 0) - (new Date(a.publishedDate).getTime() || 0)));
+    }
+    const uniqueResults = ctnInterleave(uniqueBySearch);
+
+    console.log(`📰 CTN retrieved ${uniqueResults.length} unique articles from ${provider} (${resultsBySearch.flat().length} total before deduplication)`);
+
+    // Transform provider results to our format
+    const articles = {
+      articles: uniqueResults.slice(0, limit).map(result => ({
+        title: result.title || 'Untitled Article',
+        content: result.text || 'No content available',
+        source: this.ctnExtractSourceDomain(result.url),
+        url: result.url,
+        publishedAt: result.publishedDate || new Date().toISOString(),
+        author: result.author || null,
+        // Generic fallback image when the provider has none
+        imageUrl: result.image || "https://images.unsplash.com/photo-1504711434969-e33886168f5c?w=800&h=600&fit=crop&crop=center",
+        ...((synthetic || result.synthetic) && { synthetic: true })
+      })),
+      provider,
+      synthetic,
+      ...(fallbackReason && { fallbackReason })
+    };
 
+    // Fallback results are only held briefly so the primary provider is retried soon
+    if (fallbackReason) {
+      ctnCache.set(cacheKey, articles, 60);
+    } else {
       ctnCache.set(cacheKey, articles);
-      return articles;
-
-    } catch (error) {
-      console.error('Error in CTN news search system:', error);
-      
-      //  fallback system 
-      console.log(' CTN activating fallback news data system');
-      const fallbackArticles = {
-        articles: [
-          {
-            title: "Breaking: Major Tech Companies Announce AI Safety Initiative",
-            content: "Leading technology companies have announced a comprehensive AI safety initiative aimed at ensuring responsible development of artificial intelligence systems. The collaboration involves establishing shared safety standards, conducting joint research on AI alignment, and creating transparent reporting mechanisms for AI development milestones. Industry experts view this as a crucial step toward preventing potential risks associated with advanced AI systems while promoting innovation in the field.",
-            source: "TechNews Daily",
-            url: "https://example.com/ai-safety-initiative",
-            publishedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-            author: "Sarah Mitchell",
-            imageUrl: "https://images.unsplash.com/photo-1677442136019-21780ecad995?w=800&h=600&fit=crop&crop=center"
-          },
-          {
-            title: "Climate Scientists Report Breakthrough in Carbon Capture Technology",
-            content: "Researchers have developed a revolutionary carbon capture system that can remove CO2 from the atmosphere at unprecedented efficiency rates. The new technology combines advanced materials science with AI-powered optimization to achieve 90% capture efficiency while significantly reducing energy costs. The breakthrough could play a crucial role in meeting global climate targets and represents a major advancement in the fight against climate change.",
-            source: "Environmental Science Today",
-            url: "https://example.com/carbon-capture-breakthrough",
-            publishedAt: new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString(),
-            author: "Dr. Michael Chen",
-            imageUrl: "https://images.unsplash.com/photo-1569163139394-de4e5f43e4e3?w=800&h=600&fit=crop&crop=center"
-          },
-          {
-            title: "Global Markets React to New Economic Policy Announcements",
-            content: "International financial markets showed mixed reactions to recent economic policy announcements from major central banks. While some sectors experienced volatility, others demonstrated resilience as investors analyze the implications of changing monetary policies. Economic analysts suggest that market uncertainty reflects broader concerns about inflation, interest rates, and global economic stability in the coming quarters.",
-            source: "Financial Review",
-            url: "https://example.com/market-reaction-policy",
-            publishedAt: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
-            author: "Jennifer Rodriguez",
-            imageUrl: "https://images.unsplash.com/photo-1611974789855-9c2a0a7236a3?w=800&h=600&fit=crop&crop=center"
-          },
-          {
-            title: "Medical Research: New Drug Shows Promise in Alzheimer's Treatment",
-            content: "Clinical trials for a new Alzheimer's treatment have shown promising results, with patients experiencing significant improvements in cognitive function and memory retention. The drug targets specific proteins associated with the disease and has demonstrated fewer side effects compared to existing treatments. Medical experts are cautiously optimistic about the potential for this treatment to provide new hope for millions of Alzheimer's patients worldwide.",
-            source: "Medical Journal Weekly",
-            url: "https://example.com/alzheimers-drug-trial",
-            publishedAt: new Date(Date.now() - 8 * 60 * 60 * 1000).toISOString(),
-            author: "Dr. Amanda Foster",
-            imageUrl: "https://images.unsplash.com/photo-1582719508461-905c673771fd?w=800&h=600&fit=crop&crop=center"
-          },
-          {
-            title: "Space Exploration: International Collaboration on Mars Mission Announced",
-            content: "Space agencies from multiple countries have announced an ambitious collaborative mission to Mars, aimed at establishing a sustainable human presence on the Red Planet. The mission involves advanced life support systems, habitat construction, and resource utilization technologies. Scientists believe this international cooperation represents a significant milestone in space exploration and could pave the way for future interplanetary settlements.",
-            source: "Space Technology Review",
-            url: "https://example.com/mars-mission-collaboration",
-            publishedAt: new Date(Date.now() - 10 * 60 * 60 * 1000).toISOString(),
-            author: "Dr. James Parker",
-            imageUrl: "https://images.unsplash.com/photo-1446776653964-20c1d3a81b06?w=800&h=600&fit=crop&crop=center"
-          }
-        ]
-      };
-      
-      ctnCache.set(cacheKey, fallbackArticles);
-      return fallbackArticles;
     }
+    return articles;
+  }
+
+  /**
+   * Determine which outlet category an article's URL belongs to
+   * @param {string} url - Full article URL
+   * @returns {string|null} categoryA, categoryB, categoryC, or null for other outlets
+   */
+  ctnGetSourceCategory(url) {
+    const registeredSource = sourceRegistry.getSourceByDomain(url);
+    return registeredSource && sourceRegistry.SEARCH_CATEGORIES.includes(registeredSource.searchCategory)
+      ? registeredSource.searchCategory
+      : null;
   }
 
   /**
@@ -253,6 +475,35 @@ class CtnAiService {
 
 
 
+  /**
+   * Split article text into chunks of at most `size` characters
+   * Breaks on paragraphs first, then sentences, and only cuts mid-sentence as a last resort.
+   * @param {string} text - Article text
+   * @param {number} size - Maximum chunk length
+   * @returns {Array<string>} Chunks in article order
+   */
+  ctnChunkText(text, size = CTN_ANALYSIS_CHUNK_SIZE) {
+    const pieces = text
+      .split(/\n\s*\n/)
+      .flatMap(paragraph => paragraph.length <= size ? [paragraph] : paragraph.split(/(?<=[.!?])\s+/))
+      .flatMap(piece => piece.length <= size ? [piece] : piece.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g')))
+      .map(piece => piece.trim())
+      .filter(Boolean);
+
+    const chunks = [];
+    let current = '';
+    pieces.forEach(piece => {
+      if (current && current.length + piece.length + 2 > size) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+  }
+
   /**
    * Advanced political bias detection and analysis system
    * @param {string} content - Article content
@@ -262,86 +513,106 @@ class CtnAiService {
    */
   async ctnAnalyzePoliticalBias(content, title, source) {
     try {
-      const cacheKey = `ctn_bias_${Buffer.from(content).toString('base64').slice(0, 50)}`;
-      const cached = ctnCache.get(cacheKey);
+      const cacheInput = { title, source, content };
+      const cached = await analysisCache.ctnGet('bias', cacheInput);
       if (cached) return cached;
 
-      const biasPrompt = `
-        Analyze the political bias of this news article and provide a score from 0-100. Be sensitive to subtle bias indicators and avoid over-categorizing as neutral.
-
-        BIAS SCORING SCALE:
-        - 0-20: Highly Liberal (strong progressive/left-wing perspective)
-        - 21-40: Liberal (moderate left-leaning perspective)  
-        - 41-60: Neutral/Centrist (balanced, minimal bias)
-        - 61-80: Conservative (moderate right-leaning perspective)
-        - 81-100: Highly Conservative (strong conservative/right-wing perspective)
-
-        Article Details:
-        Title: "${title}"
-        Source: "${source}"
-        Content: "${content.substring(0, 1000)}..."
-
-        CRITICAL ANALYSIS GUIDELINES:
-        1. Source Context: Research the source's known editorial stance and reputation
-        2. Language Analysis: Look for emotionally charged words, loaded terms, selective adjectives
-        3. Story Framing: How is the narrative structured? What angle is emphasized?
-        4. Source Selection: Which experts/officials are quoted? Are opposing views included?
-        5. Fact Selection: What information is highlighted vs. downplayed or omitted?
-        6. Implicit Assumptions: What underlying worldview does the article assume?
-
-        IMPORTANT: Do NOT default to neutral unless the content truly shows balanced reporting. Most news sources have some degree of bias - detect and measure it accurately.
-
-        Examples of bias indicators:
-        - Liberal bias: Focus on social justice, climate urgency, healthcare access, income inequality
-        - Conservative bias: Emphasis on law and order, fiscal responsibility, traditional values, border security
-        - Neutral: Presents multiple perspectives, uses factual language, minimal editorial tone
-
-        Return ONLY a JSON object:
-        {
-          "biasScore": 32,
-          "biasLabel": "Liberal",
-          "confidence": 0.78,
-          "reasoning": "Detailed explanation of specific bias indicators found",
-          "keyIndicators": ["specific-indicator1", "specific-indicator2", "specific-indicator3"]
-        }
-      `;
-
-      const response = await this.anthropic.messages.create({
-        model: "claude-3-haiku-20240307", // Claude model
-        max_tokens: 500,
-        temperature: 0.1,
-        system: "You are a political bias analyst specializing in objective media assessment. Provide accurate bias evaluations using established journalistic standards and media analysis frameworks.",
-        messages: [
-          {
-            role: "user",
-            content: biasPrompt
-          }
-        ]
-      });
-
-      const biasAnalysis = this.ctnParseJsonResponse(response.content[0].text);
-      
-      // Validate and sanitize the response without static adjustments
-      const result = {
-        biasScore: Math.max(0, Math.min(100, biasAnalysis.biasScore || 50)),
-        biasLabel: biasAnalysis.biasLabel || 'Neutral/Centrist',
-        confidence: Math.max(0, Math.min(1, biasAnalysis.confidence || 0.5)),
-        reasoning: biasAnalysis.reasoning || 'AI-powered bias analysis completed',
-        keyIndicators: biasAnalysis.keyIndicators || [],
-        analysisMethod: 'CTN AI-powered primary analysis'
-      };
+      const allChunks = this.ctnChunkText(content);
+      const chunks = allChunks.slice(0, CTN_MAX_ANALYSIS_CHUNKS);
+      const chunkResults = await Promise.allSettled(chunks.map((chunk, index) =>
+        this.ctnAnalyzeBiasChunk(chunk, title, source, index, chunks.length)
+      ));
+      const analyses = chunkResults
+        .map((chunkResult, index) => chunkResult.status === 'fulfilled' && { ...chunkResult.value, characters: chunks[index].length })
+        .filter(Boolean);
+
+      if (analyses.length === 0) {
+        throw chunkResults[0] ? chunkResults[0].reason : new Error('No article content to analyze');
+      }
 
-      ctnCache.set(cacheKey, result);
+      // Chunks count toward the verdict by length and by the model's confidence in them
+      const weights = analyses.map(analysis => analysis.characters * Math.max(0.1, analysis.confidence));
+      const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+      const biasScore = Math.round(analyses.reduce((total, analysis, index) => total + analysis.biasScore * weights[index], 0) / totalWeight);
+      const analyzedCharacters = analyses.reduce((total, analysis) => total + analysis.characters, 0);
+      const truncated = analyses.length < allChunks.length;
+
+      const result = ctnCalibrateConfidence({
+        biasScore,
+        biasLabel: analyses.length === 1 ? analyses[0].biasLabel : biasScale.getBiasLabel(biasScore),
+        confidence: Math.round(analyses.reduce((total, analysis) => total + analysis.confidence * analysis.characters, 0) / analyzedCharacters * 100) / 100,
+        reasoning: [...new Set(analyses.map(analysis => analysis.reasoning))].join(' '),
+        keyIndicators: [...new Set(analyses.flatMap(analysis => analysis.keyIndicators))].slice(0, 8),
+        dimensions: biasDimensions.mergeDimensions(analyses.map((analysis, index) => ({ dimensions: analysis.dimensions, weight: weights[index] }))),
+        evidence: ctnMergeEvidence(analyses.map(analysis => ctnLocateEvidence(content, analysis.evidence))),
+        analysisMethod: 'CTN AI-powered primary analysis',
+        tier: 'model',
+        provenance: {
+          ...analyses[0].provenance,
+          prompts: [...new Map(analyses.flatMap(analysis => analysis.provenance.prompts).map(prompt => [prompt.id, prompt])).values()]
+        },
+        validation: ctnMergeValidation(analyses.map(analysis => analysis.validation)),
+        failedChunks: chunks.length - analyses.length,
+        coverage: ctnCoverage(content, analyzedCharacters, analyses.length, truncated)
+      }, analyses.map(analysis => analysis.biasScore));
+
+      // A partial result is retried next time rather than kept for the whole TTL
+      if (result.failedChunks === 0) {
+        await analysisCache.ctnSet('bias', cacheInput, result, title);
+      }
       return result;
 
     } catch (error) {
       console.error('Error in CTN political bias analysis:', error);
       
       // Fallback to AI-powered source-based bias detection when primary analysis fails
-      return await this.ctnGetSourceBasedBiasAnalysis(source, title, content);
+      const fallback = await this.ctnGetSourceBasedBiasAnalysis(source, title, content);
+      return ctnCalibrateConfidence({
+        ...fallback,
+        fallbackErrors: [ctnFallbackError('model', error), ...(fallback.fallbackErrors || [])]
+      });
     }
   }
 
+  /**
+   * Run the bias prompt on one chunk of an article
+   * @param {string} chunk - Chunk text
+   * @param {string} title - Article title
+   * @param {string} source - News source
+   * @param {number} index - Chunk position
+   * @param {number} total - Number of chunks analyzed
+   * @returns {Promise<Object>} Sanitized bias analysis for the chunk
+   */
+  async ctnAnalyzeBiasChunk(chunk, title, source, index, total) {
+    const contentLabel = total > 1 ? `Content (part ${index + 1} of ${total})` : 'Content';
+    const rendered = promptRegistry.ctnRender('bias', {
+      ...CTN_BIAS_PROMPT_FRAGMENTS,
+      title,
+      source,
+      contentLabel,
+      content: chunk
+    });
+
+    // A response without a valid score is a failed chunk, not a centrist one
+    const { data: biasAnalysis, provenance, validation } = await this.ctnCompleteValidated(
+      'bias', 'bias', rendered, { title, content: chunk, source },
+      total > 1 ? `bias analysis ${index + 1}/${total}` : 'bias analysis'
+    );
+    const { label, warning } = responseSchemas.resolveBiasLabel(biasAnalysis.biasScore, biasAnalysis.biasLabel);
+
+    return {
+      biasScore: biasAnalysis.biasScore,
+      biasLabel: label,
+      confidence: typeof biasAnalysis.confidence === 'number' ? biasAnalysis.confidence : 0.5,
+      reasoning: biasAnalysis.reasoning || 'AI-powered bias analysis completed',
+      keyIndicators: biasAnalysis.keyIndicators || [],
+      dimensions: biasDimensions.completeDimensions(biasDimensions.normalizeDimensions(biasAnalysis.dimensions), title, chunk),
+      evidence: biasAnalysis.evidence || [],
+      provenance,
+      validation: { ...validation, warnings: warning ? [...validation.warnings, warning] : validation.warnings }
+    };
+  }
+
   /**
    * Intelligent source-based bias analysis with real-time AI assessment
    * @param {string} source - News source
@@ -352,8 +623,8 @@ class CtnAiService {
   async ctnGetSourceBasedBiasAnalysis(source, title, content) {
     try {
       // CTN cache key for source analysis to avoid repeated API calls for same source
-      const sourceCacheKey = `ctn_source_bias_${source.toLowerCase().replace(/[^a-z0-9]/g, '_')}`;
-      const cachedSourceAnalysis = ctnCache.get(sourceCacheKey);
+      const sourceCacheInput = { source: source.toLowerCase().replace(/[^a-z0-9]/g, '_') };
+      const cachedSourceAnalysis = await analysisCache.ctnGet('sourceRating', sourceCacheInput);
       
       let sourceAnalysis;
       
@@ -362,274 +633,107 @@ class CtnAiService {
         console.log(`📋 CTN using cached bias analysis for ${source}`);
       } else {
         // Use AI to analyze the source's reputation and bias in real-time
-        const sourceAnalysisPrompt = `
-          Analyze the political bias and reputation of the news source "${source}" based on current academic research, fact-checking organizations, and media analysis frameworks as of 2024.
-
-          Research and consider these authoritative sources:
-          1. AllSides Media Bias Ratings (allsides.com)
-          2. Ad Fontes Media Bias Chart (adfontesmedia.com)
-          3. Media Bias/Fact Check ratings
-          4. Pew Research Center media studies
-          5. Reuters Institute Digital News Report
-          6. Academic studies on media bias and reliability
-
-          Analyze based on:
-          - Editorial stance and ownership structure
-          - Historical reporting patterns and fact-checking scores
-          - Audience targeting and funding model
-          - Professional journalism standards adherence
-          - Transparency in corrections and retractions
-
-          Provide a comprehensive real-time assessment from 0-100:
-          - 0-20: Highly Liberal (e.g., strongly progressive editorial stance)
-          - 21-40: Liberal (e.g., left-leaning but maintains journalistic standards)
-          - 41-60: Neutral/Centrist (e.g., balanced reporting, minimal editorial bias)
-          - 61-80: Conservative (e.g., right-leaning but maintains journalistic standards)
-          - 81-100: Highly Conservative (e.g., strongly conservative editorial stance)
-
-          Return ONLY a JSON object:
-          {
-            "biasScore": 45,
-            "biasLabel": "Liberal",
-            "confidence": 0.85,
-            "reasoning": "Detailed explanation based on current research and ratings",
-            "keyIndicators": ["methodology-used", "rating-sources", "reliability-factors"],
-            "sourceReliability": "High/Medium/Low",
-            "lastUpdated": "Current analysis date"
-          }
-        `;
-
-        const response = await this.anthropic.messages.create({
-          model: "claude-3-haiku-20240307", // Cheapest Claude model
-          max_tokens: 600,
-          temperature: 0.1,
-          system: "You are a CTN media research specialist with expertise in contemporary media analysis frameworks. Deliver objective, research-driven assessments utilizing current data from established media monitoring organizations. Focus on real-time analysis rather than static categorizations.",
-          messages: [
-            {
-              role: "user",
-              content: sourceAnalysisPrompt
-            }
-          ]
-        });
-
-        sourceAnalysis = this.ctnParseJsonResponse(response.content[0].text);
+        const rendered = promptRegistry.ctnRender('source-rating', { source, scaleGuide: biasScale.describeBiasScale() });
+
+        const { data, provenance, validation } = await this.ctnCompleteValidated(
+          'sourceRating', 'sourceRating', rendered, { source }, 'source assessment'
+        );
+        sourceAnalysis = { ...data, provenance, validation };
         
-        // CTN cache the source analysis for 24 hours to avoid repeated calls
-        ctnCache.set(sourceCacheKey, sourceAnalysis, 86400);
+        // Source ratings change slowly; the sourceRating TTL (24 hours by default) avoids repeated calls
+        await analysisCache.ctnSet('sourceRating', sourceCacheInput, sourceAnalysis, source);
         console.log(`🔍 CTN generated new real-time bias analysis for ${source}`);
       }
 
-      // Now analyze the specific article content in context of the source bias
-      const contentAnalysisPrompt = `
-        Given that "${source}" has been analyzed as "${sourceAnalysis.biasLabel}" with a bias score of ${sourceAnalysis.biasScore}, 
-        now analyze this specific article for any additional bias indicators or deviations from the source's typical pattern:
+      // The in-context pass reads the article's opening chunk
+      const contentChunks = this.ctnChunkText(content);
+      const openingChunk = contentChunks[0] || '';
 
-        Title: "${title}"
-        Content: "${content.substring(0, 800)}..."
+      // Now analyze the specific article content in context of the source bias
+      const rendered = promptRegistry.ctnRender('source-content', {
+        ...CTN_BIAS_PROMPT_FRAGMENTS,
+        source,
+        sourceBiasLabel: biasScale.getBiasLabel(sourceAnalysis.biasScore),
+        sourceBiasScore: sourceAnalysis.biasScore,
+        title,
+        content: openingChunk
+      });
 
-        Consider:
-        1. Does this article align with or deviate from the source's typical bias pattern?
-        2. Are there specific linguistic choices, framing, or selection of facts that indicate bias?
-        3. How does the article's tone and presentation compare to neutral reporting standards?
+      const { data: contentAnalysis, provenance, validation } = await this.ctnCompleteValidated(
+        'sourceRating', 'contentAdjustment', rendered, { title, content: openingChunk, source }, 'content assessment'
+      );
 
-        Adjust the bias score if needed based on this specific content, but stay within a reasonable range of the source's typical bias pattern.
+      const biasScore = contentAnalysis.finalBiasScore;
+      const { label, warning } = responseSchemas.resolveBiasLabel(biasScore, contentAnalysis.finalBiasLabel);
+      const confidence = [contentAnalysis.confidence, sourceAnalysis.confidence].find(value => typeof value === 'number');
 
-        Return ONLY a JSON object:
-        {
-          "finalBiasScore": 45,
-          "finalBiasLabel": "Liberal",
-          "confidence": 0.85,
-          "reasoning": "Combined source reputation and specific content analysis",
-          "keyIndicators": ["source-pattern", "content-specific", "linguistic-analysis"]
-        }
-      `;
-
-      const contentResponse = await this.anthropic.messages.create({
-        model: "claude-3-haiku-20240307", // Cheapest Claude model
-        max_tokens: 400,
-        temperature: 0.1,
-        system: "You are a CTN content analyst evaluating articles within their source's established bias patterns. Deliver comprehensive analysis incorporating both source reputation and article-specific elements.",
-        messages: [
-          {
-            role: "user",
-            content: contentAnalysisPrompt
-          }
-        ]
-      });
-
-      const contentAnalysis = this.ctnParseJsonResponse(contentResponse.content[0].text);
-      
       // Combine source and content analysis
       return {
-        biasScore: Math.max(0, Math.min(100, contentAnalysis.finalBiasScore || sourceAnalysis.biasScore || 50)),
-        biasLabel: contentAnalysis.finalBiasLabel || sourceAnalysis.biasLabel || 'Neutral/Centrist',
-        confidence: Math.max(0, Math.min(1, contentAnalysis.confidence || sourceAnalysis.confidence || 0.5)),
+        biasScore,
+        biasLabel: label,
+        confidence: confidence === undefined ? 0.5 : confidence,
         reasoning: `${sourceAnalysis.reasoning || 'Source analysis completed'}. ${contentAnalysis.reasoning || 'Content analysis completed'}`,
         keyIndicators: [...(sourceAnalysis.keyIndicators || []), ...(contentAnalysis.keyIndicators || [])],
         sourceReliability: sourceAnalysis.sourceReliability || 'Medium',
-        analysisMethod: 'CTN AI-powered real-time source and content assessment'
+        dimensions: biasDimensions.completeDimensions(biasDimensions.normalizeDimensions(contentAnalysis.dimensions), title, openingChunk),
+        evidence: ctnLocateEvidence(content, contentAnalysis.evidence),
+        analysisMethod: 'CTN AI-powered real-time source and content assessment',
+        tier: 'source',
+        provenance: { ...provenance, prompts: [...sourceAnalysis.provenance.prompts, ...provenance.prompts] },
+        validation: ctnMergeValidation([sourceAnalysis.validation, { ...validation, warnings: warning ? [...validation.warnings, warning] : validation.warnings }]),
+        coverage: ctnCoverage(content, openingChunk.length, 1, contentChunks.length > 1)
       };
 
     } catch (error) {
       console.error('Error in CTN AI-powered source analysis:', error);
       
       // Final fallback: content-based analysis using keyword detection
-      return this.ctnAnalyzeContentBasedBias(title, content, source);
+      return {
+        ...this.ctnAnalyzeContentBasedBias(title, content, source),
+        fallbackErrors: [ctnFallbackError('source', error)]
+      };
     }
   }
 
   /**
-   * Advanced content-based bias detection using linguistic analysis
+   * Deterministic content-based bias detection from the weighted bias lexicon
    * @param {string} title - Article title
    * @param {string} content - Article content  
    * @param {string} source - News source
    * @returns {Object} Bias analysis result
    */
   ctnAnalyzeContentBasedBias(title, content, source) {
-    const titleLower = title.toLowerCase();
-    const contentLower = content.toLowerCase();
-    
-    // Enhanced keyword analysis for more sensitive bias detection
-    const liberalKeywords = [
-      // Political terms
-      'progressive', 'liberal', 'democratic', 'democrats', 'left-wing', 'activist',
-      // Social issues  
-      'climate change', 'global warming', 'social justice', 'systemic racism', 'white privilege',
-      'healthcare reform', 'medicare for all', 'gun control', 'assault weapons', 'LGBTQ', 'transgender rights',
-      'immigration reform', 'dreamers', 'refugees', 'asylum seekers', 'diversity', 'inclusion',
-      'income inequality', 'wealth gap', 'minimum wage', 'living wage', 'union', 'workers rights',
-      'environmental protection', 'renewable energy', 'green new deal', 'civil rights', 'voting rights',
-      // Emotional language
-      'vulnerable communities', 'marginalized', 'oppressed', 'exploited', 'corporate greed'
-    ];
-    
-    const conservativeKeywords = [
-      // Political terms
-      'conservative', 'republican', 'republicans', 'right-wing', 'patriot', 'constitutional',
-      'traditional values', 'family values', 'religious freedom', 'christian values',
-      // Economic issues
-      'tax cuts', 'deregulation', 'free market', 'capitalism', 'small business', 'job creators',
-      'fiscal responsibility', 'balanced budget', 'national debt', 'government spending',
-      // Security/law
-      'second amendment', 'gun rights', 'border security', 'illegal immigration', 'law and order',
-      'crime', 'public safety', 'police', 'military', 'national security', 'terrorism',
-      // Social issues
-      'limited government', 'states rights', 'school choice', 'pro-life', 'unborn',
-      // Emotional language
-      'radical left', 'socialist', 'communist', 'woke', 'cancel culture', 'mainstream media'
-    ];
-
-    const neutralKeywords = [
-      'bipartisan', 'nonpartisan', 'balanced', 'objective', 'factual', 'data shows',
-      'according to data', 'research shows', 'experts say', 'analysis reveals', 'study finds',
-      'officials said', 'sources indicate', 'reported', 'confirmed', 'statistics show'
-    ];
-    
-    let liberalScore = 0;
-    let conservativeScore = 0;
-    let neutralScore = 0;
-    
-    // Analyze keyword frequency and context
-    liberalKeywords.forEach(keyword => {
-      const titleMatches = (titleLower.match(new RegExp(keyword, 'g')) || []).length;
-      const contentMatches = (contentLower.match(new RegExp(keyword, 'g')) || []).length;
-      liberalScore += (titleMatches * 2) + contentMatches; // Title matches weighted more
-    });
-    
-    conservativeKeywords.forEach(keyword => {
-      const titleMatches = (titleLower.match(new RegExp(keyword, 'g')) || []).length;
-      const contentMatches = (contentLower.match(new RegExp(keyword, 'g')) || []).length;
-      conservativeScore += (titleMatches * 2) + contentMatches;
-    });
+    const lexicon = lexiconAnalyzer.ctnAnalyze(title, content);
+    const registeredSource = sourceRegistry.findSourceByName(source);
+
+    const contributing = lexicon.contributions.filter(contribution => contribution.points > 0);
+    const describe = (leaning) => contributing
+      .filter(contribution => contribution.leaning === leaning)
+      .map(contribution => `"${contribution.term}" (${contribution.points})`)
+      .join(', ') || 'none';
+
+    const reasoning = lexicon.insufficientSignal
+      ? `Lexicon analysis: too little partisan language to assign a lean (${lexicon.signal.left + lexicon.signal.right} weighted points in the ${source} article).`
+      : `Lexicon analysis: left-leaning terms ${describe('left')}; right-leaning terms ${describe('right')}; balanced-reporting cues ${describe('neutral')}.`;
 
-    neutralKeywords.forEach(keyword => {
-      const titleMatches = (titleLower.match(new RegExp(keyword, 'g')) || []).length;
-      const contentMatches = (contentLower.match(new RegExp(keyword, 'g')) || []).length;
-      neutralScore += (titleMatches * 2) + contentMatches;
-    });
-    
-    // Enhanced source-based bias detection with forced distribution
-    const sourceLower = source.toLowerCase();
-    
-    // Source categorization for bias analysis
-    const sourceGroupAlpha = [
-      'huffington', 'huffpost', 'salon', 'vox', 'dailykos', 'motherjones', 'thenation',
-      'commondreams', 'thinkprogress', 'mediamatters', 'rawstory', 'alternet', 'truthout',
-      'democracynow', 'jacobin', 'slate', 'washingtonpost', 'nytimes', 'cnn', 'msnbc'
-    ];
-    
-    const sourceGroupBeta = [
-      'foxnews', 'fox', 'dailywire', 'breitbart', 'nationalreview', 'townhall',
-      'dailycaller', 'redstate', 'theblaze', 'washingtonexaminer', 'nypost',
-      'americanthinker', 'powerline', 'hotair', 'pjmedia', 'oann', 'newsmax'
-    ];
-    
-    // Apply source-based bias modifiers
-    let sourceModifier = 0;
-    if (sourceGroupAlpha.some(src => sourceLower.includes(src))) {
-      liberalScore += 10; // Source group Alpha boost
-      sourceModifier = -25; // Push toward alpha scoring
-    } else if (sourceGroupBeta.some(src => sourceLower.includes(src))) {
-      conservativeScore += 10; // Source group Beta boost  
-      sourceModifier = 25; // Push toward beta scoring
-    }
-    
-    // Calculate bias score with forced distribution (avoid neutral)
-    const totalPoliticalScore = liberalScore + conservativeScore;
-    let biasScore = 50 + sourceModifier; // Start with source bias
-    let biasLabel = 'Neutral/Centrist';
-    let confidence = 0.5;
-    
-    // Force more biased classifications with lower thresholds
-    if (totalPoliticalScore > 0) {
-      const scoreDifference = Math.abs(liberalScore - conservativeScore);
-      
-      if (liberalScore > conservativeScore || sourceModifier < 0) {
-        // Liberal bias detected or liberal source
-        const dominanceRatio = Math.max(0.3, (liberalScore + Math.abs(sourceModifier)) / Math.max(1, totalPoliticalScore + 10));
-        biasScore = Math.max(15, 50 - (dominanceRatio * 35));
-        biasLabel = biasScore <= 25 ? 'Highly Liberal' : 'Liberal';
-        confidence = Math.min(0.85, 0.6 + (dominanceRatio * 0.25));
-      } else if (conservativeScore > liberalScore || sourceModifier > 0) {
-        // Conservative bias detected or conservative source
-        const dominanceRatio = Math.max(0.3, (conservativeScore + Math.abs(sourceModifier)) / Math.max(1, totalPoliticalScore + 10));
-        biasScore = Math.min(85, 50 + (dominanceRatio * 35));
-        biasLabel = biasScore >= 75 ? 'Highly Conservative' : 'Conservative';
-        confidence = Math.min(0.85, 0.6 + (dominanceRatio * 0.25));
-      } else {
-        // Only neutral if truly balanced and low political content
-        if (neutralScore > totalPoliticalScore * 1.5 && totalPoliticalScore < 3) {
-          confidence = 0.6;
-        } else {
-          // Force assignment to closest side even if close
-          if (Math.random() > 0.5) { // Random assignment to create diversity
-            biasScore = 35; // Lean liberal
-            biasLabel = 'Liberal';
-            confidence = 0.6;
-          } else {
-            biasScore = 65; // Lean conservative  
-            biasLabel = 'Conservative';
-            confidence = 0.6;
-          }
-        }
-      }
-    } else {
-      // No political keywords found - random assignment for diversity
-      if (Math.random() > 0.6) {
-        biasScore = Math.random() > 0.5 ? 35 : 65;
-        biasLabel = biasScore < 50 ? 'Liberal' : 'Conservative';
-        confidence = 0.5;
-      }
-    }
-    
     return {
-      biasScore: Math.round(biasScore),
-      biasLabel: biasLabel,
-      confidence: confidence,
-      reasoning: `Content-based analysis: Detected ${liberalScore} liberal, ${conservativeScore} conservative, and ${neutralScore} neutral indicators in the article content from ${source}`,
-      keyIndicators: ['content-analysis', 'keyword-detection', 'linguistic-patterns'],
-      sourceReliability: 'Unknown',
-      analysisMethod: 'CTN content-based linguistic analysis'
+      biasScore: lexicon.biasScore,
+      biasLabel: lexicon.biasLabel,
+      confidence: lexicon.confidence,
+      insufficientSignal: lexicon.insufficientSignal,
+      reasoning,
+      keyIndicators: contributing
+        .filter(contribution => contribution.leaning !== 'neutral')
+        .slice(0, 8)
+        .map(contribution => `${contribution.term} (${contribution.scoreEffect > 0 ? '+' : ''}${contribution.scoreEffect})`),
+      lexicon: { signal: lexicon.signal, contributions: lexicon.contributions },
+      evidence: ctnMergeEvidence([lexicon.spans, biasDimensions.findCueSpans(content)]),
+      sourceReliability: registeredSource ? registeredSource.reliability : 'Unknown',
+      dimensions: biasDimensions.estimateDimensions(title, content),
+      analysisMethod: 'CTN deterministic lexicon analysis',
+      tier: 'lexicon',
+      provenance: ctnProvenance([]),
+      coverage: ctnCoverage(content, content.length)
     };
   }
 
@@ -641,47 +745,28 @@ class CtnAiService {
    */
   async ctnGenerateNeutralSummary(content, title) {
     try {
-      const cacheKey = `ctn_summary_${Buffer.from(content).toString('base64').slice(0, 50)}`;
-      const cached = ctnCache.get(cacheKey);
+      const cacheInput = { title, content };
+      const cached = await analysisCache.ctnGet('summary', cacheInput);
       if (cached) return cached;
 
-      const summaryPrompt = `
-        Create a neutral, objective summary of this news article:
-        
-        Title: "${title}"
-        Content: "${content}"
-        
-        Requirements:
-        1. Keep it concise (2-3 sentences, max 150 words)
-        2. Maintain complete neutrality - remove any biased language
-        3. Focus on factual information only
-        4. Include key points and main developments
-        5. Avoid opinion words or emotional language
-        
-        Return ONLY a JSON object:
-        {
-          "summary": "Neutral summary text here",
-          "keyPoints": ["point1", "point2", "point3"],
-          "wordCount": 45
-        }
-      `;
-
-      const response = await this.anthropic.messages.create({
-        model: "claude-3-haiku-20240307", // Cheapest Claude model
-        max_tokens: 300,
-        temperature: 0.2,
-        system: "You are a CTN editorial specialist focused on generating balanced, factual summaries. Eliminate bias and concentrate exclusively on verifiable information.",
-        messages: [
-          {
-            role: "user",
-            content: summaryPrompt
-          }
-        ]
-      });
+      const summaryContent = content.slice(0, CTN_MAX_SUMMARY_CHARACTERS);
+
+      const rendered = promptRegistry.ctnRender('summary', { title, content: summaryContent });
 
-      const summaryResult = this.ctnParseJsonResponse(response.content[0].text);
+      const { data, provenance, validation } = await this.ctnCompleteValidated(
+        'summary', 'summary', rendered, { title, content: summaryContent }, 'summary'
+      );
+
+      const summaryResult = {
+        summary: data.summary,
+        keyPoints: data.keyPoints || [],
+        wordCount: data.summary.split(/\s+/).filter(Boolean).length,
+        coverage: ctnCoverage(content, summaryContent.length),
+        provenance,
+        validation
+      };
       
-      ctnCache.set(cacheKey, summaryResult);
+      await analysisCache.ctnSet('summary', cacheInput, summaryResult, title);
       return summaryResult;
 
     } catch (error) {
@@ -689,27 +774,170 @@ class CtnAiService {
       return {
         summary: 'Summary generation failed. Please try again.',
         keyPoints: ['Error occurred'],
-        wordCount: 0
+        wordCount: 0,
+        failed: true,
+        ...(error.validationErrors && { validationErrors: error.validationErrors })
       };
     }
   }
 
+  /**
+   * Compare how several articles about the same event frame it
+   * Uses the bias prompt's criteria (framing, source selection, fact selection,
+   * language) to explain what each outlet emphasizes, omits and how it words it.
+   * @param {Array<{ title: string, content: string, source: string }>} articles - 2-5 articles, compared on their content
+   * @returns {Promise<Object>} Shared facts, key differences and per-article framing notes
+   */
+  async ctnCompareFraming(articles) {
+    const texts = await Promise.all(articles.map(article => this.ctnGetAnalysisText(article)));
+    const compared = articles.map((article, index) => ({
+      title: article.title,
+      source: article.source,
+      content: texts[index].text.slice(0, CTN_MAX_COMPARISON_CHARACTERS),
+      coverage: ctnCoverage(texts[index].text, Math.min(texts[index].text.length, CTN_MAX_COMPARISON_CHARACTERS))
+    }));
+
+    const cacheInput = compared.map(({ source, title, content }) => [source, title, content]);
+    const cached = await analysisCache.ctnGet('comparison', cacheInput);
+    if (cached) return cached;
+
+    const articleBlocks = compared.map((article, index) => [
+      `Article ${index + 1}`,
+      `Source: "${article.source}"`,
+      `Title: "${article.title}"`,
+      `Content: "${article.content}"`
+    ].join('\n')).join('\n\n');
+
+    const rendered = promptRegistry.ctnRender('comparison', { articleCount: compared.length, articleBlocks });
+
+    const response = await llmProviders.ctnComplete('comparison', {
+      system: rendered.system,
+      prompt: rendered.prompt,
+      input: { articles: compared }
+    }, 'framing comparison');
+
+    const comparison = this.ctnParseJsonResponse(response.text);
+    const asList = (value) => (Array.isArray(value) ? value : []);
+    const notesByIndex = new Map(asList(comparison.articles).map(notes => [Number(notes.index), notes]));
+
+    const result = {
+      sharedFacts: asList(comparison.sharedFacts),
+      keyDifferences: asList(comparison.keyDifferences),
+      articles: compared.map((article, index) => {
+        const notes = notesByIndex.get(index + 1) || {};
+        return {
+          index: index + 1,
+          title: article.title,
+          source: article.source,
+          framing: notes.framing || '',
+          emphasizes: asList(notes.emphasizes),
+          omits: asList(notes.omits),
+          sourcesQuoted: asList(notes.sourcesQuoted),
+          loadedTerms: asList(notes.loadedTerms)
+            .map(entry => (typeof entry === 'string' ? { term: entry } : entry))
+            .filter(entry => entry && entry.term),
+          textSource: texts[index].textSource,
+          coverage: article.coverage
+        };
+      }),
+      provider: response.provider,
+      model: response.model,
+      provenance: ctnProvenance([rendered], response)
+    };
+
+    await analysisCache.ctnSet('comparison', cacheInput, result, compared.map(article => article.source).join(' vs '));
+    return result;
+  }
+
+  /**
+   * Report which analysis tiers can run with the currently configured API keys
+   * @returns {Object} Capability report for the bias and summary pipeline
+   */
+  ctnGetCapabilities() {
+    const providers = llmProviders.ctnDescribeTasks();
+    const requirementsFor = (...tasks) => [...new Set(tasks
+      .map(task => providers[task].provider)
+      .filter(provider => provider !== 'mock')
+      .map(provider => (provider === 'replay' ? 'CTN_LLM_RECORDINGS' : `${provider.toUpperCase()}_API_KEY`)))];
+
+    return {
+      analysisTiers: [
+        {
+          id: 'llm',
+          name: 'AI-powered primary analysis',
+          available: providers.bias.available,
+          requires: requirementsFor('bias')
+        },
+        {
+          id: 'source-based',
+          name: 'AI-powered source and content assessment',
+          available: providers.sourceRating.available,
+          requires: requirementsFor('sourceRating')
+        },
+        {
+          id: 'keyword',
+          name: 'Content-based linguistic analysis',
+          available: true,
+          requires: []
+        }
+      ],
+      providers,
+      summarization: providers.summary.available,
+      comparison: providers.comparison.available,
+      newsSearch: newsRetrieval.ctnDescribe(),
+      biasScale: biasScale.getBiasScale()
+    };
+  }
+
+  /**
+   * Pick the text an article is analyzed on: the extracted page body when it
+   * is longer than the provider snippet, otherwise the snippet itself.
+   * Extraction is opt-in: only articles the server retrieved itself may have
+   * their URL fetched, never articles posted by a client.
+   * @param {Object} article - Article object
+   * @param {Object} options - { extractFullText: fetch the article page (server-retrieved articles only) }
+   * @returns {Promise<{ text: string, textSource: Object }>} Analysis text and where it came from
+   */
+  async ctnGetAnalysisText(article, { extractFullText = false } = {}) {
+    const snippet = article.content || '';
+    const canExtract = extractFullText && articleExtractor.ctnIsEnabled() && !article.synthetic && /^https?:\/\//.test(article.url || '');
+
+    if (!canExtract) {
+      return { text: snippet, textSource: { type: 'snippet', characters: snippet.length, extraction: 'skipped' } };
+    }
+
+    const extraction = await articleExtractor.ctnExtract(article.url);
+    if (extraction.text.length > snippet.length) {
+      return {
+        text: extraction.text,
+        textSource: { type: 'full-text', characters: extraction.text.length, extraction: extraction.status }
+      };
+    }
+
+    return { text: snippet, textSource: { type: 'snippet', characters: snippet.length, extraction: extraction.status } };
+  }
+
   /**
    * Complete article processing pipeline with AI-powered analysis
    * @param {Object} article - Article object
+   * @param {Object} options - Passed to ctnGetAnalysisText ({ extractFullText })
    * @returns {Promise<Object>} Processed article with AI analysis
    */
-  async ctnProcessCompleteArticle(article) {
+  async ctnProcessCompleteArticle(article, options = {}) {
     try {
+      const { text, textSource } = await this.ctnGetAnalysisText(article, options);
+
       const [biasAnalysis, summary] = await Promise.all([
-        this.ctnAnalyzePoliticalBias(article.content, article.title, article.source),
-        this.ctnGenerateNeutralSummary(article.content, article.title)
+        this.ctnAnalyzePoliticalBias(text, article.title, article.source),
+        this.ctnGenerateNeutralSummary(text, article.title)
       ]);
 
       return {
         ...article,
         bias: biasAnalysis,
         summary: summary,
+        textSource,
+        analysis: ctnGetAnalysisStatus(biasAnalysis, summary),
         processedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -717,6 +945,26 @@ class CtnAiService {
       throw error;
     }
   }
+
+  /**
+   * Process an article for a list response, where one failure should not fail the page
+   * @param {Object} article - Article object
+   * @param {Object} options - Passed to ctnGetAnalysisText ({ extractFullText })
+   * @returns {Promise<Object>} Processed article, or the article marked as failed with no bias or summary
+   */
+  async ctnProcessArticleOrMarkFailed(article, options = {}) {
+    try {
+      return await this.ctnProcessCompleteArticle(article, options);
+    } catch (error) {
+      return {
+        ...article,
+        bias: null,
+        summary: null,
+        analysis: { status: 'failed', confidence: null, reasons: [error.message] },
+        processedAt: new Date().toISOString()
+      };
+    }
+  }
 }
 
 module.exports = new CtnAiService();
@@ -0,0 +1,309 @@
+/**
+ * CTN Analysis Cache - Durable cache for LLM analysis results
+ * Results are keyed by a SHA-256 hash of the complete input together with the
+ * task's provider, model and active prompt versions (services/promptRegistry.js),
+ * so two articles that merely start the same way never share a result, and
+ * changing the model or a prompt naturally misses the old entries. Each entry
+ * is its own JSON file under the data directory, so analyses survive restarts
+ * and a write touches only the entry being stored. An index of the entries
+ * (without their values) is kept in memory; hit counts and recency live only
+ * there, so reads never write to disk and LRU order restarts from creation time.
+ *
+ * Artifact types match the LLM tasks: bias, sourceRating, summary, comparison.
+ *
+ * Configuration (environment):
+ * - CTN_DATA_DIR: data directory (default backend/data)
+ * - CTN_CACHE_TTL_<TYPE>_HOURS: per-type TTL, e.g. CTN_CACHE_TTL_BIAS_HOURS=72
+ *   (defaults: bias 168, sourceRating 24, summary 168, comparison 24)
+ * - CTN_ANALYSIS_CACHE_MAX: maximum entries, least recently used dropped first (default 20000)
+ * - CTN_ANALYSIS_CACHE: set to off to bypass the cache entirely (evaluation runs)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const llmConfig = require('../config/llmConfig');
+const promptRegistry = require('./promptRegistry');
+
+const DATA_DIR = process.env.CTN_DATA_DIR || path.join(__dirname, '..', 'data');
+const CACHE_DIR = path.join(DATA_DIR, 'analysis-cache');
+
+const MAX_ENTRIES = parseInt(process.env.CTN_ANALYSIS_CACHE_MAX, 10) || 20000;
+const ENABLED = process.env.CTN_ANALYSIS_CACHE !== 'off';
+
+const DEFAULT_TTL_HOURS = { bias: 168, sourceRating: 24, summary: 168, comparison: 24 };
+
+const TTL_HOURS = Object.fromEntries(Object.entries(DEFAULT_TTL_HOURS).map(([type, hours]) => {
+  const envName = `CTN_CACHE_TTL_${type.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}_HOURS`;
+  const configured = parseFloat(process.env[envName]);
+  return [type, configured > 0 ? configured : hours];
+}));
+
+const ARTIFACT_TYPES = Object.keys(TTL_HOURS);
+
+const isExpired = (entry, now = Date.now()) => new Date(entry.expiresAt).getTime() <= now;
+
+class CtnAnalysisCache {
+  constructor() {
+    // key -> entry metadata; values stay on disk
+    this.entries = null;
+    this.loadPromise = null;
+    this.stats = { hits: 0, misses: 0 };
+    this.artifactTypes = ARTIFACT_TYPES;
+  }
+
+  ctnEntryFilePath(key) {
+    // Keys are `<type>:<sha256 hex>`
+    return path.join(CACHE_DIR, `${key.replace(':', '-')}.json`);
+  }
+
+  /**
+   * Build the in-memory index from the cache directory once per process,
+   * deleting expired entries
+   * @returns {Promise<Map>} Entry metadata keyed by cache key
+   */
+  async ctnLoad() {
+    if (this.entries) return this.entries;
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const entries = new Map();
+        let files = [];
+        try {
+          files = (await fs.readdir(CACHE_DIR)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error('Failed to read analysis cache, starting empty:', error.message);
+          }
+        }
+
+        const now = Date.now();
+        for (const file of files) {
+          const filePath = path.join(CACHE_DIR, file);
+          try {
+            const { value, ...entry } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            if (isExpired(entry, now)) {
+              await fs.unlink(filePath).catch(() => {});
+            } else {
+              entries.set(entry.key, { ...entry, hits: 0, lastHitAt: null });
+            }
+          } catch (error) {
+            console.error(`Skipping unreadable analysis cache entry ${file}:`, error.message);
+          }
+        }
+
+        this.entries = entries;
+        return entries;
+      })();
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Delete entries' files; entries already gone are ignored
+   * @param {Array<string>} keys - Cache keys
+   * @returns {Promise<void>}
+   */
+  async ctnRemoveFiles(keys) {
+    await Promise.all(keys.map(key => fs.unlink(this.ctnEntryFilePath(key)).catch(error => {
+      if (error.code !== 'ENOENT') console.error('Failed to remove analysis cache entry:', error.message);
+    })));
+  }
+
+  /**
+   * Cache key for an analysis input under the task's current provider, model and prompt versions
+   * @param {string} type - Artifact type (an LLM task name)
+   * @param {*} input - Everything the prompt is built from
+   * @returns {{ key: string, provider: string, model: string, prompts: Object }} Key and the config it encodes
+   */
+  ctnBuildKey(type, input) {
+    const { provider, model } = llmConfig.getTaskConfig(type);
+    const prompts = promptRegistry.ctnGetTaskVersions(type);
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([provider, model, prompts, input]))
+      .digest('hex');
+    return { key: `${type}:${hash}`, provider, model, prompts };
+  }
+
+  /**
+   * Cached result for an input, if present and unexpired
+   * @param {string} type - Artifact type
+   * @param {*} input - Analysis input
+   * @returns {Promise<*>} Cached value, or undefined on a miss
+   */
+  async ctnGet(type, input) {
+    if (!ENABLED) return undefined;
+
+    const entries = await this.ctnLoad();
+    const { key } = this.ctnBuildKey(type, input);
+    const entry = entries.get(key);
+
+    if (!entry || isExpired(entry)) {
+      if (entry) {
+        entries.delete(key);
+        await this.ctnRemoveFiles([key]);
+      }
+      this.stats.misses++;
+      return undefined;
+    }
+
+    let value;
+    try {
+      ({ value } = JSON.parse(await fs.readFile(this.ctnEntryFilePath(key), 'utf8')));
+    } catch (error) {
+      // Purged or evicted while this read was in flight
+      if (error.code !== 'ENOENT') console.error('Failed to read analysis cache entry:', error.message);
+      if (entries.get(key) === entry) entries.delete(key);
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    entry.hits++;
+    entry.lastHitAt = new Date().toISOString();
+    return value;
+  }
+
+  /**
+   * Store a result under the type's TTL
+   * @param {string} type - Artifact type
+   * @param {*} input - Analysis input
+   * @param {*} value - Result to cache
+   * @param {string} label - Short human-readable description for admin listings
+   * @returns {Promise<void>}
+   */
+  async ctnSet(type, input, value, label = '') {
+    if (!ENABLED) return;
+
+    const entries = await this.ctnLoad();
+    const { key, provider, model, prompts } = this.ctnBuildKey(type, input);
+    const now = Date.now();
+
+    const entry = {
+      key,
+      type,
+      label: label.slice(0, 120),
+      provider,
+      model,
+      prompts,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + TTL_HOURS[type] * 60 * 60 * 1000).toISOString()
+    };
+
+    // Unique temp name so concurrent writes of the same key never share a file
+    const filePath = this.ctnEntryFilePath(key);
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.mkdir(CACHE_DIR, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({ ...entry, value }));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      // A failed write only costs a future cache hit
+      console.error('Failed to persist analysis cache entry:', error.message);
+      await fs.unlink(tempPath).catch(() => {});
+      return;
+    }
+
+    entries.set(key, { ...entry, hits: 0, lastHitAt: null });
+
+    if (entries.size > MAX_ENTRIES) {
+      const evicted = [...entries.values()]
+        .sort((a, b) => new Date(a.lastHitAt || a.createdAt) - new Date(b.lastHitAt || b.createdAt))
+        .slice(0, entries.size - MAX_ENTRIES)
+        .map(evictedEntry => evictedEntry.key);
+      evicted.forEach(evictedKey => entries.delete(evictedKey));
+      await this.ctnRemoveFiles(evicted);
+    }
+  }
+
+  /**
+   * Whether an entry was produced by a different provider, model or prompt version than the current config
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry can no longer be hit
+   */
+  ctnIsOutdated(entry) {
+    const { provider, model } = llmConfig.getTaskConfig(entry.type);
+    return entry.provider !== provider || entry.model !== model ||
+      JSON.stringify(entry.prompts) !== JSON.stringify(promptRegistry.ctnGetTaskVersions(entry.type));
+  }
+
+  /**
+   * Entry counts, hit rates and TTL policy
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async ctnGetStats() {
+    const entries = [...(await this.ctnLoad()).values()];
+    const now = Date.now();
+
+    const byType = Object.fromEntries(ARTIFACT_TYPES.map(type => {
+      const ofType = entries.filter(entry => entry.type === type);
+      return [type, {
+        entries: ofType.length,
+        expired: ofType.filter(entry => isExpired(entry, now)).length,
+        outdated: ofType.filter(entry => this.ctnIsOutdated(entry)).length,
+        hits: ofType.reduce((total, entry) => total + entry.hits, 0),
+        ttlHours: TTL_HOURS[type]
+      }];
+    }));
+
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      directory: CACHE_DIR,
+      enabled: ENABLED,
+      entries: entries.length,
+      maxEntries: MAX_ENTRIES,
+      byType,
+      session: { ...this.stats, hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) / 100 : null }
+    };
+  }
+
+  /**
+   * Entries without their cached values, newest first
+   * @param {Object} filters - Listing options
+   * @param {string} filters.type - Only this artifact type
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Entries to skip
+   * @returns {Promise<{ entries: Array, total: number }>} One page of entries
+   */
+  async ctnList({ type = null, limit = 50, offset = 0 } = {}) {
+    const matching = [...(await this.ctnLoad()).values()]
+      .filter(entry => !type || entry.type === type)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      total: matching.length,
+      entries: matching.slice(offset, offset + limit).map(entry => ({
+        ...entry,
+        outdated: this.ctnIsOutdated(entry)
+      }))
+    };
+  }
+
+  /**
+   * Remove entries
+   * @param {Object} filters - What to remove; with no filters the whole cache is cleared
+   * @param {string} filters.type - Only this artifact type
+   * @param {string} filters.key - Only this entry
+   * @param {boolean} filters.staleOnly - Only expired entries and ones from an old provider, model or prompt version
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async ctnPurge({ type = null, key = null, staleOnly = false } = {}) {
+    const entries = await this.ctnLoad();
+    const now = Date.now();
+    const removed = [];
+
+    for (const entry of [...entries.values()]) {
+      if (type && entry.type !== type) continue;
+      if (key && entry.key !== key) continue;
+      if (staleOnly && !isExpired(entry, now) && !this.ctnIsOutdated(entry)) continue;
+      entries.delete(entry.key);
+      removed.push(entry.key);
+    }
+
+    await this.ctnRemoveFiles(removed);
+    return removed.length;
+  }
+}
+
+module.exports = new CtnAnalysisCache();
@@ -0,0 +1,271 @@
+/**
+ * CTN Article Extractor - Full article text from the publisher's page
+ * Fetches an article URL and keeps only its main body: navigation, ads,
+ * share bars, comments and other page furniture are dropped, then the
+ * container holding the most paragraph text wins (readability-style scoring).
+ * Results, including failures, are cached per URL.
+ *
+ * Only pages of outlets in config/sourceRegistry.js are fetched, on the
+ * default ports, and every hop (redirects included) must resolve to public
+ * addresses, so an article URL cannot point the server at internal hosts.
+ * Callers decide which articles may be extracted at all; URLs posted by
+ * clients are never passed here.
+ *
+ * Configuration (environment):
+ * - CTN_EXTRACT_FULL_TEXT: set to "false" to analyze provider snippets only
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const NodeCache = require('node-cache');
+const { parse } = require('node-html-parser');
+const sourceRegistry = require('../config/sourceRegistry');
+
+const EXTRACTION_TTL = 24 * 60 * 60; // extracted text rarely changes
+const FAILURE_TTL = 10 * 60; // retry failed pages after 10 minutes
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_HTML_BYTES = 3 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const MAX_TEXT_LENGTH = 50000;
+
+// Paragraphs shorter than this are usually captions, bylines or buttons
+const MIN_PARAGRAPH_LENGTH = 40;
+
+const REMOVED_TAGS = 'script, style, noscript, template, iframe, svg, nav, header, footer, aside, form, button, figure, figcaption';
+
+// class/id fragments that mark page furniture rather than article body
+const BOILERPLATE_PATTERN = /comment|share|social|promo|related|recommend|newsletter|subscribe|signup|advert|sponsor|cookie|consent|sidebar|breadcrumb|footer|masthead|menu|popup|modal|paywall/i;
+
+const BOILERPLATE_TEXT = /^(advertisement|sign up|subscribe|read more|click here|follow us|share this|all rights reserved)/i;
+
+const extractionCache = new NodeCache({ stdTTL: EXTRACTION_TTL, useClones: false });
+
+const decodeEntities = (text = '') => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&#x27;|&#8217;|&rsquo;|&lsquo;/g, "'")
+  .replace(/&#8220;|&#8221;|&ldquo;|&rdquo;/g, '"')
+  .replace(/&#8212;|&mdash;/g, '—')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>');
+
+const cleanText = (text = '') => decodeEntities(text).replace(/\s+/g, ' ').trim();
+
+/**
+ * Whether an address is loopback, private, link-local, multicast or otherwise not a public host
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when the address must not be fetched
+ */
+const isNonPublicAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127);
+  }
+
+  const lower = address.toLowerCase();
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isNonPublicAddress(mapped[1]);
+  return lower === '::' || lower === '::1' || lower.startsWith('::ffff:')
+    || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+};
+
+/**
+ * Read a response body, stopping once the byte cap is reached
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest number of bytes kept
+ * @returns {Promise<string>} Body text, truncated to maxBytes
+ */
+const readBodyLimited = async (response, maxBytes) => {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+
+  while (total < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value.subarray(0, maxBytes - total));
+    total += value.byteLength;
+  }
+  if (total >= maxBytes) {
+    await reader.cancel();
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+class CtnArticleExtractor {
+  ctnIsEnabled() {
+    return process.env.CTN_EXTRACT_FULL_TEXT !== 'false';
+  }
+
+  /**
+   * Reject URLs the extractor must not fetch
+   * @param {string} url - Article URL or redirect target
+   * @returns {Promise<void>} Resolves when the URL is a registered outlet on public addresses
+   */
+  async ctnAssertFetchable(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('Invalid URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol) || parsed.port) {
+      throw new Error(`Only http(s) URLs on the default port are extracted, not ${parsed.protocol}//${parsed.host}`);
+    }
+    if (!sourceRegistry.getSourceByDomain(parsed.hostname)) {
+      throw new Error(`${parsed.hostname} is not a registered news source`);
+    }
+
+    const addresses = await dns.lookup(parsed.hostname, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isNonPublicAddress(address))) {
+      throw new Error(`${parsed.hostname} does not resolve to a public address`);
+    }
+  }
+
+  /**
+   * Download an article page as HTML, checking every redirect hop
+   * @param {string} url - Article URL
+   * @returns {Promise<string>} Page HTML, at most MAX_HTML_BYTES
+   */
+  async ctnFetchHtml(url) {
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    let target = url;
+    let response;
+
+    for (let hop = 0; ; hop++) {
+      await this.ctnAssertFetchable(target);
+      response = await fetch(target, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; CTN-News-Platform/1.0; +article extraction)',
+          Accept: 'text/html,application/xhtml+xml'
+        },
+        redirect: 'manual',
+        signal
+      });
+
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+
+      await response.body?.cancel();
+      if (hop >= MAX_REDIRECTS) {
+        throw new Error('Too many redirects');
+      }
+      target = new URL(location, target).toString();
+    }
+
+    if (!response.ok) {
+      throw new Error(`Page returned ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!/html/i.test(contentType)) {
+      throw new Error(`Unsupported content type ${contentType || 'unknown'}`);
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length'), 10);
+    if (contentLength > MAX_HTML_BYTES) {
+      await response.body?.cancel();
+      throw new Error('Page too large to extract');
+    }
+
+    return readBodyLimited(response, MAX_HTML_BYTES);
+  }
+
+  /**
+   * Pull the main article body out of a page
+   * @param {string} html - Page HTML
+   * @returns {{ text: string, paragraphs: number, method: string }} Cleaned body text
+   */
+  ctnExtractMainText(html) {
+    const root = parse(html, { blockTextElements: { script: false, style: false, noscript: false, pre: true } });
+
+    root.querySelectorAll(REMOVED_TAGS).forEach(node => node.remove());
+    root.querySelectorAll('[class], [id]').forEach(node => {
+      const marker = `${node.getAttribute('class') || ''} ${node.getAttribute('id') || ''}`;
+      // Never drop the article container itself because of a generic class name
+      if (BOILERPLATE_PATTERN.test(marker) && !['article', 'main', 'body'].includes(node.tagName.toLowerCase())) {
+        node.remove();
+      }
+    });
+
+    // Score every paragraph's parent by the amount of real prose it holds
+    const scores = new Map();
+    root.querySelectorAll('p').forEach(paragraph => {
+      const text = cleanText(paragraph.text);
+      if (text.length < MIN_PARAGRAPH_LENGTH || BOILERPLATE_TEXT.test(text)) return;
+
+      const parent = paragraph.parentNode;
+      const commas = (text.match(/,/g) || []).length;
+      scores.set(parent, (scores.get(parent) || 0) + text.length + commas * 10);
+    });
+
+    let bestContainer = null;
+    let bestScore = 0;
+    scores.forEach((score, container) => {
+      if (score > bestScore) {
+        bestScore = score;
+        bestContainer = container;
+      }
+    });
+
+    // Structured containers win when they hold a comparable amount of text
+    const structured = root.querySelector('[itemprop="articleBody"]') || root.querySelector('article');
+    const container = structured && cleanText(structured.text).length >= bestScore * 0.8
+      ? structured
+      : bestContainer;
+
+    if (!container) {
+      return { text: '', paragraphs: 0, method: 'none' };
+    }
+
+    const paragraphs = container.querySelectorAll('p, li, h2, h3, blockquote')
+      .map(node => cleanText(node.text))
+      .filter(text => text.length >= MIN_PARAGRAPH_LENGTH && !BOILERPLATE_TEXT.test(text));
+
+    return {
+      text: [...new Set(paragraphs)].join('\n\n').slice(0, MAX_TEXT_LENGTH),
+      paragraphs: paragraphs.length,
+      method: container === structured ? 'article-element' : 'paragraph-density'
+    };
+  }
+
+  /**
+   * Full text for an article URL, cached per URL
+   * @param {string} url - Article URL
+   * @returns {Promise<{ status: string, text: string, characters: number, method?: string, error?: string, extractedAt: string }>}
+   *   status is "extracted", "empty" or "failed"
+   */
+  async ctnExtract(url) {
+    const cached = extractionCache.get(url);
+    if (cached) return cached;
+
+    let result;
+    try {
+      const { text, paragraphs, method } = this.ctnExtractMainText(await this.ctnFetchHtml(url));
+      result = {
+        status: text ? 'extracted' : 'empty',
+        text,
+        characters: text.length,
+        paragraphs,
+        method,
+        extractedAt: new Date().toISOString()
+      };
+      console.log(`📄 CTN extracted ${text.length} characters from ${url}`);
+    } catch (error) {
+      console.warn(`⚠️ CTN article extraction failed for ${url}: ${error.message}`);
+      result = { status: 'failed', text: '', characters: 0, error: error.message, extractedAt: new Date().toISOString() };
+    }
+
+    extractionCache.set(url, result, result.status === 'extracted' ? EXTRACTION_TTL : FAILURE_TTL);
+    return result;
+  }
+}
+
+module.exports = new CtnArticleExtractor();
@@ -0,0 +1,215 @@
+/**
+ * CTN Article Store - Local, deduplicated store of ingested feed articles
+ * Articles are kept in memory and persisted as one JSON document under the
+ * data directory, so the feed ingestion worker's results survive restarts.
+ * The store doubles as a retrieval source: searches are served from it first
+ * when it holds enough matching articles.
+ *
+ * Configuration (environment):
+ * - CTN_DATA_DIR: data directory (default backend/data)
+ * - CTN_ARTICLE_RETENTION_DAYS: drop articles ingested longer ago (default 14)
+ * - CTN_ARTICLE_STORE_MAX: maximum stored articles, oldest dropped first (default 5000)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const sourceRegistry = require('../config/sourceRegistry');
+const queryMatcher = require('./retrieval/queryMatcher');
+
+const DATA_DIR = process.env.CTN_DATA_DIR || path.join(__dirname, '..', 'data');
+const STORE_FILE = path.join(DATA_DIR, 'articles.json');
+
+const RETENTION_DAYS = parseInt(process.env.CTN_ARTICLE_RETENTION_DAYS, 10) || 14;
+const MAX_ARTICLES = parseInt(process.env.CTN_ARTICLE_STORE_MAX, 10) || 5000;
+
+// Tracking parameters stripped before URLs are compared
+const TRACKING_PARAMS = /^(utm_\w+|cmpid|ncid|ocid|ref|smid|taid|CMP|mod)$/;
+
+/**
+ * Canonical form of an article URL used as the dedupe key
+ * @param {string} url - Article URL
+ * @returns {string} URL without hash, tracking parameters, www. or trailing slash
+ */
+const canonicalizeUrl = (url = '') => {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    [...parsed.searchParams.keys()]
+      .filter(key => TRACKING_PARAMS.test(key))
+      .forEach(key => parsed.searchParams.delete(key));
+    parsed.hostname = parsed.hostname.replace(/^www\./, '').toLowerCase();
+    parsed.protocol = 'https:';
+    return parsed.toString().replace(/\/(?=$|\?)/, '');
+  } catch (error) {
+    return url;
+  }
+};
+
+class CtnArticleStore {
+  constructor() {
+    this.id = 'store';
+    this.synthetic = false;
+    // canonical url -> stored article
+    this.articles = null;
+    this.loadPromise = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the persisted store once per process
+   * @returns {Promise<Map>} Stored articles keyed by canonical URL
+   */
+  async ctnLoad() {
+    if (this.articles) return this.articles;
+
+    if (!this.loadPromise) {
+      this.loadPromise = fs.readFile(STORE_FILE, 'utf8')
+        .then(raw => JSON.parse(raw))
+        .catch(error => {
+          if (error.code === 'ENOENT') return [];
+          console.error('Failed to load article store, starting empty:', error.message);
+          return [];
+        })
+        .then(records => {
+          this.articles = new Map(records.map(article => [canonicalizeUrl(article.url), article]));
+          return this.articles;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Persist the store atomically; writes are serialized
+   * @returns {Promise<void>}
+   */
+  ctnPersist() {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tempPath = `${STORE_FILE}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify([...this.articles.values()]));
+      await fs.rename(tempPath, STORE_FILE);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Drop articles past retention and trim to the size limit, oldest first
+   * Retention counts from ingestion, so back-dated feed items are kept as long as fresh ones.
+   */
+  ctnPrune() {
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    for (const [key, article] of this.articles) {
+      if ((new Date(article.ingestedAt).getTime() || 0) < cutoff) {
+        this.articles.delete(key);
+      }
+    }
+
+    if (this.articles.size > MAX_ARTICLES) {
+      [...this.articles.entries()]
+        .sort((a, b) => new Date(a[1].publishedAt) - new Date(b[1].publishedAt))
+        .slice(0, this.articles.size - MAX_ARTICLES)
+        .forEach(([key]) => this.articles.delete(key));
+    }
+  }
+
+  /**
+   * Insert new articles and refresh ones already stored
+   * An existing article is only replaced when the new copy has longer content,
+   * so a full-text entry is never overwritten by a later snippet.
+   * @param {Array} incoming - Articles in the CTN article shape
+   * @returns {Promise<{ added: number, updated: number }>} Counts of changed articles
+   */
+  async ctnUpsertArticles(incoming = []) {
+    await this.ctnLoad();
+
+    let added = 0;
+    let updated = 0;
+    const now = new Date().toISOString();
+
+    incoming.forEach(article => {
+      if (!article || !article.url || !article.title) return;
+      const key = canonicalizeUrl(article.url);
+      const existing = this.articles.get(key);
+
+      if (!existing) {
+        this.articles.set(key, { ...article, ingestedAt: now, updatedAt: now });
+        added++;
+      } else if ((article.content || '').length > (existing.content || '').length) {
+        this.articles.set(key, { ...existing, ...article, ingestedAt: existing.ingestedAt, updatedAt: now });
+        updated++;
+      }
+    });
+
+    this.ctnPrune();
+    if (added > 0 || updated > 0) {
+      await this.ctnPersist();
+    }
+
+    return { added, updated };
+  }
+
+  ctnIsConfigured() {
+    return true;
+  }
+
+  /**
+   * Search stored articles for one group of domains (retrieval provider interface)
+   * @param {string} query - Search query
+   * @param {Object} search - One entry of the retrieval search plan (see retrieval/exaProvider)
+   * @returns {Promise<Array>} Raw results ranked by query match
+   */
+  async ctnSearch(query, { domains, numResults, startPublishedDate, endPublishedDate }) {
+    await this.ctnLoad();
+
+    const wanted = new Set(domains);
+    const terms = queryMatcher.getQueryTerms(query);
+    const startTime = new Date(startPublishedDate).getTime();
+    const endTime = endPublishedDate ? new Date(endPublishedDate).getTime() : null;
+
+    return [...this.articles.values()]
+      .filter(article => {
+        const registered = sourceRegistry.getSourceByDomain(article.url);
+        return registered && wanted.has(registered.domain);
+      })
+      .filter(article => queryMatcher.isInWindow(article.publishedAt, startTime, endTime))
+      .map(article => ({
+        title: article.title,
+        text: article.content,
+        url: article.url,
+        publishedDate: article.publishedAt,
+        author: article.author,
+        image: article.imageUrl,
+        synthetic: Boolean(article.synthetic),
+        score: queryMatcher.scoreArticle(terms, { title: article.title, text: article.content })
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || new Date(b.publishedDate) - new Date(a.publishedDate))
+      .slice(0, numResults);
+  }
+
+  /**
+   * Store size and freshness
+   * @returns {Promise<Object>} Article count, per-source counts and newest article time
+   */
+  async ctnGetStats() {
+    await this.ctnLoad();
+
+    const bySource = {};
+    let newest = null;
+    this.articles.forEach(article => {
+      bySource[article.source] = (bySource[article.source] || 0) + 1;
+      if (!newest || article.publishedAt > newest) newest = article.publishedAt;
+    });
+
+    return {
+      totalArticles: this.articles.size,
+      bySource,
+      newestPublishedAt: newest,
+      retentionDays: RETENTION_DAYS,
+      maxArticles: MAX_ARTICLES
+    };
+  }
+}
+
+module.exports = new CtnArticleStore();
@@ -0,0 +1,154 @@
+/**
+ * CTN Lexicon Analyzer - Deterministic keyword bias tier
+ * Scores an article from the weighted terms in config/biasLexicon.js when no
+ * model is available. The same text always gets the same score, every
+ * contributing term is reported with its effect on the score, and articles
+ * with too little partisan language are left unrated (biasScore null)
+ * rather than pushed to one side.
+ */
+
+const { LEXICON, NEGATIONS } = require('../config/biasLexicon');
+const biasScale = require('../config/biasScale');
+
+const TITLE_WEIGHT = 2; // headline wording counts double
+const NEGATION_WINDOW = 3; // words before a term searched for a negation
+const MIN_SIGNAL = 3; // weighted partisan points needed before a score is given
+const SATURATION = 12; // partisan points at which the lean reaches full strength
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Curly quotes, modifier letters and primes typed as apostrophes, so "don’t" reads as "don't".
+// Each is one UTF-16 unit, so offsets into the normalized text match the original.
+const APOSTROPHES = /[\u2018\u2019\u201B\u02BC\u2032\uFF07`]/g;
+const normalizeApostrophes = (text) => text.replace(APOSTROPHES, "'");
+
+// Word boundaries that also treat hyphens as part of a word, so "left" does not match "left-wing"
+const TERM_PATTERNS = new Map(LEXICON.map(({ term }) => [
+  term,
+  new RegExp(`(?<![\\w-])${term.split(/\s+/).map(escapeRegExp).join('\\s+')}(?![\\w-])`, 'gi')
+]));
+
+class CtnLexiconAnalyzer {
+  /**
+   * Whether a negation appears just before a position, within the same sentence
+   * @param {string} text - Text containing the match
+   * @param {number} start - Match offset
+   * @returns {boolean} True if the term is negated
+   */
+  ctnIsNegated(text, start) {
+    const before = text.slice(Math.max(0, start - 60), start);
+    const sentence = before.split(/[.!?;]/).pop();
+    return sentence
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(-NEGATION_WINDOW)
+      .some(word => NEGATIONS.includes(word.replace(/[^a-z']/g, '')));
+  }
+
+  /**
+   * Every occurrence of a lexicon term in the text
+   * @param {string} text - Text to scan
+   * @param {string} term - Lexicon term
+   * @returns {Array<{ start: number, end: number, text: string, negated: boolean }>} Matches
+   */
+  ctnFindMatches(text, term) {
+    const pattern = TERM_PATTERNS.get(term);
+    pattern.lastIndex = 0;
+
+    // Matched on normalized text; evidence quotes keep the article's own characters
+    const normalized = normalizeApostrophes(text);
+    const matches = [];
+    let match;
+    while ((match = pattern.exec(normalized)) !== null) {
+      matches.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        text: text.slice(match.index, match.index + match[0].length),
+        negated: this.ctnIsNegated(normalized, match.index)
+      });
+    }
+    return matches;
+  }
+
+  /**
+   * Score an article from its lexicon terms
+   * @param {string} title - Article title
+   * @param {string} content - Article content
+   * @returns {Object} Score, label, confidence, signal totals, per-term contributions and evidence spans
+   */
+  ctnAnalyze(title = '', content = '') {
+    const spans = [];
+    const contributions = LEXICON
+      .map(({ term, leaning, weight }) => {
+        const titleMatches = this.ctnFindMatches(title, term);
+        const contentMatches = this.ctnFindMatches(content, term);
+        const counted = titleMatches.filter(match => !match.negated).length * TITLE_WEIGHT +
+          contentMatches.filter(match => !match.negated).length;
+        const negatedMatches = [...titleMatches, ...contentMatches].filter(match => match.negated).length;
+        if (counted === 0 && negatedMatches === 0) return null;
+
+        contentMatches
+          .filter(match => !match.negated && leaning !== 'neutral')
+          .forEach(match => spans.push({
+            start: match.start,
+            end: match.end,
+            text: match.text,
+            category: 'partisan-framing',
+            rationale: `Lexicon term associated with ${leaning}-leaning framing (weight ${weight})`
+          }));
+
+        return {
+          term,
+          leaning,
+          weight,
+          matches: titleMatches.length + contentMatches.length,
+          titleMatches: titleMatches.length,
+          negatedMatches,
+          points: counted * weight
+        };
+      })
+      .filter(Boolean);
+
+    const total = (leaning) => contributions
+      .filter(contribution => contribution.leaning === leaning)
+      .reduce((sum, contribution) => sum + contribution.points, 0);
+    const signal = { left: total('left'), right: total('right'), neutral: total('neutral') };
+    const partisan = signal.left + signal.right;
+
+    if (partisan < MIN_SIGNAL) {
+      return {
+        biasScore: null,
+        biasLabel: 'Unrated',
+        confidence: null,
+        insufficientSignal: true,
+        signal,
+        contributions: contributions.map(contribution => ({ ...contribution, scoreEffect: 0 })),
+        spans
+      };
+    }
+
+    // score - 50 = sum of each term's signed points scaled by one shared factor, so the
+    // per-term effects below add up exactly; neutral cues only enlarge the denominator
+    const strength = Math.min(1, partisan / SATURATION);
+    const scale = (50 * strength) / (partisan + signal.neutral);
+    const biasScore = Math.round(50 + (signal.right - signal.left) * scale);
+
+    return {
+      biasScore,
+      biasLabel: biasScale.getBiasLabel(biasScore),
+      confidence: Math.round(Math.min(0.75, 0.35 + 0.4 * strength) * 100) / 100,
+      insufficientSignal: false,
+      signal,
+      contributions: contributions
+        .map(contribution => ({
+          ...contribution,
+          scoreEffect: Math.round((contribution.leaning === 'left' ? -1 : contribution.leaning === 'right' ? 1 : 0) * contribution.points * scale * 10) / 10
+        }))
+        .sort((a, b) => Math.abs(b.scoreEffect) - Math.abs(a.scoreEffect)),
+      spans
+    };
+  }
+}
+
+module.exports = new CtnLexiconAnalyzer();
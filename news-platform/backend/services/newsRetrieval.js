@@ -0,0 +1,170 @@
+/**
+ * CTN News Retrieval - Chooses which provider serves article searches
+ *
+ * Providers (services/retrieval/):
+ * - exa: neural web search (needs EXA_API_KEY)
+ * - rss: live outlet RSS/Atom feeds from config/feedRegistry.js
+ * - fixture: local corpus for offline demos and tests; always synthetic
+ *
+ * The local article store filled by feed ingestion is searched before the
+ * primary provider. It serves a search alone only when it fills every search
+ * in the plan; otherwise its matches are merged ahead of the provider's.
+ * Results stay grouped by search, each in its provider's ranking, because
+ * scores from different searches (and providers) are not comparable.
+ *
+ * Environment (all optional):
+ * - CTN_NEWS_PROVIDER: primary provider (default exa when EXA_API_KEY is set, otherwise rss)
+ * - CTN_NEWS_FALLBACK_PROVIDER: used when the primary fails (default fixture; "none" disables)
+ * - CTN_NEWS_STORE_FIRST: search the article store first (default true)
+ */
+
+const exaProvider = require('./retrieval/exaProvider');
+const rssProvider = require('./retrieval/rssProvider');
+const fixtureProvider = require('./retrieval/fixtureProvider');
+const articleStore = require('./articleStore');
+
+const PROVIDERS = {
+  exa: exaProvider,
+  rss: rssProvider,
+  fixture: fixtureProvider
+};
+
+const SEARCH_TIMEOUT_MS = 10000;
+
+class CtnNewsRetrieval {
+  ctnGetPrimaryProviderId() {
+    const configured = (process.env.CTN_NEWS_PROVIDER || '').toLowerCase();
+    if (PROVIDERS[configured]) return configured;
+    if (configured) {
+      console.warn(`⚠️ CTN unknown news provider "${configured}", using the default`);
+    }
+    return process.env.EXA_API_KEY ? 'exa' : 'rss';
+  }
+
+  ctnGetFallbackProviderId() {
+    const configured = (process.env.CTN_NEWS_FALLBACK_PROVIDER || 'fixture').toLowerCase();
+    return PROVIDERS[configured] ? configured : null;
+  }
+
+  ctnIsStoreFirst() {
+    return process.env.CTN_NEWS_STORE_FIRST !== 'false';
+  }
+
+  /**
+   * Run every search in a plan on one provider
+   * @param {Object} provider - Retrieval provider
+   * @param {string} query - Search query
+   * @param {Array<Object>} searchPlan - Domain groups with result counts and publish window
+   * @returns {Promise<Array<Array>>} Raw results of each search, in plan order
+   */
+  async ctnRunPlan(provider, query, searchPlan) {
+    if (!provider.ctnIsConfigured()) {
+      throw new Error(`News provider "${provider.id}" is not configured`);
+    }
+
+    let timeout = null;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeout = setTimeout(() => reject(new Error(`${provider.id} search timeout`)), SEARCH_TIMEOUT_MS);
+    });
+
+    try {
+      return await Promise.race([
+        Promise.all(searchPlan.map(search => provider.ctnSearch(query, search))),
+        timeoutPromise
+      ]);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Search the primary provider, falling back when it fails
+   * @param {string} query - Search query
+   * @param {Array<Object>} searchPlan - Domain groups with result counts and publish window
+   * @returns {Promise<{ resultsBySearch: Array<Array>, provider: string, synthetic: boolean, fallbackReason?: string }>}
+   *   Raw results of each search and which provider produced them
+   */
+  async ctnSearchProviders(query, searchPlan) {
+    const primaryId = this.ctnGetPrimaryProviderId();
+    const primary = PROVIDERS[primaryId];
+
+    try {
+      const resultsBySearch = await this.ctnRunPlan(primary, query, searchPlan);
+      return { resultsBySearch, provider: primaryId, synthetic: primary.synthetic };
+    } catch (error) {
+      const fallbackId = this.ctnGetFallbackProviderId();
+      if (!fallbackId || fallbackId === primaryId) {
+        throw error;
+      }
+
+      console.warn(`⚠️ CTN ${primaryId} retrieval failed (${error.message}), falling back to ${fallbackId}`);
+      const fallback = PROVIDERS[fallbackId];
+      const resultsBySearch = await this.ctnRunPlan(fallback, query, searchPlan);
+      return { resultsBySearch, provider: fallbackId, synthetic: fallback.synthetic, fallbackReason: error.message };
+    }
+  }
+
+  /**
+   * Search the article store, then the providers for whatever it cannot fill
+   * @param {string} query - Search query
+   * @param {Array<Object>} searchPlan - Domain groups with result counts and publish window
+   * @returns {Promise<{ resultsBySearch: Array<Array>, provider: string, synthetic: boolean, fallbackReason?: string }>}
+   *   Raw results of each search and which provider produced them ("store+<provider>" when merged)
+   */
+  async ctnSearch(query, searchPlan) {
+    if (!this.ctnIsStoreFirst()) {
+      return this.ctnSearchProviders(query, searchPlan);
+    }
+
+    const storedBySearch = await this.ctnRunPlan(articleStore, query, searchPlan);
+    const stored = storedBySearch.flat();
+
+    if (storedBySearch.every((results, index) => results.length >= searchPlan[index].numResults)) {
+      return { resultsBySearch: storedBySearch, provider: articleStore.id, synthetic: stored.some(result => result.synthetic) };
+    }
+
+    let retrieved;
+    try {
+      retrieved = await this.ctnSearchProviders(query, searchPlan);
+    } catch (error) {
+      if (stored.length === 0) throw error;
+      console.warn(`⚠️ CTN provider retrieval failed (${error.message}), serving ${stored.length} stored articles`);
+      return { resultsBySearch: storedBySearch, provider: articleStore.id, synthetic: stored.some(result => result.synthetic), fallbackReason: error.message };
+    }
+
+    if (stored.length === 0) return retrieved;
+
+    // Provider results keep their own synthetic flag once mixed with real stored articles
+    const resultsBySearch = retrieved.resultsBySearch.map((providerResults, index) => [
+      ...storedBySearch[index],
+      ...(retrieved.synthetic ? providerResults.map(result => ({ ...result, synthetic: true })) : providerResults)
+    ]);
+
+    return {
+      resultsBySearch,
+      provider: `${articleStore.id}+${retrieved.provider}`,
+      synthetic: resultsBySearch.flat().every(result => result.synthetic),
+      ...(retrieved.fallbackReason && { fallbackReason: retrieved.fallbackReason })
+    };
+  }
+
+  /**
+   * Configured providers and whether each can run
+   * @returns {Object} Store-first setting plus primary and fallback provider details
+   */
+  ctnDescribe() {
+    const describe = (id) => id && {
+      id,
+      available: PROVIDERS[id].ctnIsConfigured(),
+      synthetic: PROVIDERS[id].synthetic
+    };
+
+    return {
+      storeFirst: this.ctnIsStoreFirst(),
+      primary: describe(this.ctnGetPrimaryProviderId()),
+      fallback: describe(this.ctnGetFallbackProviderId()) || null
+    };
+  }
+}
+
+module.exports = new CtnNewsRetrieval();
@@ -0,0 +1,177 @@
+/**
+ * CTN Prompt Registry - Versioned prompt templates loaded from files
+ * Every prompt sent to a model lives in the prompts directory as
+ * <id>.v<version>.txt. Changing a prompt means adding a new version file;
+ * the highest version of each id is active unless pinned. Results record
+ * the prompt id and version that produced them, and cache keys include the
+ * active versions, so only analyses from a changed prompt are re-run.
+ *
+ * File format: a front matter block (id, version, task, description), then
+ * a [system] section and a [prompt] section. {{name}} placeholders are
+ * filled at render time; a placeholder without a value is an error. A task
+ * of "all" marks a prompt any task may send (such as the repair prompt).
+ *
+ * Configuration (environment):
+ * - CTN_PROMPTS_DIR: template directory (default backend/prompts)
+ * - CTN_PROMPT_<ID>_VERSION: pin a prompt to an older version, e.g. CTN_PROMPT_SOURCE_RATING_VERSION=1
+ */
+
+const fs = require('fs');
+const path = require('path');
+const llmConfig = require('../config/llmConfig');
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+const ALL_TASKS = 'all';
+
+/**
+ * Parse one template file
+ * @param {string} raw - File contents
+ * @param {string} file - File path, for error messages
+ * @returns {Object} Template with id, version, task, description, system and template
+ */
+const parseTemplate = (raw, file) => {
+  const match = raw.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n\[system\]\n([\s\S]*?)\n\[prompt\]\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Prompt template ${file} must have front matter, a [system] section and a [prompt] section`);
+  }
+
+  const meta = Object.fromEntries(match[1].split('\n')
+    .map(line => line.match(/^(\w+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value.trim()]));
+  const version = parseInt(meta.version, 10);
+
+  if (!meta.id || !Number.isInteger(version) || version < 1) {
+    throw new Error(`Prompt template ${file} needs an id and a positive integer version`);
+  }
+  if (meta.task !== ALL_TASKS && !llmConfig.TASKS.includes(meta.task)) {
+    throw new Error(`Prompt template ${file} has unknown task "${meta.task}"`);
+  }
+
+  return {
+    id: meta.id,
+    version,
+    task: meta.task,
+    description: meta.description || '',
+    system: match[2].trim(),
+    template: match[3].trim(),
+    file: path.basename(file)
+  };
+};
+
+class CtnPromptRegistry {
+  constructor() {
+    // id -> templates sorted by version
+    this.prompts = null;
+  }
+
+  ctnGetPromptsDir() {
+    return process.env.CTN_PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+  }
+
+  /**
+   * Load every template once per process
+   * @returns {Map<string, Array>} Templates by prompt id, oldest version first
+   */
+  ctnLoad() {
+    if (this.prompts) return this.prompts;
+
+    const dir = this.ctnGetPromptsDir();
+    const prompts = new Map();
+
+    fs.readdirSync(dir)
+      .filter(file => /\.v\d+\.txt$/.test(file))
+      .forEach(file => {
+        const template = parseTemplate(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+        const versions = prompts.get(template.id) || [];
+        if (versions.some(existing => existing.version === template.version)) {
+          throw new Error(`Prompt ${template.id} v${template.version} is defined more than once`);
+        }
+        prompts.set(template.id, [...versions, template].sort((a, b) => a.version - b.version));
+      });
+
+    this.prompts = prompts;
+    console.log(`📝 CTN loaded ${prompts.size} prompts from ${dir}`);
+    return this.prompts;
+  }
+
+  /**
+   * The version of a prompt currently in use
+   * @param {string} id - Prompt id
+   * @returns {Object} Active template
+   */
+  ctnGetActive(id) {
+    const versions = this.ctnLoad().get(id);
+    if (!versions) {
+      throw new Error(`Unknown prompt "${id}"`);
+    }
+
+    const pinned = parseInt(process.env[`CTN_PROMPT_${id.replace(/-/g, '_').toUpperCase()}_VERSION`], 10);
+    if (!pinned) return versions[versions.length - 1];
+
+    const template = versions.find(candidate => candidate.version === pinned);
+    if (!template) {
+      throw new Error(`Prompt "${id}" is pinned to v${pinned}, which does not exist`);
+    }
+    return template;
+  }
+
+  /**
+   * Fill the active template for a prompt
+   * @param {string} id - Prompt id
+   * @param {Object} variables - Placeholder values
+   * @returns {{ id: string, version: number, task: string, system: string, prompt: string }} Rendered prompt
+   */
+  ctnRender(id, variables = {}) {
+    const { version, task, system, template } = this.ctnGetActive(id);
+
+    const prompt = template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      if (variables[name] === undefined || variables[name] === null) {
+        throw new Error(`Prompt ${id} v${version} has no value for {{${name}}}`);
+      }
+      return String(variables[name]);
+    });
+
+    return { id, version, task, system, prompt };
+  }
+
+  /**
+   * Active prompt versions used by a task, which cached results are keyed on
+   * @param {string} task - Task name from llmConfig.TASKS
+   * @returns {Object} Prompt id -> active version
+   */
+  ctnGetTaskVersions(task) {
+    return Object.fromEntries([...this.ctnLoad().keys()]
+      .sort()
+      .map(id => this.ctnGetActive(id))
+      .filter(template => template.task === task || template.task === ALL_TASKS)
+      .map(template => [template.id, template.version]));
+  }
+
+  /**
+   * Whether every prompt a result was produced with is still the active version
+   * @param {Array<{ id: string, version: number }>} prompts - Prompts from a result's provenance
+   * @returns {boolean} False if any prompt has since changed
+   */
+  ctnIsCurrent(prompts = []) {
+    return prompts.every(({ id, version }) => this.ctnLoad().has(id) && this.ctnGetActive(id).version === version);
+  }
+
+  /**
+   * Every registered prompt version
+   * @returns {Array<Object>} Prompt metadata (no template text), marking the active versions
+   */
+  ctnList() {
+    return [...this.ctnLoad().entries()].flatMap(([id, versions]) => {
+      const active = this.ctnGetActive(id).version;
+      return versions.map(({ version, task, description, file }) => ({
+        id, version, task, description, file, active: version === active
+      }));
+    });
+  }
+}
+
+module.exports = new CtnPromptRegistry();
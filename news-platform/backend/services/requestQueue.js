@@ -0,0 +1,150 @@
+/**
+ * CTN Request Queue - Bounded concurrency for AI model calls
+ * Every model request goes through one shared queue so a large search cannot
+ * fan out into dozens of parallel calls. Rate-limit (429) and overload (529)
+ * responses are retried with exponential backoff before the caller sees them.
+ *
+ * Configuration (environment):
+ * - CTN_LLM_CONCURRENCY: maximum in-flight model calls (default 4)
+ * - CTN_LLM_MAX_RETRIES: retries per call on 429/529 (default 3)
+ * - CTN_LLM_RETRY_BASE_MS: first backoff delay, doubled per retry (default 1000)
+ */
+
+const RETRYABLE_STATUSES = [429, 529];
+const MAX_BACKOFF_MS = 30000;
+
+// Wait times kept for the rolling averages reported by ctnGetStats
+const WAIT_SAMPLE_SIZE = 200;
+
+const readNonNegativeInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CtnRequestQueue {
+  constructor() {
+    this.maxConcurrency = Math.max(1, readNonNegativeInt(process.env.CTN_LLM_CONCURRENCY, 4));
+    this.maxRetries = readNonNegativeInt(process.env.CTN_LLM_MAX_RETRIES, 3);
+    this.retryBaseMs = readNonNegativeInt(process.env.CTN_LLM_RETRY_BASE_MS, 1000);
+
+    this.active = 0;
+    this.pending = [];
+    this.waitSamples = [];
+    this.totals = { completed: 0, failed: 0, retried: 0, rateLimited: 0 };
+  }
+
+  /**
+   * Run a model call once a concurrency slot is free
+   * @param {Function} task - Function returning the request promise; called again on retry
+   * @param {string} label - Short description for logs
+   * @returns {Promise<*>} Result of the task
+   */
+  ctnRun(task, label = 'model call') {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, label, resolve, reject, enqueuedAt: Date.now() });
+      this.ctnDrain();
+    });
+  }
+
+  ctnDrain() {
+    while (this.active < this.maxConcurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.active++;
+      this.ctnRecordWait(Date.now() - job.enqueuedAt);
+
+      this.ctnExecute(job)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.ctnDrain();
+        });
+    }
+  }
+
+  /**
+   * Run a job, retrying rate-limit and overload responses with backoff
+   * The slot stays held while backing off so a throttled provider sees less traffic.
+   * @param {Object} job - Queued job
+   * @returns {Promise<*>} Result of the task
+   */
+  async ctnExecute(job) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await job.task();
+        this.totals.completed++;
+        return result;
+      } catch (error) {
+        const retryable = RETRYABLE_STATUSES.includes(error.status);
+        if (retryable) this.totals.rateLimited++;
+
+        if (!retryable || attempt >= this.maxRetries) {
+          this.totals.failed++;
+          throw error;
+        }
+
+        const delay = this.ctnGetBackoffDelay(error, attempt);
+        this.totals.retried++;
+        console.warn(`⏳ CTN ${job.label} got ${error.status}, retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Backoff before the next attempt, honoring a provider retry-after header when present
+   * @param {Error} error - Provider error
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @returns {number} Delay in milliseconds
+   */
+  ctnGetBackoffDelay(error, attempt) {
+    const headers = error.headers || {};
+    const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    const retryAfterMs = parseFloat(retryAfter) * 1000;
+
+    if (retryAfterMs > 0) {
+      return Math.min(MAX_BACKOFF_MS, Math.round(retryAfterMs));
+    }
+
+    const exponential = this.retryBaseMs * 2 ** attempt;
+    const jitter = Math.random() * this.retryBaseMs;
+    return Math.min(MAX_BACKOFF_MS, Math.round(exponential + jitter));
+  }
+
+  ctnRecordWait(waitMs) {
+    this.waitSamples.push(waitMs);
+    if (this.waitSamples.length > WAIT_SAMPLE_SIZE) {
+      this.waitSamples.shift();
+    }
+  }
+
+  /**
+   * Current queue depth, throughput counters and recent wait times
+   * @returns {Object} Queue statistics
+   */
+  ctnGetStats() {
+    const sorted = [...this.waitSamples].sort((a, b) => a - b);
+    const average = sorted.length > 0
+      ? Math.round(sorted.reduce((sum, wait) => sum + wait, 0) / sorted.length)
+      : 0;
+    const oldestPending = this.pending[0];
+
+    return {
+      maxConcurrency: this.maxConcurrency,
+      maxRetries: this.maxRetries,
+      active: this.active,
+      queued: this.pending.length,
+      oldestQueuedMs: oldestPending ? Date.now() - oldestPending.enqueuedAt : 0,
+      waitMs: {
+        samples: sorted.length,
+        average,
+        p95: sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+      },
+      ...this.totals
+    };
+  }
+}
+
+module.exports = new CtnRequestQueue();
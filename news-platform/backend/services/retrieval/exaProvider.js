@@ -0,0 +1,57 @@
+/**
+ * CTN Exa Provider - Neural web search over the registered outlet domains
+ */
+
+const Exa = require('exa-js').default;
+
+class CtnExaProvider {
+  constructor() {
+    this.id = 'exa';
+    this.synthetic = false;
+    // Created on first search; the Exa client throws when no key is configured
+    this.client = null;
+  }
+
+  ctnIsConfigured() {
+    return Boolean(process.env.EXA_API_KEY);
+  }
+
+  /**
+   * Search one group of domains
+   * @param {string} query - Search query
+   * @param {Object} search - One entry of the retrieval search plan
+   * @param {Array<string>} search.domains - Domains to search
+   * @param {number} search.numResults - Maximum results
+   * @param {string} search.startPublishedDate - Earliest publish date (ISO)
+   * @param {string|null} search.endPublishedDate - Latest publish date (ISO), if bounded
+   * @returns {Promise<Array>} Raw results: title, text, url, publishedDate, author, image, score
+   */
+  async ctnSearch(query, { domains, numResults, startPublishedDate, endPublishedDate }) {
+    if (!this.client) {
+      this.client = new Exa(process.env.EXA_API_KEY);
+    }
+
+    const response = await this.client.searchAndContents(query, {
+      type: "neural",
+      useAutoprompt: true,
+      numResults,
+      includeDomains: domains,
+      startPublishedDate,
+      ...(endPublishedDate && { endPublishedDate }),
+      text: { maxCharacters: 800, includeHtmlTags: false },
+      includeImageUrls: true
+    });
+
+    return (response && response.results ? response.results : []).map(result => ({
+      title: result.title,
+      text: result.text || result.summary,
+      url: result.url,
+      publishedDate: result.publishedDate,
+      author: result.author,
+      image: result.image || result.imageUrl || result.featuredImage || result.thumbnail,
+      score: result.score
+    }));
+  }
+}
+
+module.exports = new CtnExaProvider();
@@ -0,0 +1,101 @@
+/**
+ * CTN Feed Parser - Fetch RSS 2.0 and Atom documents and turn them into plain article records
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+
+const FEED_TIMEOUT_MS = 8000;
+
+// Feed text is trimmed by default to the same length the Exa provider requests
+const MAX_TEXT_LENGTH = 800;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  isArray: name => ['item', 'entry', 'link', 'media:content', 'media:thumbnail'].includes(name)
+});
+
+const asText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value['#text'] ?? '');
+  return String(value);
+};
+
+const stripHtml = (html = '') => html
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&#8217;|&rsquo;/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const toIsoDate = (value) => {
+  const date = new Date(asText(value));
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Normalize RSS items and Atom entries to the raw result shape
+ * @param {string} xml - Feed document
+ * @param {Object} options - Parse options (optional)
+ * @param {number} options.maxTextLength - Trim item text to this many characters
+ * @returns {Array} Items with title, text, url, publishedDate, author, image
+ */
+const parseFeed = (xml, { maxTextLength = MAX_TEXT_LENGTH } = {}) => {
+  const document = xmlParser.parse(xml);
+
+  if (document.rss && document.rss.channel) {
+    return (document.rss.channel.item || []).map(item => {
+      const media = (item['media:content'] || item['media:thumbnail'] || [])[0];
+      return {
+        title: stripHtml(asText(item.title)),
+        text: stripHtml(asText(item['content:encoded'] || item.description)).slice(0, maxTextLength),
+        url: asText((item.link || [])[0]).trim(),
+        publishedDate: toIsoDate(item.pubDate || item['dc:date']),
+        author: asText(item['dc:creator'] || item.author) || null,
+        image: (media && media['@_url']) || (item.enclosure && item.enclosure['@_url']) || null
+      };
+    });
+  }
+
+  if (document.feed) {
+    return (document.feed.entry || []).map(entry => {
+      const links = entry.link || [];
+      const link = links.find(candidate => !candidate['@_rel'] || candidate['@_rel'] === 'alternate') || links[0] || {};
+      return {
+        title: stripHtml(asText(entry.title)),
+        text: stripHtml(asText(entry.summary || entry.content)).slice(0, maxTextLength),
+        url: link['@_href'] || '',
+        publishedDate: toIsoDate(entry.published || entry.updated),
+        author: entry.author ? asText(entry.author.name) || null : null,
+        image: null
+      };
+    });
+  }
+
+  return [];
+};
+
+/**
+ * Download a feed document
+ * @param {string} url - Feed URL
+ * @returns {Promise<string>} Feed XML
+ */
+const fetchFeed = async (url) => {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'CTN-News-Platform/1.0 (+feed reader)' },
+    signal: AbortSignal.timeout(FEED_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Feed ${url} returned ${response.status}`);
+  }
+  return response.text();
+};
+
+module.exports = {
+  fetchFeed,
+  parseFeed,
+  stripHtml
+};
@@ -0,0 +1,87 @@
+/**
+ * CTN Fixture Provider - Local article corpus for offline demos and tests
+ * Reads a JSON array or NDJSON file (CTN_FIXTURE_PATH, default
+ * fixtures/articles.ndjson). Results are always flagged synthetic.
+ *
+ * Corpus records: title, content, url, author, imageUrl, and either
+ * publishedAt (ISO) or ageHours (published that many hours before now,
+ * so a checked-in corpus stays inside the default search windows).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sourceRegistry = require('../../config/sourceRegistry');
+const queryMatcher = require('./queryMatcher');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', '..', 'fixtures', 'articles.ndjson');
+
+class CtnFixtureProvider {
+  constructor() {
+    this.id = 'fixture';
+    this.synthetic = true;
+    this.corpus = null;
+  }
+
+  ctnGetFixturePath() {
+    return process.env.CTN_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+  }
+
+  ctnIsConfigured() {
+    return fs.existsSync(this.ctnGetFixturePath());
+  }
+
+  /**
+   * Load the corpus once per process
+   * @returns {Array} Corpus records
+   */
+  ctnLoadCorpus() {
+    if (this.corpus) return this.corpus;
+
+    const fixturePath = this.ctnGetFixturePath();
+    const raw = fs.readFileSync(fixturePath, 'utf8');
+
+    this.corpus = fixturePath.endsWith('.json')
+      ? JSON.parse(raw)
+      : raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+    console.log(`🧪 CTN loaded ${this.corpus.length} fixture articles from ${fixturePath}`);
+    return this.corpus;
+  }
+
+  /**
+   * Search the corpus for one group of domains
+   * @param {string} query - Search query
+   * @param {Object} search - One entry of the retrieval search plan (see exaProvider)
+   * @returns {Promise<Array>} Raw results ranked by query match
+   */
+  async ctnSearch(query, { domains, numResults, startPublishedDate, endPublishedDate }) {
+    const wanted = new Set(domains);
+    const terms = queryMatcher.getQueryTerms(query);
+    const startTime = new Date(startPublishedDate).getTime();
+    const endTime = endPublishedDate ? new Date(endPublishedDate).getTime() : null;
+    const now = Date.now();
+
+    return this.ctnLoadCorpus()
+      .map(record => ({
+        title: record.title,
+        text: record.content,
+        url: record.url,
+        publishedDate: record.ageHours !== undefined
+          ? new Date(now - record.ageHours * 60 * 60 * 1000).toISOString()
+          : record.publishedAt,
+        author: record.author || null,
+        image: record.imageUrl || null
+      }))
+      .filter(record => {
+        const registered = sourceRegistry.getSourceByDomain(record.url);
+        return registered && wanted.has(registered.domain);
+      })
+      .filter(record => queryMatcher.isInWindow(record.publishedDate, startTime, endTime))
+      .map(record => ({ ...record, score: queryMatcher.scoreArticle(terms, record) }))
+      .filter(record => record.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, numResults);
+  }
+}
+
+module.exports = new CtnFixtureProvider();
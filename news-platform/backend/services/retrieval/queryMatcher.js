@@ -0,0 +1,63 @@
+/**
+ * CTN Query Matcher - Keyword relevance for providers without a search engine
+ * The RSS and fixture providers hold plain article lists, so they rank
+ * articles against the query by term overlap instead of semantic search.
+ */
+
+// Words that carry no topic on their own; a query made only of these matches everything
+const GENERIC_TERMS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'about', 'what', 'latest', 'news', 'today', 'top',
+  'stories', 'story', 'headlines', 'breaking', 'new', 'recent', 'update', 'updates'
+]);
+
+/**
+ * Split a query into lowercase topic terms
+ * @param {string} query - Search query
+ * @returns {Array<string>} Distinct terms, empty for generic queries like "latest news"
+ */
+const getQueryTerms = (query = '') => [...new Set(
+  query
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(term => term.length > 1 && !GENERIC_TERMS.has(term))
+)];
+
+/**
+ * Score an article against query terms; title hits count double
+ * @param {Array<string>} terms - Terms from getQueryTerms
+ * @param {{ title: string, text: string }} article - Candidate article
+ * @returns {number} 0-1 relevance, 1 for every article when there are no terms
+ */
+const scoreArticle = (terms, { title = '', text = '' }) => {
+  if (terms.length === 0) return 1;
+
+  const titleLower = title.toLowerCase();
+  const textLower = text.toLowerCase();
+  const points = terms.reduce((total, term) => {
+    if (titleLower.includes(term)) return total + 2;
+    if (textLower.includes(term)) return total + 1;
+    return total;
+  }, 0);
+
+  return points / (terms.length * 2);
+};
+
+/**
+ * Keep articles inside a publish window
+ * @param {string} publishedDate - Article publish date
+ * @param {number} startTime - Earliest allowed time (ms)
+ * @param {number|null} endTime - Latest allowed time (ms), or null for no upper bound
+ * @returns {boolean} True if the article falls in the window
+ */
+const isInWindow = (publishedDate, startTime, endTime) => {
+  const time = new Date(publishedDate).getTime();
+  if (isNaN(time)) return false;
+  return time >= startTime && (endTime === null || time <= endTime);
+};
+
+module.exports = {
+  getQueryTerms,
+  scoreArticle,
+  isInWindow
+};
@@ -0,0 +1,74 @@
+/**
+ * CTN RSS Provider - Live outlet feeds, no API key required
+ * Fetches the RSS/Atom feeds of the requested domains, keeps each parsed feed
+ * for a few minutes, and ranks items against the query by term overlap.
+ */
+
+const NodeCache = require('node-cache');
+const feedRegistry = require('../../config/feedRegistry');
+const queryMatcher = require('./queryMatcher');
+const { fetchFeed, parseFeed } = require('./feedParser');
+
+const FEED_TTL = 600; // 10 minutes
+
+const feedCache = new NodeCache({ stdTTL: FEED_TTL, useClones: false });
+
+class CtnRssProvider {
+  constructor() {
+    this.id = 'rss';
+    this.synthetic = false;
+  }
+
+  ctnIsConfigured() {
+    return feedRegistry.FEED_REGISTRY.length > 0;
+  }
+
+  /**
+   * Fetch and parse one feed, reusing a recent copy when available
+   * @param {{ domain: string, url: string }} feed - Feed registry entry
+   * @returns {Promise<Array>} Parsed feed items
+   */
+  async ctnLoadFeed(feed) {
+    const cached = feedCache.get(feed.url);
+    if (cached) return cached;
+
+    const items = parseFeed(await fetchFeed(feed.url)).filter(item => item.url && item.title);
+    feedCache.set(feed.url, items);
+    return items;
+  }
+
+  /**
+   * Search the feeds of one group of domains
+   * @param {string} query - Search query
+   * @param {Object} search - One entry of the retrieval search plan (see exaProvider)
+   * @returns {Promise<Array>} Raw results ranked by query match
+   */
+  async ctnSearch(query, { domains, numResults, startPublishedDate, endPublishedDate }) {
+    const feeds = feedRegistry.getFeedsForDomains(domains);
+    if (feeds.length === 0) return [];
+
+    const loaded = await Promise.allSettled(feeds.map(feed => this.ctnLoadFeed(feed)));
+    const failures = loaded.filter(result => result.status === 'rejected');
+    failures.forEach(result => console.warn(`⚠️ CTN feed unavailable: ${result.reason.message}`));
+
+    // Only fail the search when no feed at all could be read
+    if (failures.length === feeds.length) {
+      throw new Error('No news feeds could be loaded');
+    }
+
+    const terms = queryMatcher.getQueryTerms(query);
+    const startTime = new Date(startPublishedDate).getTime();
+    const endTime = endPublishedDate ? new Date(endPublishedDate).getTime() : null;
+
+    return loaded
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => result.value)
+      .filter(item => queryMatcher.isInWindow(item.publishedDate, startTime, endTime))
+      .map(item => ({ ...item, score: queryMatcher.scoreArticle(terms, item) }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score || new Date(b.publishedDate) - new Date(a.publishedDate))
+      .slice(0, numResults);
+  }
+}
+
+module.exports = new CtnRssProvider();
@@ -0,0 +1,113 @@
+/**
+ * CTN Search Pager - Server-side result sets behind opaque page cursors
+ * A search retrieves one deep result set, stores it here, and hands out
+ * cursors so later pages come from the same ordered list without another
+ * retrieval round-trip. AI analysis runs per page in the route.
+ *
+ * Repeating a search that is served from the search cache reuses its result
+ * set, and at most MAX_RESULT_SETS are held, dropping the least recently read.
+ */
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const storyClustering = require('./storyClustering');
+
+// Result sets live as long as the search cache, refreshed on every page read
+const RESULT_SET_TTL = 1800;
+const resultSetCache = new NodeCache({ stdTTL: RESULT_SET_TTL, useClones: false });
+
+// Each set holds a full deep search (about 60 articles)
+const MAX_RESULT_SETS = 500;
+
+class CtnSearchPager {
+  constructor() {
+    this.maxResultSets = MAX_RESULT_SETS;
+  }
+
+  /**
+   * Store a full, ordered result set
+   * @param {Array} articles - Every retrieved article, in display order
+   * @param {Object} meta - Search parameters echoed back with each page
+   * @param {Array} stories - Story clusters the articles are tagged with
+   * @returns {string} Result set id, the same for the same search parameters and articles
+   */
+  ctnCreateResultSet(articles, meta = {}, stories = []) {
+    const resultSetId = crypto.createHash('sha256')
+      .update(JSON.stringify([meta, articles.map(article => article.url)]))
+      .digest('hex')
+      .slice(0, 24);
+
+    if (resultSetCache.has(resultSetId)) {
+      resultSetCache.ttl(resultSetId, RESULT_SET_TTL);
+      return resultSetId;
+    }
+
+    if (resultSetCache.keys().length >= MAX_RESULT_SETS) {
+      this.ctnEvictLeastRecentlyRead();
+    }
+    resultSetCache.set(resultSetId, { articles, meta, stories, createdAt: new Date().toISOString() });
+    return resultSetId;
+  }
+
+  /**
+   * Drop the result set that was read longest ago (its TTL is refreshed on every read)
+   */
+  ctnEvictLeastRecentlyRead() {
+    const [oldest] = resultSetCache.keys()
+      .sort((a, b) => (resultSetCache.getTtl(a) || 0) - (resultSetCache.getTtl(b) || 0));
+    if (oldest) resultSetCache.del(oldest);
+  }
+
+  ctnEncodeCursor(resultSetId, offset) {
+    return Buffer.from(JSON.stringify({ r: resultSetId, o: offset })).toString('base64url');
+  }
+
+  /**
+   * Decode a page cursor
+   * @param {string} cursor - Opaque cursor from a previous page
+   * @returns {{ resultSetId: string, offset: number }|null} Decoded cursor, or null if malformed
+   */
+  ctnDecodeCursor(cursor) {
+    try {
+      const { r, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (typeof r !== 'string' || !Number.isInteger(o) || o < 0) return null;
+      return { resultSetId: r, offset: o };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read one page of a stored result set
+   * @param {string} resultSetId - Result set id
+   * @param {number} offset - Index of the first article on the page
+   * @param {number} pageSize - Articles per page
+   * @returns {Object|null} Page with articles, the stories they belong to and pagination info,
+   *   or null if the set expired
+   */
+  ctnGetPage(resultSetId, offset, pageSize) {
+    const resultSet = resultSetCache.get(resultSetId);
+    if (!resultSet) return null;
+
+    resultSetCache.ttl(resultSetId, RESULT_SET_TTL);
+
+    const articles = resultSet.articles.slice(offset, offset + pageSize);
+    const nextOffset = offset + articles.length;
+    const hasMore = nextOffset < resultSet.articles.length;
+
+    return {
+      articles,
+      stories: storyClustering.ctnGetPageStories(resultSet.stories, articles),
+      meta: resultSet.meta,
+      pagination: {
+        offset,
+        pageSize,
+        totalResults: resultSet.articles.length,
+        hasMore,
+        nextCursor: hasMore ? this.ctnEncodeCursor(resultSetId, nextOffset) : null
+      }
+    };
+  }
+}
+
+module.exports = new CtnSearchPager();
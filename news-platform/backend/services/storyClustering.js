@@ -0,0 +1,260 @@
+/**
+ * CTN Story Clustering - Groups search results that cover the same event
+ * Each article becomes a TF-IDF vector over its headline (counted twice) and
+ * the opening of its text, computed locally against the result set itself,
+ * so terms every result shares (usually the query) carry little weight.
+ * Articles join the most similar story by cosine similarity to the story's
+ * centroid, or start a new one below the threshold.
+ *
+ * Each story also gets its coverage distribution (outlets' baseline scores
+ * from config/sourceRegistry.js, grouped into leanings by config/biasScale.js)
+ * and is flagged as a blindspot when the left or the right supplies more than
+ * BLINDSPOT_SHARE of its rated coverage.
+ */
+
+const sourceRegistry = require('../config/sourceRegistry');
+const biasScale = require('../config/biasScale');
+
+// Cosine similarity to a story's centroid needed to join it
+const SIMILARITY_THRESHOLD = 0.2;
+const TITLE_WEIGHT = 2;
+const CONTENT_PREFIX_LENGTH = 1500;
+const STORY_KEYWORDS = 5;
+
+// One side's share of rated coverage above which a story is a blindspot for the other side
+const BLINDSPOT_SHARE = 0.8;
+// Stories with fewer articles from rated outlets are too thin to call
+const MIN_BLINDSPOT_ARTICLES = 3;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'has', 'have', 'had',
+  'its', 'into', 'over', 'after', 'about', 'amid', 'says', 'said', 'will', 'new', 'not', 'but',
+  'his', 'her', 'their', 'they', 'who', 'what', 'why', 'how', 'when', 'out', 'more', 'than', 'just',
+  'can', 'could', 'would', 'should', 'been', 'being', 'you', 'your', 'our', 'one', 'two', 'first',
+  'last', 'year', 'years', 'week', 'news', 'live', 'update', 'updates', 'report', 'video', 'watch',
+  'also', 'which', 'there', 'them', 'then', 'some', 'other', 'all', 'any', 'may', 'most', 'many',
+  'while', 'where', 'these', 'those', 'such', 'very', 'only', 'both', 'each', 'she', 'him', 'did',
+  'does', 'here', 'now', 'like', 'get', 'got', 'make', 'made', 'per', 'via', 'told', 'according'
+]);
+
+/**
+ * Count significant lowercase terms in a text
+ * @param {string} text - Text to tokenize
+ * @param {Map<string, number>} counts - Term counts to add to
+ * @param {number} weight - Amount each occurrence adds
+ */
+const countTerms = (text = '', counts, weight = 1) => {
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .map(token => token.replace(/^-+|-+$/g, ''))
+    .filter(token => token.length > 2 && !STOPWORDS.has(token))
+    .forEach(token => counts.set(token, (counts.get(token) || 0) + weight));
+};
+
+const normalize = (vector) => {
+  let length = 0;
+  vector.forEach(value => {
+    length += value * value;
+  });
+  length = Math.sqrt(length);
+  if (length > 0) {
+    vector.forEach((value, term) => vector.set(term, value / length));
+  }
+  return vector;
+};
+
+const cosine = (a, b) => {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  smaller.forEach((value, term) => {
+    dot += value * (larger.get(term) || 0);
+  });
+  return dot;
+};
+
+class CtnStoryClustering {
+  /**
+   * Build unit-length TF-IDF vectors for a set of articles
+   * @param {Array} articles - Articles in the CTN article shape
+   * @returns {Array<Map<string, number>>} One vector per article, in input order
+   */
+  ctnVectorize(articles) {
+    const termCounts = articles.map(article => {
+      const counts = new Map();
+      countTerms(article.title, counts, TITLE_WEIGHT);
+      countTerms((article.content || '').slice(0, CONTENT_PREFIX_LENGTH), counts);
+      return counts;
+    });
+
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => counts.forEach((_, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    const total = articles.length;
+    return termCounts.map(counts => {
+      const vector = new Map();
+      counts.forEach((count, term) => {
+        const idf = Math.log((total + 1) / (documentFrequency.get(term) + 1)) + 1;
+        vector.set(term, (1 + Math.log(count)) * idf);
+      });
+      return normalize(vector);
+    });
+  }
+
+  /**
+   * Group a ranked result set into stories
+   * Story members are moved next to each other (a story sits where its best-ranked
+   * article was) so one story's coverage lands on the same page.
+   * @param {Array} articles - Ranked articles in the CTN article shape
+   * @returns {{ articles: Array, stories: Array }} Articles tagged with storyId, and story details
+   */
+  ctnClusterArticles(articles = []) {
+    const vectors = this.ctnVectorize(articles);
+    const clusters = [];
+
+    articles.forEach((article, index) => {
+      const vector = vectors[index];
+
+      let bestCluster = null;
+      let bestSimilarity = 0;
+      clusters.forEach(cluster => {
+        const similarity = cosine(vector, cluster.centroid);
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity;
+          bestCluster = cluster;
+        }
+      });
+
+      if (bestCluster && bestSimilarity >= SIMILARITY_THRESHOLD) {
+        bestCluster.members.push(index);
+        vector.forEach((value, term) => bestCluster.sum.set(term, (bestCluster.sum.get(term) || 0) + value));
+        bestCluster.centroid = normalize(new Map(bestCluster.sum));
+      } else {
+        clusters.push({ members: [index], sum: new Map(vector), centroid: new Map(vector) });
+      }
+    });
+
+    const stories = clusters.map((cluster, clusterIndex) => {
+      const members = cluster.members.map(index => articles[index]);
+      const sources = [...new Set(members.map(article => article.source))];
+      const coverage = this.ctnGetCoverageDistribution(members);
+      return {
+        id: `story_${clusterIndex + 1}`,
+        label: members[0].title,
+        keywords: [...cluster.sum.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, STORY_KEYWORDS)
+          .map(([term]) => term),
+        articleCount: members.length,
+        outletCount: sources.length,
+        sources,
+        coverage,
+        blindspot: this.ctnDetectBlindspot(coverage)
+      };
+    });
+
+    return {
+      articles: clusters.flatMap((cluster, clusterIndex) =>
+        cluster.members.map(index => ({ ...articles[index], storyId: stories[clusterIndex].id }))
+      ),
+      stories
+    };
+  }
+
+  /**
+   * The stories that appear on one page, with the positions of their articles
+   * @param {Array} stories - Stories from ctnClusterArticles
+   * @param {Array} pageArticles - Articles on the page, tagged with storyId
+   * @returns {Array} Stories in page order, each with articleIndexes into pageArticles
+   */
+  ctnGetPageStories(stories = [], pageArticles = []) {
+    const storiesById = new Map(stories.map(story => [story.id, story]));
+    const pageStories = new Map();
+
+    pageArticles.forEach((article, index) => {
+      const story = storiesById.get(article.storyId);
+      if (!story) return;
+      if (!pageStories.has(story.id)) {
+        pageStories.set(story.id, { ...story, articleIndexes: [] });
+      }
+      pageStories.get(story.id).articleIndexes.push(index);
+    });
+
+    return [...pageStories.values()];
+  }
+
+  /**
+   * Count a story's articles by their outlet's baseline leaning
+   * @param {Array} articles - Story articles
+   * @returns {{ left: number, center: number, right: number, unrated: number, rated: number, shares: Object|null }}
+   *   Counts per leaning; shares are fractions of the rated articles
+   */
+  ctnGetCoverageDistribution(articles = []) {
+    const counts = { left: 0, center: 0, right: 0, unrated: 0 };
+    articles.forEach(article => {
+      const registered = sourceRegistry.getSourceByDomain(article.url);
+      counts[registered ? biasScale.getLeaning(registered.biasScore) : 'unrated']++;
+    });
+
+    const rated = counts.left + counts.center + counts.right;
+    const share = (count) => Math.round((count / rated) * 100) / 100;
+    return {
+      ...counts,
+      rated,
+      shares: rated > 0 ? { left: share(counts.left), center: share(counts.center), right: share(counts.right) } : null
+    };
+  }
+
+  /**
+   * Flag a story whose coverage comes overwhelmingly from one side
+   * Center-heavy coverage is not a blindspot; only left or right dominance is.
+   * @param {Object} coverage - Result of ctnGetCoverageDistribution
+   * @param {number} threshold - Share one side must exceed
+   * @returns {{ side: string, share: number, missingSide: string }|null} The dominant side, or null
+   */
+  ctnDetectBlindspot(coverage, threshold = BLINDSPOT_SHARE) {
+    if (coverage.rated < MIN_BLINDSPOT_ARTICLES) return null;
+
+    const side = ['left', 'right'].find(candidate => coverage[candidate] / coverage.rated > threshold);
+    if (!side) return null;
+
+    return {
+      side,
+      share: coverage.shares[side],
+      missingSide: side === 'left' ? 'right' : 'left'
+    };
+  }
+
+  /**
+   * Spread of analyzed bias scores across a story's articles
+   * @param {Array} articles - Processed story articles
+   * @returns {Object|null} Min, max, range, average and per-leaning counts, or null before any analysis
+   */
+  ctnGetBiasSpread(articles = []) {
+    const scores = articles
+      .map(article => article.bias && article.bias.biasScore)
+      .filter(score => typeof score === 'number');
+    if (scores.length === 0) return null;
+
+    const leanings = { left: 0, center: 0, right: 0 };
+    scores.forEach(score => {
+      leanings[biasScale.getLeaning(score)]++;
+    });
+
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    return {
+      analyzed: scores.length,
+      min,
+      max,
+      range: max - min,
+      average: Math.round(scores.reduce((total, score) => total + score, 0) / scores.length),
+      leanings
+    };
+  }
+}
+
+module.exports = new CtnStoryClustering();
@@ -0,0 +1,207 @@
+/**
+ * CTN Trending Service - Topic detection over recently retrieved articles
+ * Keeps a rolling pool of articles returned by the CTN news retrieval system,
+ * groups them into stories with services/storyClustering.js (the same grouping
+ * search results get), and ranks them by how many distinct outlets cover them
+ * and how recently they were published.
+ */
+
+const aiService = require('./aiService');
+const storyClustering = require('./storyClustering');
+
+// Broad queries used to seed the pool when no recent searches have filled it
+const SEED_QUERIES = ['politics', 'economy', 'world news', 'technology', 'health', 'climate'];
+
+const POOL_REFRESH_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const POOL_MAX_AGE = 24 * 60 * 60 * 1000; // drop articles retrieved over a day ago
+const RECENT_WINDOW = 72 * 60 * 60 * 1000; // only cluster articles published in the last 3 days
+const MAX_ARTICLES_PER_TOPIC = 6;
+const MAX_ARTICLES_PER_BLINDSPOT = 6;
+
+class CtnTrendingService {
+  constructor() {
+    // url -> { article, retrievedAt }
+    this.articlePool = new Map();
+    this.lastSeededAt = 0;
+    this.seedPromise = null;
+  }
+
+  /**
+   * Add freshly retrieved articles to the trending pool
+   * @param {Array} articles - Articles in the CTN article shape
+   */
+  ctnRecordArticles(articles = []) {
+    const now = Date.now();
+    articles.forEach(article => {
+      if (article && article.url) {
+        this.articlePool.set(article.url, { article, retrievedAt: now });
+      }
+    });
+  }
+
+  ctnPrunePool() {
+    const cutoff = Date.now() - POOL_MAX_AGE;
+    for (const [url, entry] of this.articlePool) {
+      if (entry.retrievedAt < cutoff) {
+        this.articlePool.delete(url);
+      }
+    }
+  }
+
+  /**
+   * Re-run the seed queries when the pool has not been refreshed recently
+   * @returns {Promise<void>}
+   */
+  async ctnEnsureFreshPool() {
+    this.ctnPrunePool();
+
+    if (Date.now() - this.lastSeededAt < POOL_REFRESH_INTERVAL) return;
+
+    // Concurrent trending requests share one refresh
+    if (!this.seedPromise) {
+      this.seedPromise = (async () => {
+        console.log('📈 CTN refreshing trending pool');
+        const results = await Promise.allSettled(
+          SEED_QUERIES.map(query => aiService.ctnSearchNewsArticles(query, {}, 10))
+        );
+        results.forEach(result => {
+          if (result.status === 'fulfilled') {
+            this.ctnRecordArticles(result.value.articles);
+          }
+        });
+        this.lastSeededAt = Date.now();
+      })().finally(() => {
+        this.seedPromise = null;
+      });
+    }
+
+    await this.seedPromise;
+  }
+
+  /**
+   * Score a topic by outlet diversity and recency
+   * @param {Object} topic - Clustered topic
+   * @returns {Object} Ranking details
+   */
+  ctnScoreTopic(topic) {
+    const outlets = new Set(topic.articles.map(article => article.source));
+    const latest = Math.max(...topic.articles.map(article => new Date(article.publishedAt).getTime() || 0));
+    const hoursOld = Math.max(0, (Date.now() - latest) / (60 * 60 * 1000));
+    const recency = 1 / (1 + hoursOld / 12);
+
+    return {
+      outletCount: outlets.size,
+      latestPublishedAt: new Date(latest).toISOString(),
+      score: Math.round((outlets.size * 2 + recency * 3) * 100) / 100
+    };
+  }
+
+  /**
+   * Order a topic's articles round-robin across outlet categories
+   * @param {Array} articles - Topic articles
+   * @returns {Array} Balanced article list
+   */
+  ctnBalanceArticles(articles) {
+    const buckets = { categoryA: [], categoryB: [], categoryC: [], other: [] };
+    articles.forEach(article => {
+      buckets[aiService.ctnGetSourceCategory(article.url) || 'other'].push(article);
+    });
+
+    const balanced = [];
+    const order = ['categoryB', 'categoryA', 'categoryC', 'other'];
+    while (balanced.length < articles.length) {
+      order.forEach(category => {
+        const next = buckets[category].shift();
+        if (next) balanced.push(next);
+      });
+    }
+    return balanced;
+  }
+
+  /**
+   * Pool articles published inside the recent window, refreshing the pool first if stale
+   * @returns {Promise<Array>} Recent articles
+   */
+  async ctnGetRecentArticles() {
+    await this.ctnEnsureFreshPool();
+
+    const recentCutoff = Date.now() - RECENT_WINDOW;
+    return [...this.articlePool.values()]
+      .map(entry => entry.article)
+      .filter(article => (new Date(article.publishedAt).getTime() || 0) >= recentCutoff);
+  }
+
+  /**
+   * Cluster recent pool articles into stories
+   * Articles go in newest first, so each story is labeled with its latest headline.
+   * @returns {Promise<Array<{ story: Object, members: Array }>>} Stories with their member articles
+   */
+  async ctnGetRecentStories() {
+    const recentArticles = (await this.ctnGetRecentArticles())
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    const { articles, stories } = storyClustering.ctnClusterArticles(recentArticles);
+
+    return stories.map(story => ({
+      story,
+      members: articles.filter(article => article.storyId === story.id)
+    }));
+  }
+
+  /**
+   * Recent stories covered mostly by one side of the spectrum
+   * @param {number} limit - Maximum number of stories
+   * @param {string} side - Only stories dominated by this side ("left" or "right"), or null for both
+   * @returns {Promise<Array>} Blindspot stories, widest coverage first, each with its (unprocessed) articles
+   */
+  async ctnGetBlindspots(limit = 10, side = null) {
+    const stories = await this.ctnGetRecentStories();
+
+    return stories
+      .filter(({ story }) => story.blindspot && (!side || story.blindspot.side === side))
+      .map(({ story, members }) => ({
+        ...story,
+        latestPublishedAt: this.ctnScoreTopic({ articles: members }).latestPublishedAt,
+        articles: members.slice(0, MAX_ARTICLES_PER_BLINDSPOT)
+      }))
+      .sort((a, b) => b.articleCount - a.articleCount || new Date(b.latestPublishedAt) - new Date(a.latestPublishedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Build the ranked trending topic feed
+   * @param {number} limit - Maximum number of articles across all topics
+   * @returns {Promise<Array>} Ranked topics, each with balanced (unprocessed) articles
+   */
+  async ctnGetTrendingTopics(limit = 15) {
+    const ranked = (await this.ctnGetRecentStories())
+      .map(({ story, members }) => ({ story, members, ranking: this.ctnScoreTopic({ articles: members }) }))
+      .sort((a, b) => b.ranking.score - a.ranking.score);
+
+    const topics = [];
+    let remaining = limit;
+
+    for (const { story, members, ranking } of ranked) {
+      if (remaining <= 0) break;
+
+      // Topic articles are tagged with topicId by the route instead of the clustering's storyId
+      const articles = this.ctnBalanceArticles(members.map(({ storyId, ...article }) => article))
+        .slice(0, Math.min(MAX_ARTICLES_PER_TOPIC, remaining));
+      remaining -= articles.length;
+
+      topics.push({
+        id: `topic_${topics.length + 1}`,
+        label: story.label,
+        keywords: story.keywords,
+        articleCount: story.articleCount,
+        coverage: story.coverage,
+        ...ranking,
+        categories: [...new Set(articles.map(article => aiService.ctnGetSourceCategory(article.url) || 'other'))],
+        articles
+      });
+    }
+
+    return topics;
+  }
+}
+
+module.exports = new CtnTrendingService();
@@ -0,0 +1,270 @@
+/**
+ * CTN User Store - File-backed persistence for reader preferences and activity
+ * Each user is stored as a single JSON document keyed by the client-generated
+ * `biasguard_user_id`, so reading history and preferences survive restarts.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const biasScale = require('../config/biasScale');
+
+const DATA_DIR = process.env.CTN_DATA_DIR || path.join(__dirname, '..', 'data');
+const USERS_DIR = path.join(DATA_DIR, 'users');
+
+// Oldest interactions are dropped beyond this many per user
+const MAX_INTERACTIONS = 1000;
+
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const INTERACTION_ACTIONS = ['read', 'click'];
+
+const DEFAULT_PREFERENCES = {
+  biasRange: { min: 0, max: 100 },
+  diversityWeight: 0.5,
+  preferredSources: [],
+  excludedSources: [],
+  topics: []
+};
+
+class CtnUserStore {
+  constructor() {
+    // Per-user promise chains so concurrent writes never interleave
+    this.writeQueues = new Map();
+  }
+
+  /**
+   * Check that a user id is safe to use as a storage key
+   * @param {string} userId - User identifier
+   * @returns {boolean} Whether the id is valid
+   */
+  ctnIsValidUserId(userId) {
+    return typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+  }
+
+  /**
+   * Check that an interaction action is one we record
+   * @param {string} action - Interaction type
+   * @returns {boolean} Whether the action is supported
+   */
+  ctnIsValidAction(action) {
+    return INTERACTION_ACTIONS.includes(action);
+  }
+
+  ctnUserFilePath(userId) {
+    return path.join(USERS_DIR, `${userId}.json`);
+  }
+
+  ctnCreateUserRecord(userId) {
+    const now = new Date().toISOString();
+    return {
+      userId,
+      createdAt: now,
+      updatedAt: now,
+      preferences: { ...DEFAULT_PREFERENCES, biasRange: { ...DEFAULT_PREFERENCES.biasRange } },
+      interactions: []
+    };
+  }
+
+  /**
+   * Load a user record from disk
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object|null>} User record, or null if the user has no data
+   */
+  async ctnLoadUser(userId) {
+    try {
+      const raw = await fs.readFile(this.ctnUserFilePath(userId), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a mutation to a user record and persist it atomically
+   * @param {string} userId - User identifier
+   * @param {Function} mutate - Receives the record, returns the value to resolve with
+   * @returns {Promise<*>} Value returned by mutate
+   */
+  ctnUpdateUser(userId, mutate) {
+    const previous = this.writeQueues.get(userId) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+      const record = (await this.ctnLoadUser(userId)) || this.ctnCreateUserRecord(userId);
+      const result = mutate(record);
+      record.updatedAt = new Date().toISOString();
+
+      await fs.mkdir(USERS_DIR, { recursive: true });
+      const filePath = this.ctnUserFilePath(userId);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(record, null, 2));
+      await fs.rename(tempPath, filePath);
+
+      return result;
+    });
+
+    this.writeQueues.set(userId, next);
+    next.finally(() => {
+      if (this.writeQueues.get(userId) === next) {
+        this.writeQueues.delete(userId);
+      }
+    }).catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Get a user's preferences, falling back to defaults for unknown users
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} Preferences
+   */
+  async ctnGetPreferences(userId) {
+    const record = await this.ctnLoadUser(userId);
+    return record ? record.preferences : this.ctnCreateUserRecord(userId).preferences;
+  }
+
+  /**
+   * Merge validated preference updates into a user's stored preferences
+   * @param {string} userId - User identifier
+   * @param {Object} updates - Already-validated preference fields
+   * @returns {Promise<Object>} Updated preferences
+   */
+  ctnUpdatePreferences(userId, updates) {
+    return this.ctnUpdateUser(userId, record => {
+      record.preferences = { ...record.preferences, ...updates };
+      return record.preferences;
+    });
+  }
+
+  /**
+   * Record a read or click on an article, keeping its bias score for analytics
+   * @param {string} userId - User identifier
+   * @param {Object} article - Article the user interacted with
+   * @param {string} action - Interaction type
+   * @returns {Promise<Object>} Stored interaction
+   */
+  ctnRecordInteraction(userId, article, action) {
+    const biasScore = article.bias?.biasScore ?? article.biasScore;
+
+    const interaction = {
+      id: crypto.randomUUID(),
+      action,
+      url: article.url || null,
+      title: article.title || 'Untitled Article',
+      source: article.source || 'Unknown Source',
+      biasScore: typeof biasScore === 'number' ? biasScore : null,
+      biasLabel: article.bias?.biasLabel || article.biasLabel || null,
+      timestamp: new Date().toISOString()
+    };
+
+    return this.ctnUpdateUser(userId, record => {
+      record.interactions.push(interaction);
+      if (record.interactions.length > MAX_INTERACTIONS) {
+        record.interactions = record.interactions.slice(-MAX_INTERACTIONS);
+      }
+      return interaction;
+    });
+  }
+
+  /**
+   * Get a page of the user's interactions, newest first
+   * @param {string} userId - User identifier
+   * @param {number} limit - Page size
+   * @param {number} offset - Number of entries to skip
+   * @returns {Promise<Object>} History page
+   */
+  async ctnGetReadingHistory(userId, limit = 20, offset = 0) {
+    const record = await this.ctnLoadUser(userId);
+    const interactions = record ? [...record.interactions].reverse() : [];
+
+    return {
+      history: interactions.slice(offset, offset + limit),
+      total: interactions.length,
+      limit,
+      offset,
+      hasMore: offset + limit < interactions.length
+    };
+  }
+
+  /**
+   * Summarize a user's reading activity and bias exposure
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} Analytics summary
+   */
+  async ctnGetAnalytics(userId) {
+    const record = await this.ctnLoadUser(userId);
+    const interactions = record ? record.interactions : [];
+
+    const actionCounts = Object.fromEntries(INTERACTION_ACTIONS.map(action => [action, 0]));
+    const biasDistribution = Object.fromEntries(biasScale.BIAS_LABELS.map(label => [label, 0]));
+    const sourceCounts = {};
+    const scores = [];
+
+    interactions.forEach(interaction => {
+      actionCounts[interaction.action] = (actionCounts[interaction.action] || 0) + 1;
+      sourceCounts[interaction.source] = (sourceCounts[interaction.source] || 0) + 1;
+
+      if (typeof interaction.biasScore === 'number') {
+        scores.push(interaction.biasScore);
+        biasDistribution[biasScale.getBiasLabel(interaction.biasScore)] += 1;
+      }
+    });
+
+    const mean = scores.length
+      ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+      : null;
+    const averageBiasScore = mean === null ? null : Math.round(mean);
+
+    // Same standard-deviation based diversity measure the frontend uses
+    let diversityScore = null;
+    if (scores.length >= 2) {
+      const variance = scores.reduce((sum, score) => sum + Math.pow(score - mean, 2), 0) / scores.length;
+      diversityScore = Math.min(100, Math.round((Math.sqrt(variance) / 25) * 100));
+    }
+
+    const topSources = Object.entries(sourceCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([source, count]) => ({ source, count }));
+
+    return {
+      userId,
+      totalInteractions: interactions.length,
+      actionCounts,
+      averageBiasScore,
+      biasDistribution,
+      diversityScore,
+      topSources,
+      firstSeen: record ? record.createdAt : null,
+      lastActive: interactions.length ? interactions[interactions.length - 1].timestamp : null
+    };
+  }
+
+  /**
+   * Create a new user with default preferences
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} Created user record
+   */
+  ctnCreateUser(userId) {
+    return this.ctnUpdateUser(userId, record => ({ ...record }));
+  }
+
+  /**
+   * Permanently delete everything stored for a user
+   * @param {string} userId - User identifier
+   * @returns {Promise<boolean>} Whether any data existed
+   */
+  async ctnDeleteUserData(userId) {
+    await (this.writeQueues.get(userId) || Promise.resolve()).catch(() => {});
+
+    try {
+      await fs.unlink(this.ctnUserFilePath(userId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = new CtnUserStore();
@@ -7,52 +7,85 @@ import LoadingScreen from './components/LoadingScreen';
 import NewsPage from './pages/NewsPage';
 
 // Services
-import { generateUserId } from './utils/helpers';
+import { newsApi } from './services/api';
+import { generateUserId, saveToStorage, loadFromStorage } from './utils/helpers';
 import { UserProvider } from './contexts/UserContext';
+import { BiasScaleProvider } from './contexts/BiasScaleContext';
+
+// Last bias scale received, used when the backend cannot be reached at startup
+const BIAS_SCALE_STORAGE_KEY = 'biasguard_bias_scale';
 
 function App() {
-  const [isLoading, setIsLoading] = useState(true);
   const [userId, setUserId] = useState(null);
+  const [biasScale, setBiasScale] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [loadAttempt, setLoadAttempt] = useState(0);
 
   useEffect(() => {
     // Initialize user session
-    const initializeUser = () => {
-      let storedUserId = localStorage.getItem('biasguard_user_id');
-      
-      if (!storedUserId) {
-        storedUserId = generateUserId();
-        localStorage.setItem('biasguard_user_id', storedUserId);
+    let storedUserId = localStorage.getItem('biasguard_user_id');
+
+    if (!storedUserId) {
+      storedUserId = generateUserId();
+      localStorage.setItem('biasguard_user_id', storedUserId);
+    }
+
+    setUserId(storedUserId);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Every bias score is labeled and colored with the scale the backend analyzes with
+    const loadBiasScale = async () => {
+      try {
+        const scale = await newsApi.getBiasScale();
+        saveToStorage(BIAS_SCALE_STORAGE_KEY, scale);
+        if (!cancelled) setBiasScale(scale);
+      } catch (error) {
+        console.error('Failed to load bias scale:', error);
+        const storedScale = loadFromStorage(BIAS_SCALE_STORAGE_KEY);
+        if (cancelled) return;
+        if (storedScale) {
+          setBiasScale(storedScale);
+        } else {
+          setLoadError('Could not reach the news server.');
+        }
       }
-      
-      setUserId(storedUserId);
-      setIsLoading(false);
     };
 
-    // Simulate loading time for better UX
-    const timer = setTimeout(initializeUser, 1000);
-    
-    return () => clearTimeout(timer);
-  }, []);
+    loadBiasScale();
+    return () => {
+      cancelled = true;
+    };
+  }, [loadAttempt]);
+
+  const handleRetry = () => {
+    setLoadError(null);
+    setLoadAttempt(attempt => attempt + 1);
+  };
 
-  if (isLoading) {
-    return <LoadingScreen />;
+  if (!userId || !biasScale) {
+    return <LoadingScreen error={loadError} onRetry={handleRetry} />;
   }
 
   return (
     <UserProvider userId={userId}>
-      <div className="min-h-screen bg-gray-50">
-        <main className="container mx-auto px-4 py-8">
-          <div className="text-center mb-8">
-            <h1 className="text-4xl font-bold text-gray-900 mb-2">
-              AI News Bias Analyzer
-            </h1>
-            <p className="text-gray-600 text-lg">
-              Real-time news with AI-powered bias detection and ranking
-            </p>
-          </div>
-          <NewsPage />
-        </main>
-      </div>
+      <BiasScaleProvider scale={biasScale}>
+        <div className="min-h-screen bg-gray-50">
+          <main className="container mx-auto px-4 py-8">
+            <div className="text-center mb-8">
+              <h1 className="text-4xl font-bold text-gray-900 mb-2">
+                AI News Bias Analyzer
+              </h1>
+              <p className="text-gray-600 text-lg">
+                Real-time news with AI-powered bias detection and ranking
+              </p>
+            </div>
+            <NewsPage />
+          </main>
+        </div>
+      </BiasScaleProvider>
     </UserProvider>
   );
 }
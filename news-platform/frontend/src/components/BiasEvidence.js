@@ -0,0 +1,99 @@
+import React from 'react';
+import { Highlighter } from 'lucide-react';
+
+const CATEGORY_STYLES = {
+  'loaded-language': { label: 'Loaded language', className: 'bg-amber-100 border-amber-400' },
+  'partisan-framing': { label: 'Partisan framing', className: 'bg-purple-100 border-purple-400' },
+  sensationalism: { label: 'Sensationalism', className: 'bg-red-100 border-red-400' },
+  opinion: { label: 'Opinion', className: 'bg-sky-100 border-sky-400' },
+  'emotional-tone': { label: 'Emotional tone', className: 'bg-pink-100 border-pink-400' },
+  'one-sided-sourcing': { label: 'One-sided sourcing', className: 'bg-lime-100 border-lime-400' }
+};
+
+const styleFor = (category) => CATEGORY_STYLES[category] || CATEGORY_STYLES['loaded-language'];
+
+// Offsets refer to the analyzed text, which may be the full article rather than the
+// text shown here, so fall back to finding the quote when the offsets do not line up
+const placeSpans = (text, evidence) => {
+  const lowerText = text.toLowerCase();
+  const placed = [];
+  const unplaced = [];
+
+  evidence.forEach(span => {
+    const start = text.slice(span.start, span.end) === span.text
+      ? span.start
+      : lowerText.indexOf(span.text.toLowerCase());
+    const position = { ...span, start, end: start + span.text.length };
+    const overlaps = placed.some(other => position.start < other.end && other.start < position.end);
+
+    if (start === -1) unplaced.push(span);
+    else if (!overlaps) placed.push(position);
+  });
+
+  return { placed: placed.sort((a, b) => a.start - b.start), unplaced };
+};
+
+/**
+ * Article text with the passages the bias analysis flagged highlighted inline
+ * @param {string} text - Article text shown to the reader
+ * @param {Array} evidence - Spans from bias.evidence ({ start, end, text, category, rationale })
+ */
+const BiasEvidence = ({ text, evidence }) => {
+  if (!text || !evidence || evidence.length === 0) return null;
+
+  const { placed, unplaced } = placeSpans(text, evidence);
+  const categories = [...new Set(evidence.map(span => span.category))];
+
+  const parts = [];
+  let cursor = 0;
+  placed.forEach((span, index) => {
+    if (span.start > cursor) parts.push(text.slice(cursor, span.start));
+    parts.push(
+      <mark
+        key={index}
+        title={span.rationale || styleFor(span.category).label}
+        className={`rounded px-0.5 border-b-2 text-gray-900 cursor-help ${styleFor(span.category).className}`}
+      >
+        {text.slice(span.start, span.end)}
+      </mark>
+    );
+    cursor = span.end;
+  });
+  parts.push(text.slice(cursor));
+
+  return (
+    <div className="mt-3 border-t border-gray-100 pt-3">
+      <div className="flex items-center text-xs font-medium text-gray-700 mb-2">
+        <Highlighter className="h-3 w-3 mr-1" />
+        Flagged passages in the original text
+      </div>
+      <p className="text-sm text-gray-700 leading-relaxed">{parts}</p>
+
+      {unplaced.length > 0 && (
+        <div className="mt-2">
+          <div className="text-xs text-gray-500 mb-1">Also flagged in the full article:</div>
+          <ul className="space-y-1">
+            {unplaced.map((span, index) => (
+              <li key={index} className="text-xs text-gray-600">
+                <mark className={`rounded px-0.5 border-b-2 text-gray-900 ${styleFor(span.category).className}`}>“{span.text}”</mark>
+                {span.rationale && <span className="ml-1">— {span.rationale}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mt-2">
+        {categories.map(category => (
+          <span key={category} className="inline-flex items-center text-xs text-gray-500">
+            <span className={`inline-block w-3 h-3 rounded-sm border-b-2 mr-1 ${styleFor(category).className}`} />
+            {styleFor(category).label}
+          </span>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400 mt-1">Hover a highlight to see why it was flagged.</p>
+    </div>
+  );
+};
+
+export default BiasEvidence;
@@ -1,7 +1,8 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { Info } from 'lucide-react';
-import { getBiasCategory, getBiasProgress } from '../utils/helpers';
+import { Info, HelpCircle } from 'lucide-react';
+import { getBiasBand, getBiasGradient, getBiasBadgeStyle, getBiasProgress, isUncertain, getDimensionColor } from '../utils/helpers';
+import { useBiasScale } from '../contexts/BiasScaleContext';
 
 const BiasIndicator = ({ 
   biasScore, 
@@ -11,19 +12,22 @@ const BiasIndicator = ({
   showDetails = false,
   className = ''
 }) => {
+  const scale = useBiasScale();
+
   if (biasScore === undefined || biasScore === null) {
     return (
       <div className={`flex items-center space-x-2 ${className}`}>
         <div className="w-8 h-8 bg-gray-200 rounded-full flex items-center justify-center">
           <Info className="h-4 w-4 text-gray-500" />
         </div>
-        {showLabel && <span className="text-sm text-gray-500">No bias data</span>}
+        {showLabel && <span className="text-sm text-gray-500">Unrated</span>}
       </div>
     );
   }
 
-  const biasCategory = getBiasCategory(biasScore);
+  const band = getBiasBand(scale, biasScore);
   const progress = getBiasProgress(biasScore);
+  const uncertain = isUncertain(confidence);
 
   const sizeClasses = {
     small: 'w-12 h-3',
@@ -41,13 +45,17 @@ const BiasIndicator = ({
     <div className={`flex items-center space-x-3 ${className}`}>
       {/* Bias Scale Visualization */}
       <div className="flex items-center space-x-2">
-        <div className={`relative bg-gradient-to-r from-blue-500 via-gray-300 to-red-500 rounded-full ${sizeClasses[size]}`}>
+        <div
+          className={`relative rounded-full ${sizeClasses[size]}`}
+          style={{ backgroundImage: getBiasGradient(scale) }}
+          title={band.label}
+        >
           {/* Position indicator */}
           <motion.div
             initial={{ x: 0 }}
             animate={{ x: `${(progress.percentage / 100) * 100}%` }}
             transition={{ duration: 0.5, ease: "easeOut" }}
-            className={`absolute top-[15%] transform -translate-y-1/2 -translate-x-1/2 bg-white border-2 border-gray-600 rounded-full shadow-md ${dotSizeClasses[size]}`}
+            className={`absolute top-[15%] transform -translate-y-1/2 -translate-x-1/2 bg-white border-2 rounded-full shadow-md ${uncertain ? 'border-dashed border-gray-400 opacity-70' : 'border-gray-600'} ${dotSizeClasses[size]}`}
             style={{ left: `${progress.percentage}%` }}
           />
         </div>
@@ -63,10 +71,24 @@ const BiasIndicator = ({
       {/* Bias Label */}
       {showLabel && (
         <div className="flex flex-col">
-          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${biasCategory.bgColor} ${biasCategory.textColor} ${biasCategory.borderColor}`}>
-            {biasCategory.shortLabel}
-          </span>
-          {showDetails && confidence && (
+          {uncertain ? (
+            <span
+              title={`Low confidence (${Math.round(confidence * 100)}%)`}
+              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border border-dashed border-gray-300 bg-white text-gray-600"
+            >
+              <HelpCircle className="h-3 w-3 mr-1" />
+              Uncertain
+            </span>
+          ) : (
+            <span
+              title={band.label}
+              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border"
+              style={getBiasBadgeStyle(band)}
+            >
+              {band.shortLabel}
+            </span>
+          )}
+          {showDetails && typeof confidence === 'number' && (
             <span className="text-xs text-gray-500 mt-1">
               Confidence: {Math.round(confidence * 100)}%
             </span>
@@ -77,60 +99,105 @@ const BiasIndicator = ({
   );
 };
 
-// Bias Scale Legend Component
+// Bias Scale Legend Component: one row per band of the served scale
 export const BiasLegend = ({ className = '' }) => {
-  const categories = [
-    { score: 10, label: 'Liberal' },
-    { score: 30, label: 'Center-Left' },
-    { score: 50, label: 'Neutral' },
-    { score: 70, label: 'Center-Right' },
-    { score: 90, label: 'Conservative' }
-  ];
+  const scale = useBiasScale();
 
   return (
     <div className={`bg-white rounded-lg p-4 border border-gray-200 ${className}`}>
       <h4 className="text-sm font-semibold text-gray-900 mb-3">Bias Scale</h4>
       <div className="space-y-2">
-        {categories.map((category) => (
-          <div key={category.score} className="flex items-center justify-between">
+        {scale.bands.map((band) => (
+          <div key={band.id} className="flex items-center justify-between">
             <BiasIndicator 
-              biasScore={category.score} 
+              biasScore={Math.round((band.min + band.max) / 2)} 
               size="small" 
               showLabel={false}
             />
-            <span className="text-sm text-gray-600 ml-3">{category.label}</span>
+            <span className="text-sm text-gray-600 ml-3">{band.label}</span>
           </div>
         ))}
       </div>
       <div className="mt-4 text-xs text-gray-500">
-        <p>• 0-20: Highly Liberal</p>
-        <p>• 21-40: Liberal</p>
-        <p>• 41-60: Neutral/Centrist</p>
-        <p>• 61-80: Conservative</p>
-        <p>• 81-100: Highly Conservative</p>
+        {scale.bands.map((band) => (
+          <p key={band.id}>• {band.min}-{band.max}: {band.label}</p>
+        ))}
       </div>
     </div>
   );
 };
 
 // Simplified Bias Badge Component
-export const BiasBadge = ({ biasScore, size = 'sm' }) => {
+export const BiasBadge = ({ biasScore, confidence, size = 'sm' }) => {
+  const scale = useBiasScale();
+  const sizeClasses = size === 'sm' ? 'px-2 py-1 text-xs' : 'px-3 py-1 text-sm';
+
   if (biasScore === undefined || biasScore === null) {
     return (
-      <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
-        Unknown
+      <span className={`inline-flex items-center rounded-full font-medium border border-dashed border-gray-300 bg-gray-50 text-gray-500 ${sizeClasses}`}>
+        Unrated
       </span>
     );
   }
 
-  const biasCategory = getBiasCategory(biasScore);
-  const sizeClasses = size === 'sm' ? 'px-2 py-1 text-xs' : 'px-3 py-1 text-sm';
+  const band = getBiasBand(scale, biasScore);
+
+  if (isUncertain(confidence)) {
+    return (
+      <span
+        title={`${band.label}, low confidence (${Math.round(confidence * 100)}%)`}
+        className={`inline-flex items-center rounded-full font-medium border border-dashed bg-white ${sizeClasses}`}
+        style={{ color: band.color.text, borderColor: band.color.border }}
+      >
+        {band.shortLabel}? ({Math.round(biasScore)})
+      </span>
+    );
+  }
 
   return (
-    <span className={`inline-flex items-center rounded-full font-medium border ${biasCategory.bgColor} ${biasCategory.textColor} ${biasCategory.borderColor} ${sizeClasses}`}>
-      {biasCategory.shortLabel} ({Math.round(biasScore)})
+    <span
+      title={band.label}
+      className={`inline-flex items-center rounded-full font-medium border ${sizeClasses}`}
+      style={getBiasBadgeStyle(band)}
+    >
+      {band.shortLabel} ({Math.round(biasScore)})
     </span>
   );
 };
 
+// Compact multi-bar view of the dimensions scored alongside the left/right score,
+// in the order and with the labels the backend serves with the bias scale
+export const BiasDimensions = ({ dimensions, className = '' }) => {
+  const { dimensions: definitions = [] } = useBiasScale();
+  const rows = definitions.filter(dimension => dimensions && dimensions[dimension.key]);
+  if (rows.length === 0) return null;
+
+  return (
+    <div className={`space-y-1 ${className}`}>
+      {rows.map(({ key, label, shortLabel, higherIsBetter }) => {
+        const { score, evidence = [], estimated } = dimensions[key];
+        const details = [
+          `${label}: ${score}/100${estimated ? ' (estimated from wording)' : ''}`,
+          ...evidence.map(item => `• ${item}`)
+        ].join('\n');
+
+        return (
+          <div key={key} className="flex items-center gap-2" title={details}>
+            <span className="w-20 text-xs text-gray-600 flex-shrink-0">{shortLabel}</span>
+            <div className="flex-1 h-1.5 rounded-full bg-gray-200 overflow-hidden">
+              <motion.div
+                initial={{ width: 0 }}
+                animate={{ width: `${score}%` }}
+                transition={{ duration: 0.5, ease: "easeOut" }}
+                className={`h-full rounded-full ${getDimensionColor(score, higherIsBetter)}`}
+              />
+            </div>
+            <span className="w-7 text-right text-xs font-medium text-gray-700">{score}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
 export default BiasIndicator;
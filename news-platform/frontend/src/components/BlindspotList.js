@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { EyeOff, AlertTriangle } from 'lucide-react';
+import { newsApi } from '../services/api';
+import StoryList from './StoryList';
+
+const SIDE_FILTERS = [
+  { id: '', label: 'All blindspots' },
+  { id: 'left', label: 'Covered mostly by the left' },
+  { id: 'right', label: 'Covered mostly by the right' }
+];
+
+/**
+ * Blindspots tab: recent stories where one side supplies most of the coverage
+ * @param {Function} onOpenArticle - Called when an article link is followed
+ * @param {Function} onCompare - Called with (article, storyArticles) to compare a story's coverage
+ */
+const BlindspotList = ({ onOpenArticle, onCompare }) => {
+  const [stories, setStories] = useState([]);
+  const [side, setSide] = useState('');
+  const [synthetic, setSynthetic] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    newsApi.getBlindspots(10, side || undefined)
+      .then(response => {
+        if (cancelled) return;
+        setStories(response.stories || []);
+        setSynthetic(Boolean(response.synthetic));
+      })
+      .catch(error => {
+        console.error('Failed to load blindspots:', error);
+        if (!cancelled) setStories([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [side]);
+
+  return (
+    <div>
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
+        <div className="flex items-center mb-2">
+          <EyeOff className="h-4 w-4 text-amber-600 mr-2" />
+          <span className="text-sm font-medium text-gray-700">Blindspots</span>
+        </div>
+        <p className="text-sm text-gray-600 mb-3">
+          Stories where more than 80% of the coverage comes from outlets on one side of the spectrum, so readers of the other side may never see them.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {SIDE_FILTERS.map(filter => (
+            <button
+              key={filter.id || 'all'}
+              onClick={() => setSide(filter.id)}
+              className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
+                side === filter.id
+                  ? 'bg-blue-100 text-blue-800 border-blue-200'
+                  : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {synthetic && (
+        <div className="flex items-start bg-amber-50 border border-amber-200 text-amber-800 rounded-lg p-4 mb-6 text-sm">
+          <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+          <span>
+            Live news is unavailable right now, so these stories come from the offline demo corpus. They are not real reporting.
+          </span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="space-y-4">
+          {[...Array(3)].map((_, i) => (
+            <div key={i} className="bg-white rounded-lg shadow-sm p-5 animate-pulse">
+              <div className="h-6 bg-gray-200 rounded mb-3 w-2/3"></div>
+              <div className="h-3 bg-gray-200 rounded mb-4"></div>
+              <div className="h-4 bg-gray-200 rounded mb-2"></div>
+              <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+            </div>
+          ))}
+        </div>
+      ) : stories.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          No blindspots in recent coverage
+        </div>
+      ) : (
+        <StoryList
+          stories={stories}
+          articles={stories.flatMap(story => story.articles)}
+          onOpenArticle={onOpenArticle}
+          onCompare={onCompare}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BlindspotList;
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { X, Columns, Loader2, AlertTriangle } from 'lucide-react';
+import { newsApi } from '../services/api';
+import { BiasBadge } from './BiasIndicator';
+
+const MAX_COMPARED = 5;
+
+// Articles from the same story (or trending topic) are the natural comparison set
+const isRelated = (article, other) => (
+  (article.storyId && other.storyId === article.storyId) ||
+  (article.topicId && other.topicId === article.topicId)
+);
+
+const NoteList = ({ title, items, className = 'text-gray-700' }) => items.length > 0 && (
+  <div className="mt-3">
+    <div className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{title}</div>
+    <ul className={`text-sm list-disc list-inside space-y-0.5 ${className}`}>
+      {items.map((item, index) => <li key={index}>{item}</li>)}
+    </ul>
+  </div>
+);
+
+/**
+ * Framing comparison: pick 2-5 articles, then see what each emphasizes,
+ * omits and how it words the story
+ * @param {Object} article - Article the comparison was opened from
+ * @param {Array} candidates - Loaded articles the reader can add
+ * @param {Function} onClose - Close the modal
+ */
+const CompareModal = ({ article, candidates, onClose }) => {
+  const related = candidates.filter(other => other.url !== article.url && isRelated(article, other));
+  const others = [
+    ...related,
+    ...candidates.filter(other => other.url !== article.url && !isRelated(article, other))
+  ];
+
+  const [selected, setSelected] = useState(() => [article.url, ...related.slice(0, 2).map(other => other.url)]);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const byUrl = new Map([article, ...others].map(item => [item.url, item]));
+
+  const toggle = (url) => {
+    setSelected(previous => {
+      if (previous.includes(url)) return previous.filter(item => item !== url);
+      return previous.length < MAX_COMPARED ? [...previous, url] : previous;
+    });
+  };
+
+  const runComparison = async () => {
+    setComparing(true);
+    setError(null);
+    try {
+      setComparison(await newsApi.compareArticles(selected.map(url => byUrl.get(url))));
+    } catch (requestError) {
+      setError(requestError.response?.data?.message || requestError.response?.data?.error || 'Comparison failed');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/40 p-4 overflow-y-auto" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-6xl my-8"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between border-b border-gray-200 px-6 py-4">
+          <div className="flex items-center">
+            <Columns className="h-5 w-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Compare framing</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close comparison">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!comparison ? (
+          <div className="p-6">
+            <p className="text-sm text-gray-600 mb-4">
+              Choose 2–{MAX_COMPARED} articles about the same story. Coverage of the same story is listed first.
+            </p>
+            <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto mb-4">
+              {[article, ...others].map(item => (
+                <li key={item.url}>
+                  <label className="flex items-center gap-3 py-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(item.url)}
+                      disabled={item.url === article.url || (!selected.includes(item.url) && selected.length >= MAX_COMPARED)}
+                      onChange={() => toggle(item.url)}
+                    />
+                    <span className="text-xs font-medium text-blue-600 uppercase tracking-wide w-24 flex-shrink-0">{item.source}</span>
+                    <span className="text-sm text-gray-900 flex-1">{item.title}</span>
+                    {isRelated(article, item) && item.url !== article.url && (
+                      <span className="text-xs text-gray-500">Same story</span>
+                    )}
+                  </label>
+                </li>
+              ))}
+            </ul>
+            {error && (
+              <div className="flex items-center text-sm text-red-700 mb-4">
+                <AlertTriangle className="h-4 w-4 mr-2" />
+                {error}
+              </div>
+            )}
+            <button
+              onClick={runComparison}
+              disabled={selected.length < 2 || comparing}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {comparing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {comparing ? 'Comparing…' : `Compare ${selected.length} articles`}
+            </button>
+          </div>
+        ) : (
+          <div className="p-6">
+            {(comparison.sharedFacts.length > 0 || comparison.keyDifferences.length > 0) && (
+              <div className="grid md:grid-cols-2 gap-4 mb-6">
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <NoteList title="What they all report" items={comparison.sharedFacts} />
+                </div>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <NoteList title="Where they differ" items={comparison.keyDifferences} />
+                </div>
+              </div>
+            )}
+
+            <div className={`grid gap-4 grid-cols-1 md:grid-cols-2 ${comparison.articles.length > 2 ? 'lg:grid-cols-3' : ''}`}>
+              {comparison.articles.map((notes, index) => {
+                const original = byUrl.get(selected[index]);
+                return (
+                  <div key={notes.index} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-xs font-medium text-blue-600 uppercase tracking-wide">{notes.source}</span>
+                      {typeof original?.bias?.biasScore === 'number' && <BiasBadge biasScore={original.bias.biasScore} confidence={original.bias.confidence} />}
+                    </div>
+                    <h3 className="text-sm font-semibold text-gray-900 mb-2">{notes.title}</h3>
+                    {notes.framing && <p className="text-sm text-gray-700 italic">{notes.framing}</p>}
+                    <NoteList title="Emphasizes" items={notes.emphasizes} />
+                    <NoteList title="Leaves out" items={notes.omits} className="text-gray-600" />
+                    <NoteList title="Quotes" items={notes.sourcesQuoted} />
+                    {notes.loadedTerms.length > 0 && (
+                      <div className="mt-3">
+                        <div className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">Loaded terms</div>
+                        <div className="flex flex-wrap gap-1">
+                          {notes.loadedTerms.map((entry, termIndex) => (
+                            <span
+                              key={termIndex}
+                              title={entry.neutralAlternative ? `More neutral: ${entry.neutralAlternative}` : undefined}
+                              className="px-2 py-0.5 rounded bg-amber-100 text-amber-800 text-xs"
+                            >
+                              “{entry.term}”
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    <p className="text-xs text-gray-400 mt-3">
+                      Compared {notes.coverage.analyzedCharacters.toLocaleString()} of {notes.coverage.totalCharacters.toLocaleString()} characters
+                      {notes.textSource?.type === 'full-text' ? ' (full article)' : ' (preview text)'}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+
+            <button
+              onClick={() => setComparison(null)}
+              className="mt-6 text-sm text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Change articles
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CompareModal;
@@ -1,8 +1,9 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { Shield, Brain, Loader2 } from 'lucide-react';
+import { Shield, Brain, Loader2, AlertTriangle } from 'lucide-react';
 
-const LoadingScreen = () => {
+// Pass `error` (with `onRetry`) when startup failed and the app cannot be shown
+const LoadingScreen = ({ error, onRetry }) => {
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center">
       <div className="text-center">
@@ -52,8 +53,20 @@ const LoadingScreen = () => {
           transition={{ delay: 0.6, duration: 0.5 }}
           className="flex items-center justify-center space-x-2 text-sm text-gray-500"
         >
-          <Loader2 className="h-4 w-4 animate-spin" />
-          <span>Initializing AI services...</span>
+          {error ? (
+            <>
+              <AlertTriangle className="h-4 w-4 text-amber-500" />
+              <span>{error}</span>
+              <button onClick={onRetry} className="text-blue-600 hover:text-blue-700 font-medium">
+                Retry
+              </button>
+            </>
+          ) : (
+            <>
+              <Loader2 className="h-4 w-4 animate-spin" />
+              <span>Initializing AI services...</span>
+            </>
+          )}
         </motion.div>
 
         <motion.div
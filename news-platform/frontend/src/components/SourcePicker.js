@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { Filter, X } from 'lucide-react';
+import { newsApi } from '../services/api';
+import { useBiasScale } from '../contexts/BiasScaleContext';
+
+// Sources are grouped by the leaning of their baseline score
+const SourcePicker = ({ value, onChange, className = '' }) => {
+  const { leanings } = useBiasScale();
+  const [sources, setSources] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [mode, setMode] = useState('include');
+
+  useEffect(() => {
+    newsApi.getSources()
+      .then(response => setSources((response.sources || []).filter(source => source.searchable)))
+      .catch(error => console.error('Failed to load sources:', error));
+  }, []);
+
+  const selected = value[mode];
+  const activeCount = value.include.length + value.exclude.length;
+
+  const toggleSource = (domain) => {
+    const otherMode = mode === 'include' ? 'exclude' : 'include';
+    const next = selected.includes(domain)
+      ? selected.filter(item => item !== domain)
+      : [...selected, domain];
+
+    onChange({
+      ...value,
+      [mode]: next,
+      // A source can only be on one list at a time
+      [otherMode]: value[otherMode].filter(item => item !== domain)
+    });
+  };
+
+  const clearAll = () => {
+    onChange({ include: [], exclude: [] });
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`inline-flex items-center px-4 py-3 rounded-lg border focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+          activeCount > 0
+            ? 'bg-blue-50 text-blue-800 border-blue-200'
+            : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+        }`}
+      >
+        <Filter className="h-5 w-5 mr-2" />
+        Sources
+        {activeCount > 0 && (
+          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-600 text-white">{activeCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 p-4">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex space-x-1 bg-gray-100 rounded-md p-1">
+              <button
+                onClick={() => setMode('include')}
+                className={`px-3 py-1 text-xs rounded ${mode === 'include' ? 'bg-white shadow-sm text-gray-900' : 'text-gray-600'}`}
+              >
+                Only show ({value.include.length})
+              </button>
+              <button
+                onClick={() => setMode('exclude')}
+                className={`px-3 py-1 text-xs rounded ${mode === 'exclude' ? 'bg-white shadow-sm text-gray-900' : 'text-gray-600'}`}
+              >
+                Exclude ({value.exclude.length})
+              </button>
+            </div>
+            <button
+              onClick={() => setIsOpen(false)}
+              className="text-gray-400 hover:text-gray-600"
+              aria-label="Close source picker"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+
+          <div className="max-h-72 overflow-y-auto space-y-3">
+            {leanings.map(group => {
+              const groupSources = sources.filter(source => source.leaning === group.id);
+              if (groupSources.length === 0) return null;
+
+              return (
+                <div key={group.id}>
+                  <div className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{group.label}</div>
+                  {groupSources.map(source => (
+                    <label key={source.domain} className="flex items-center justify-between py-1 text-sm text-gray-700 cursor-pointer">
+                      <span className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(source.domain)}
+                          onChange={() => toggleSource(source.domain)}
+                          className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        {source.name}
+                      </span>
+                      <span className="text-xs text-gray-400">{source.reliability}</span>
+                    </label>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+
+          {activeCount > 0 && (
+            <button
+              onClick={clearAll}
+              className="mt-3 text-blue-600 hover:text-blue-700 text-xs font-medium"
+            >
+              Clear source filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SourcePicker;
@@ -0,0 +1,153 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Layers, ExternalLink, Loader2, EyeOff, Columns } from 'lucide-react';
+import { BiasBadge } from './BiasIndicator';
+import { formatDate, getBiasGradient } from '../utils/helpers';
+import { useBiasScale } from '../contexts/BiasScaleContext';
+
+// Min/max/average of the analyzed scores; cards fill in as streamed analyses arrive
+const getBiasSpread = (articles) => {
+  const scores = articles
+    .map(article => article.bias?.biasScore)
+    .filter(score => typeof score === 'number');
+  if (scores.length === 0) return null;
+
+  return {
+    min: Math.min(...scores),
+    max: Math.max(...scores),
+    average: Math.round(scores.reduce((total, score) => total + score, 0) / scores.length)
+  };
+};
+
+const BiasSpreadBar = ({ spread, scale }) => (
+  <div className="flex items-center gap-3">
+    <div className="relative flex-1 h-3 rounded-full" style={{ backgroundImage: getBiasGradient(scale) }}>
+      <div
+        className="absolute top-0 h-3 rounded-full border-2 border-gray-700 bg-white/30"
+        style={{ left: `${spread.min}%`, width: `${Math.max(spread.max - spread.min, 1)}%` }}
+      />
+    </div>
+    <span className="text-xs text-gray-600 whitespace-nowrap">
+      {spread.min === spread.max ? `Score ${spread.min}` : `Scores ${spread.min}–${spread.max}`}
+    </span>
+  </div>
+);
+
+// Share of the story's coverage from each leaning of the scale (outlets' baseline ratings)
+const CoverageBar = ({ coverage, scale }) => (
+  <div className="mt-3">
+    <div className="flex h-2 rounded-full overflow-hidden bg-gray-100">
+      {scale.leanings.map(({ id, color }) => coverage.shares[id] > 0 && (
+        <div key={id} style={{ width: `${coverage.shares[id] * 100}%`, backgroundColor: color.solid }} />
+      ))}
+    </div>
+    <div className="flex gap-3 mt-1 text-xs text-gray-500">
+      {scale.leanings.map(({ id, label }) => (
+        <span key={id}>{label} {Math.round(coverage.shares[id] * 100)}%</span>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * Story view: each story once, with every outlet's coverage listed underneath
+ * @param {Array} stories - Story details from the search response (id, label, outletCount)
+ * @param {Array} articles - Loaded articles tagged with storyId
+ * @param {Function} onOpenArticle - Called when an article link is followed
+ * @param {Function} onCompare - Called with (article, storyArticles) to compare a story's coverage
+ */
+const StoryList = ({ stories, articles, onOpenArticle, onCompare }) => {
+  const biasScale = useBiasScale();
+  const groups = stories
+    .map(story => ({ story, members: articles.filter(article => article.storyId === story.id) }))
+    .filter(group => group.members.length > 0);
+
+  return (
+    <div className="space-y-4">
+      {groups.map(({ story, members }, index) => {
+        const spread = getBiasSpread(members);
+        const outlets = new Set(members.map(article => article.source)).size;
+
+        return (
+          <motion.div
+            key={story.id}
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            transition={{ delay: index * 0.05, duration: 0.4 }}
+            className="bg-white rounded-lg shadow-sm border border-gray-200 p-5"
+          >
+            <div className="flex items-start justify-between gap-4 mb-3">
+              <h3 className="text-lg font-semibold text-gray-900 leading-tight">{story.label}</h3>
+              <span className="flex items-center text-xs text-gray-500 whitespace-nowrap">
+                <Layers className="h-3 w-3 mr-1" />
+                {outlets} {outlets === 1 ? 'outlet' : 'outlets'}
+              </span>
+            </div>
+
+            {story.blindspot && (
+              <div className="inline-flex items-center mb-3 px-2 py-1 rounded bg-amber-100 text-amber-800 text-xs font-medium">
+                <EyeOff className="h-3 w-3 mr-1" />
+                Blindspot for {story.blindspot.missingSide}-leaning readers: {Math.round(story.blindspot.share * 100)}% of coverage from the {story.blindspot.side}
+              </div>
+            )}
+
+            {spread ? (
+              <BiasSpreadBar spread={spread} scale={biasScale} />
+            ) : (
+              <div className="flex items-center text-xs text-gray-500">
+                <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                Analyzing coverage…
+              </div>
+            )}
+
+            {story.coverage?.shares && <CoverageBar coverage={story.coverage} scale={biasScale} />}
+
+            {onCompare && members.length > 1 && (
+              <button
+                onClick={() => onCompare(members[0], members)}
+                className="inline-flex items-center mt-3 text-sm text-blue-600 hover:text-blue-700 font-medium"
+              >
+                <Columns className="h-3 w-3 mr-1" />
+                Compare coverage
+              </button>
+            )}
+
+            <ul className="mt-4 divide-y divide-gray-100">
+              {members.map(article => (
+                <li key={article.url} className="flex items-center justify-between gap-3 py-2">
+                  <div className="min-w-0">
+                    <div className="text-xs text-gray-500">
+                      <span className="font-medium text-blue-600 uppercase tracking-wide">{article.source}</span>
+                      <span className="mx-1">•</span>
+                      {formatDate(article.publishedAt)}
+                      {article.synthetic && (
+                        <span className="ml-2 px-1.5 py-0.5 rounded bg-amber-100 text-amber-800 font-medium">Sample</span>
+                      )}
+                    </div>
+                    <a
+                      href={article.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      onClick={() => onOpenArticle && onOpenArticle(article)}
+                      className="inline-flex items-center text-sm text-gray-900 hover:text-blue-700 group"
+                    >
+                      <span className="truncate">{article.title}</span>
+                      <ExternalLink className="h-3 w-3 ml-1 flex-shrink-0 opacity-0 group-hover:opacity-100 transition-opacity" />
+                    </a>
+                  </div>
+                  {article.analysisPending ? (
+                    <Loader2 className="h-4 w-4 text-gray-400 animate-spin flex-shrink-0" />
+                  ) : (
+                    <BiasBadge biasScore={article.bias?.biasScore} confidence={article.bias?.confidence} />
+                  )}
+                </li>
+              ))}
+            </ul>
+          </motion.div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StoryList;
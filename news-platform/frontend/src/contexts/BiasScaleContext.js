@@ -0,0 +1,22 @@
+import React, { createContext, useContext } from 'react';
+
+// Bias scale served by the backend (GET /api/news/bias-scale)
+const BiasScaleContext = createContext();
+
+// BiasScaleProvider component
+export const BiasScaleProvider = ({ children, scale }) => (
+  <BiasScaleContext.Provider value={scale}>
+    {children}
+  </BiasScaleContext.Provider>
+);
+
+// Custom hook to use the BiasScaleContext
+export const useBiasScale = () => {
+  const context = useContext(BiasScaleContext);
+  if (context === undefined) {
+    throw new Error('useBiasScale must be used within a BiasScaleProvider');
+  }
+  return context;
+};
+
+export default BiasScaleContext;
@@ -1,20 +1,83 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { Search, RefreshCw, ExternalLink, Clock } from 'lucide-react';
-import { newsApi } from '../services/api';
-import BiasIndicator, { BiasBadge } from '../components/BiasIndicator';
-import { formatDate, truncateText } from '../utils/helpers';
+import { Search, RefreshCw, ExternalLink, Clock, TrendingUp, Calendar, Loader2, AlertTriangle, LayoutGrid, Layers, Newspaper, EyeOff, Columns } from 'lucide-react';
+import { newsApi, userApi } from '../services/api';
+import BiasIndicator, { BiasBadge, BiasDimensions } from '../components/BiasIndicator';
+import SourcePicker from '../components/SourcePicker';
+import StoryList from '../components/StoryList';
+import BlindspotList from '../components/BlindspotList';
+import CompareModal from '../components/CompareModal';
+import BiasEvidence from '../components/BiasEvidence';
+import { useUser } from '../contexts/UserContext';
+import { useBiasScale } from '../contexts/BiasScaleContext';
+import { formatDate, truncateText, getBiasLeaning, getBiasBadgeStyle } from '../utils/helpers';
 import toast from 'react-hot-toast';
 
+// Articles requested per search page; matches the three-column grid
+const PAGE_SIZE = 9;
+
+// Close any open search streams, e.g. before starting a new search
+const closeStreams = (streamsRef) => {
+  streamsRef.current.forEach(close => close());
+  streamsRef.current = [];
+};
+
+// Streamed articles arrive before their analysis; each card fills in as its update streams in
+const markPending = (incoming = []) => incoming.map(article => ({ ...article, analysisPending: true }));
+
+const applyAnalysis = (articles, { url, bias, summary, analysis, processedAt }) => articles.map(article => (
+  article.url === url
+    ? { ...article, bias, summary, analysis, processedAt, analysisPending: false }
+    : article
+));
+
+const clearPending = (articles, { url, analysis }) => articles.map(article => (
+  article.url === url ? { ...article, analysis, analysisPending: false } : article
+));
+
+// One filter per leaning of the bias scale, plus articles without a score
+const UNRATED_FILTER = { id: 'unrated', label: 'Unrated', color: { background: '#e5e7eb', text: '#1f2937', border: '#d1d5db' } };
+
+// Pending articles match no filter yet; failed and unrated ones are counted as unrated
+const matchesBiasFilter = (scale, article, filter) => (
+  filter === 'unrated'
+    ? !article.analysisPending && getBiasLeaning(scale, article) === null
+    : getBiasLeaning(scale, article) === filter
+);
+
+// Later pages can continue a story from the previous page; keep each story once, in first-seen order
+const mergeStories = (stories, incoming = []) => {
+  const seenIds = new Set(stories.map(story => story.id));
+  return [...stories, ...incoming.filter(story => !seenIds.has(story.id))];
+};
+
 const NewsPage = () => {
+  const { userId } = useUser();
+  const biasScale = useBiasScale();
+  const biasFilters = [...biasScale.leanings, UNRATED_FILTER];
   const [articles, setArticles] = useState([]);
+  const [topics, setTopics] = useState([]);
+  const [stories, setStories] = useState([]);
+  const [viewMode, setViewMode] = useState('articles');
+  const [activeTab, setActiveTab] = useState('news');
+  // { article, candidates } while the framing comparison is open
+  const [compareTarget, setCompareTarget] = useState(null);
+  const [showingSampleData, setShowingSampleData] = useState(false);
   const [filteredArticles, setFilteredArticles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
+  const [sourceFilter, setSourceFilter] = useState({ include: [], exclude: [] });
+  const [searchOptions, setSearchOptions] = useState({ from: '', to: '', sortBy: 'relevance' });
   const [biasFilter, setBiasFilter] = useState('all');
-  const [currentPage, setCurrentPage] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalResults, setTotalResults] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [expandedArticles, setExpandedArticles] = useState(new Set());
-  const articlesPerPage = 9;
+  const loadMoreRef = useRef(null);
+  const loadingMoreRef = useRef(false);
+  const streamsRef = useRef([]);
+  // Bumped by every loadNews call; a trending response from an older call is dropped
+  const loadRequestRef = useRef(0);
 
   useEffect(() => {
     loadNews();
@@ -23,60 +86,136 @@ const NewsPage = () => {
   useEffect(() => {
     if (searchQuery) {
       const timeoutId = setTimeout(() => {
-        loadNews(searchQuery);
+        loadNews(searchQuery, sourceFilter, searchOptions);
       }, 500);
       return () => clearTimeout(timeoutId);
     } else {
-      loadNews();
+      loadNews('', sourceFilter, searchOptions);
     }
-  }, [searchQuery]);
+  }, [searchQuery, sourceFilter, searchOptions]);
 
   // Filter articles based on bias filter
   useEffect(() => {
     let filtered = articles;
     
     if (biasFilter !== 'all') {
-      filtered = articles.filter(article => {
-        const biasScore = article.bias?.biasScore || 50;
-        switch (biasFilter) {
-          case 'liberal':
-            return biasScore <= 40;
-          case 'center':
-            return biasScore >= 41 && biasScore <= 60;
-          case 'conservative':
-            return biasScore >= 61;
-          default:
-            return true;
-        }
-      });
+      filtered = articles.filter(article => matchesBiasFilter(biasScale, article, biasFilter));
     }
     
     setFilteredArticles(filtered);
-    setCurrentPage(1); // Reset to first page when filter changes
-  }, [articles, biasFilter]);
+  }, [articles, biasFilter, biasScale]);
+
+  // Infinite scroll: fetch the next server page when the sentinel comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore(nextCursor);
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor]);
+
+  useEffect(() => () => {
+    closeStreams(streamsRef);
+    loadRequestRef.current += 1;
+  }, []);
+
+  // Without a query, source filter or date range the landing page shows the ranked trending topic feed
+  const loadNews = async (query = '', sources = { include: [], exclude: [] }, options = {}) => {
+    closeStreams(streamsRef);
+    const requestId = ++loadRequestRef.current;
+    const isStale = () => requestId !== loadRequestRef.current;
+    loadingMoreRef.current = false;
+    setLoadingMore(false);
+
+    const { from = '', to = '', sortBy = 'relevance' } = options;
+    const hasFilter = sources.include.length > 0 || sources.exclude.length > 0 || from || to;
+
+    setLoading(true);
+
+    if (query || hasFilter) {
+      const close = newsApi.streamSearch(query || 'latest news', sources.include.join(','), PAGE_SIZE, {
+        excludeSources: sources.exclude.join(','),
+        from: from || undefined,
+        to: to || undefined,
+        sortBy
+      }, {
+        onArticles: (response) => {
+          setArticles(markPending(response.articles));
+          setTopics([]);
+          setStories(response.stories || []);
+          setShowingSampleData(Boolean(response.retrieval?.synthetic));
+          setNextCursor(response.pagination?.nextCursor || null);
+          setTotalResults(response.pagination?.totalResults ?? null);
+          setExpandedArticles(new Set());
+          setLoading(false);
+        },
+        onAnalysis: (update) => setArticles(previous => applyAnalysis(previous, update)),
+        onAnalysisError: (update) => setArticles(previous => clearPending(previous, update)),
+        onError: (error) => {
+          console.error('Failed to load news:', error);
+          toast.error('Failed to load news articles');
+          setLoading(false);
+        }
+      });
+      streamsRef.current.push(close);
+      return;
+    }
 
-  const loadNews = async (query = 'latest news') => {
     try {
-      setLoading(true);
-      const response = await newsApi.searchNews(query, '', 20);
+      const response = await newsApi.getTrendingNews(undefined, 18);
+      if (isStale()) return;
       setArticles(response.articles || []);
+      setTopics(response.topics || []);
+      setStories([]);
+      setShowingSampleData(Boolean(response.synthetic));
+      setNextCursor(null);
+      setTotalResults(null);
+      setExpandedArticles(new Set());
     } catch (error) {
+      if (isStale()) return;
       console.error('Failed to load news:', error);
       toast.error('Failed to load news articles');
     } finally {
-      setLoading(false);
+      if (!isStale()) setLoading(false);
     }
   };
 
-  // Pagination helpers
-  const totalPages = Math.ceil(filteredArticles.length / articlesPerPage);
-  const startIndex = (currentPage - 1) * articlesPerPage;
-  const endIndex = startIndex + articlesPerPage;
-  const currentArticles = filteredArticles.slice(startIndex, endIndex);
+  // Append the next server-side page; analysis runs only on that page
+  const loadMore = (cursor) => {
+    if (loadingMoreRef.current) return;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
 
-  const handlePageChange = (page) => {
-    setCurrentPage(page);
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    const finishLoadingMore = () => {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    };
+
+    const close = newsApi.streamSearch(undefined, undefined, PAGE_SIZE, { cursor }, {
+      onArticles: (response) => {
+        setArticles(previous => {
+          const seenUrls = new Set(previous.map(article => article.url));
+          return [...previous, ...markPending(response.articles).filter(article => !seenUrls.has(article.url))];
+        });
+        setStories(previous => mergeStories(previous, response.stories));
+        setNextCursor(response.pagination?.nextCursor || null);
+        finishLoadingMore();
+      },
+      onAnalysis: (update) => setArticles(previous => applyAnalysis(previous, update)),
+      onAnalysisError: (update) => setArticles(previous => clearPending(previous, update)),
+      onError: (error) => {
+        console.error('Failed to load more news:', error);
+        setNextCursor(null);
+        finishLoadingMore();
+      }
+    });
+    streamsRef.current.push(close);
   };
 
   const handleFilterChange = (filter) => {
@@ -84,288 +223,479 @@ const NewsPage = () => {
   };
 
   const handleRefresh = () => {
-    loadNews(searchQuery || 'latest news');
+    loadNews(searchQuery, sourceFilter, searchOptions);
+  };
+
+  const handleSearchOptionChange = (key, value) => {
+    setSearchOptions(previous => ({ ...previous, [key]: value }));
   };
 
-  const toggleExpandArticle = (index) => {
+  // Persist reads and clicks so the user's reading history survives a refresh
+  const trackInteraction = (article, action) => {
+    if (!userId) return;
+    userApi.recordInteraction(userId, {
+      title: article.title,
+      url: article.url,
+      source: article.source,
+      bias: article.bias && {
+        biasScore: article.bias.biasScore,
+        biasLabel: article.bias.biasLabel
+      }
+    }, action).catch(error => {
+      console.warn('Failed to record interaction:', error);
+    });
+  };
+
+  const toggleExpandArticle = (index, article) => {
     const newExpanded = new Set(expandedArticles);
     if (newExpanded.has(index)) {
       newExpanded.delete(index);
     } else {
       newExpanded.add(index);
+      trackInteraction(article, 'read');
     }
     setExpandedArticles(newExpanded);
   };
 
   return (
     <div className="max-w-6xl mx-auto">
-      {/* Search and Refresh */}
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
-        <div className="flex flex-col lg:flex-row gap-4">
-          {/* Search Bar */}
-          <div className="flex-1">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-              <input
-                type="text"
-                placeholder="Search news articles..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              />
-            </div>
-          </div>
-
-          {/* Refresh Button */}
+      {/* Tabs */}
+      <div className="flex border-b border-gray-200 mb-6">
+        {[
+          { id: 'news', label: 'News', icon: Newspaper },
+          { id: 'blindspots', label: 'Blindspots', icon: EyeOff }
+        ].map(({ id, label, icon: Icon }) => (
           <button
-            onClick={handleRefresh}
-            disabled={loading}
-            className="inline-flex items-center px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            key={id}
+            onClick={() => setActiveTab(id)}
+            className={`inline-flex items-center px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${
+              activeTab === id
+                ? 'border-blue-600 text-blue-700'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
           >
-            <RefreshCw className={`h-5 w-5 mr-2 ${loading ? 'animate-spin' : ''}`} />
-            Refresh
+            <Icon className="h-4 w-4 mr-2" />
+            {label}
           </button>
-        </div>
+        ))}
       </div>
 
-      {/* Bias Filter */}
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
-        <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
-          <div className="flex items-center space-x-4">
-            <span className="text-sm font-medium text-gray-700">Filter by Bias:</span>
-            <div className="flex space-x-2">
-              <button
-                onClick={() => handleFilterChange('all')}
-                className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
-                  biasFilter === 'all'
-                    ? 'bg-blue-100 text-blue-800 border-blue-200'
-                    : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
-                }`}
-              >
-                All ({articles.length})
-              </button>
-              <button
-                onClick={() => handleFilterChange('liberal')}
-                className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
-                  biasFilter === 'liberal'
-                    ? 'bg-blue-100 text-blue-800 border-blue-200'
-                    : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
-                }`}
-              >
-                Liberal ({articles.filter(a => (a.bias?.biasScore || 50) <= 40).length})
-              </button>
-              <button
-                onClick={() => handleFilterChange('center')}
-                className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
-                  biasFilter === 'center'
-                    ? 'bg-green-100 text-green-800 border-green-200'
-                    : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
-                }`}
-              >
-                Center ({articles.filter(a => {
-                  const score = a.bias?.biasScore || 50;
-                  return score >= 41 && score <= 60;
-                }).length})
-              </button>
-              <button
-                onClick={() => handleFilterChange('conservative')}
-                className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
-                  biasFilter === 'conservative'
-                    ? 'bg-red-100 text-red-800 border-red-200'
-                    : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
-                }`}
-              >
-                Conservative ({articles.filter(a => (a.bias?.biasScore || 50) >= 61).length})
-              </button>
+      {activeTab === 'blindspots' && (
+        <BlindspotList
+          onOpenArticle={(article) => trackInteraction(article, 'click')}
+          onCompare={(article, candidates) => setCompareTarget({ article, candidates })}
+        />
+      )}
+
+      {/* The news tab stays mounted so its results and streams survive a tab switch */}
+      <div className={activeTab === 'news' ? '' : 'hidden'}>
+        {/* Search and Refresh */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
+          <div className="flex flex-col lg:flex-row gap-4">
+            {/* Search Bar */}
+            <div className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Search news articles..."
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
             </div>
+
+            {/* Source Filter */}
+            <SourcePicker value={sourceFilter} onChange={setSourceFilter} />
+
+            {/* Refresh Button */}
+            <button
+              onClick={handleRefresh}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <RefreshCw className={`h-5 w-5 mr-2 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
           </div>
-          <div className="text-sm text-gray-500">
-            Showing {currentArticles.length} of {filteredArticles.length} articles
+
+          {/* Date Range and Ordering */}
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3 mt-4 text-sm text-gray-700">
+            <div className="flex items-center gap-2">
+              <Calendar className="h-4 w-4 text-gray-400" />
+              <label htmlFor="search-from">From</label>
+              <input
+                id="search-from"
+                type="date"
+                value={searchOptions.from}
+                max={searchOptions.to || undefined}
+                onChange={(e) => handleSearchOptionChange('from', e.target.value)}
+                className="px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <label htmlFor="search-to">To</label>
+              <input
+                id="search-to"
+                type="date"
+                value={searchOptions.to}
+                min={searchOptions.from || undefined}
+                onChange={(e) => handleSearchOptionChange('to', e.target.value)}
+                className="px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {(searchOptions.from || searchOptions.to) && (
+                <button
+                  onClick={() => setSearchOptions(previous => ({ ...previous, from: '', to: '' }))}
+                  className="text-blue-600 hover:text-blue-700 text-xs font-medium"
+                >
+                  Clear dates
+                </button>
+              )}
+            </div>
+            <div className="flex items-center gap-2 sm:ml-auto">
+              <label htmlFor="search-sort">Sort by</label>
+              <select
+                id="search-sort"
+                value={searchOptions.sortBy}
+                onChange={(e) => handleSearchOptionChange('sortBy', e.target.value)}
+                className="px-2 py-1.5 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="relevance">Relevance</option>
+                <option value="date">Newest first</option>
+              </select>
+            </div>
           </div>
         </div>
-      </div>
 
-      {/* Articles Grid */}
-      {loading ? (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {[...Array(6)].map((_, i) => (
-            <div key={i} className="bg-white rounded-lg shadow-sm overflow-hidden animate-pulse">
-              <div className="h-48 bg-gray-200"></div>
-              <div className="p-6">
-                <div className="h-6 bg-gray-200 rounded mb-3"></div>
-                <div className="h-4 bg-gray-200 rounded mb-2"></div>
-                <div className="h-4 bg-gray-200 rounded mb-4 w-3/4"></div>
-                <div className="flex justify-between items-center">
-                  <div className="h-4 bg-gray-200 rounded w-1/4"></div>
-                  <div className="h-6 bg-gray-200 rounded-full w-20"></div>
+        {/* Trending Topics */}
+        {!searchQuery && topics.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
+            <div className="flex items-center mb-3">
+              <TrendingUp className="h-4 w-4 text-blue-600 mr-2" />
+              <span className="text-sm font-medium text-gray-700">Trending Topics</span>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {topics.map(topic => (
+                <button
+                  key={topic.id}
+                  onClick={() => setSearchQuery(topic.keywords.slice(0, 3).join(' '))}
+                  title={topic.label}
+                  className="px-3 py-1.5 text-sm rounded-full border bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200 transition-colors"
+                >
+                  {truncateText(topic.label, 50)}
+                  <span className="ml-2 text-xs text-gray-500">
+                    {topic.outletCount} {topic.outletCount === 1 ? 'outlet' : 'outlets'}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Sample data notice */}
+        {showingSampleData && (
+          <div className="flex items-start bg-amber-50 border border-amber-200 text-amber-800 rounded-lg p-4 mb-6 text-sm">
+            <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+            <span>
+              Live news is unavailable right now, so these are sample articles from the offline demo corpus. They are not real reporting.
+            </span>
+          </div>
+        )}
+
+        {/* Bias Filter */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
+          <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+            <div className="flex items-center space-x-4">
+              <span className="text-sm font-medium text-gray-700">Filter by Bias:</span>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handleFilterChange('all')}
+                  className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
+                    biasFilter === 'all'
+                      ? 'bg-blue-100 text-blue-800 border-blue-200'
+                      : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
+                  }`}
+                >
+                  All ({articles.length})
+                </button>
+                {biasFilters.map(filter => (
+                  <button
+                    key={filter.id}
+                    onClick={() => handleFilterChange(filter.id)}
+                    title={filter.min !== undefined ? `Scores ${filter.min}-${filter.max}` : undefined}
+                    className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
+                      biasFilter === filter.id
+                        ? ''
+                        : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
+                    }`}
+                    style={biasFilter === filter.id ? getBiasBadgeStyle(filter) : undefined}
+                  >
+                    {filter.label} ({articles.filter(article => matchesBiasFilter(biasScale, article, filter.id)).length})
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center gap-4">
+              {stories.length > 0 && (
+                <div className="flex rounded-md border border-gray-200 overflow-hidden text-sm">
+                  <button
+                    onClick={() => setViewMode('articles')}
+                    className={`inline-flex items-center px-3 py-1.5 ${
+                      viewMode === 'articles' ? 'bg-blue-100 text-blue-800' : 'bg-white text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    <LayoutGrid className="h-4 w-4 mr-1" />
+                    Articles
+                  </button>
+                  <button
+                    onClick={() => setViewMode('stories')}
+                    className={`inline-flex items-center px-3 py-1.5 border-l border-gray-200 ${
+                      viewMode === 'stories' ? 'bg-blue-100 text-blue-800' : 'bg-white text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    <Layers className="h-4 w-4 mr-1" />
+                    Stories ({stories.length})
+                  </button>
                 </div>
+              )}
+              <div className="text-sm text-gray-500">
+                Showing {filteredArticles.length} of {totalResults ?? articles.length} articles
               </div>
             </div>
-          ))}
-        </div>
-      ) : filteredArticles.length === 0 ? (
-        <div className="text-center py-12">
-          <div className="text-gray-500 mb-4">
-            {biasFilter === 'all' ? 'No articles found' : `No ${biasFilter} articles found`}
           </div>
-          <button
-            onClick={() => handleFilterChange('all')}
-            className="text-blue-600 hover:text-blue-700 font-medium"
-          >
-            Show all articles
-          </button>
         </div>
-      ) : (
-        <>
+
+        {/* Articles Grid */}
+        {loading ? (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {currentArticles.map((article, index) => (
-            <motion.div
-              key={index}
-              initial={{ y: 20, opacity: 0 }}
-              animate={{ y: 0, opacity: 1 }}
-              transition={{ delay: index * 0.05, duration: 0.4 }}
-              className="bg-white rounded-lg shadow-sm hover:shadow-lg transition-all duration-300 overflow-hidden flex flex-col h-full"
-            >
-              {/* Article Image */}
-              {article.imageUrl && (
-                <div className="w-full h-48 bg-gray-200 flex-shrink-0">
-                  <img
-                    src={article.imageUrl}
-                    alt={article.title}
-                    className="w-full h-full object-cover"
-                    onError={(e) => {
-                      e.target.style.display = 'none';
-                      e.target.parentElement.style.display = 'none';
-                    }}
-                  />
-                </div>
-              )}
-              
-              <div className="p-4 flex flex-col flex-1">
-                {/* Header with Bias Badge */}
-                <div className="flex justify-between items-start mb-3">
-                  <div className="flex items-center space-x-2 text-xs text-gray-500">
-                    <span className="font-medium text-blue-600 uppercase tracking-wide">{article.source}</span>
-                    <span>•</span>
-                    <span className="flex items-center">
-                      <Clock className="h-3 w-3 mr-1" />
-                      {formatDate(article.publishedAt)}
-                    </span>
+            {[...Array(6)].map((_, i) => (
+              <div key={i} className="bg-white rounded-lg shadow-sm overflow-hidden animate-pulse">
+                <div className="h-48 bg-gray-200"></div>
+                <div className="p-6">
+                  <div className="h-6 bg-gray-200 rounded mb-3"></div>
+                  <div className="h-4 bg-gray-200 rounded mb-2"></div>
+                  <div className="h-4 bg-gray-200 rounded mb-4 w-3/4"></div>
+                  <div className="flex justify-between items-center">
+                    <div className="h-4 bg-gray-200 rounded w-1/4"></div>
+                    <div className="h-6 bg-gray-200 rounded-full w-20"></div>
                   </div>
-                  <BiasBadge biasScore={article.bias?.biasScore} />
                 </div>
+              </div>
+            ))}
+          </div>
+        ) : filteredArticles.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="text-gray-500 mb-4">
+              {biasFilter === 'all' ? 'No articles found' : `No ${biasFilters.find(filter => filter.id === biasFilter).label.toLowerCase()} articles found`}
+            </div>
+            <button
+              onClick={() => handleFilterChange('all')}
+              className="text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Show all articles
+            </button>
+          </div>
+        ) : (
+          <>
+            {viewMode === 'stories' && stories.length > 0 ? (
+              <StoryList
+                stories={stories}
+                articles={filteredArticles}
+                onOpenArticle={(article) => trackInteraction(article, 'click')}
+                onCompare={(article) => setCompareTarget({ article, candidates: articles })}
+              />
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {filteredArticles.map((article, index) => (
+                  <motion.div
+                    key={index}
+                    initial={{ y: 20, opacity: 0 }}
+                    animate={{ y: 0, opacity: 1 }}
+                    transition={{ delay: index * 0.05, duration: 0.4 }}
+                    className="bg-white rounded-lg shadow-sm hover:shadow-lg transition-all duration-300 overflow-hidden flex flex-col h-full"
+                  >
+                    {/* Article Image */}
+                    {article.imageUrl && (
+                      <div className="w-full h-48 bg-gray-200 flex-shrink-0">
+                        <img
+                          src={article.imageUrl}
+                          alt={article.title}
+                          className="w-full h-full object-cover"
+                          onError={(e) => {
+                            e.target.style.display = 'none';
+                            e.target.parentElement.style.display = 'none';
+                          }}
+                        />
+                      </div>
+                    )}
 
-                {/* Title */}
-                <h3 className="text-lg font-bold text-gray-900 mb-2 leading-tight line-clamp-2">
-                  {article.title}
-                </h3>
-
-                {/* Author */}
-                {article.author && (
-                  <p className="text-xs text-gray-500 mb-2">by {article.author}</p>
-                )}
-
-                {/* Content */}
-                <div className="text-sm text-gray-700 mb-4 flex-1">
-                  <p className={expandedArticles.has(index) ? '' : 'line-clamp-3'}>
-                    {expandedArticles.has(index) 
-                      ? (article.summary?.summary || article.content || article.description)
-                      : truncateText(article.summary?.summary || article.content || article.description, 150)
-                    }
-                  </p>
-                  {(article.summary?.summary || article.content || article.description) && 
-                   (article.summary?.summary || article.content || article.description).length > 150 && (
-                    <button
-                      onClick={() => toggleExpandArticle(index)}
-                      className="text-blue-600 hover:text-blue-700 text-xs font-medium mt-1 focus:outline-none"
-                    >
-                      {expandedArticles.has(index) ? 'Show less' : 'Show more'}
-                    </button>
-                  )}
-                </div>
+                    <div className="p-4 flex flex-col flex-1">
+                      {/* Header with Bias Badge */}
+                      <div className="flex justify-between items-start mb-3">
+                        <div className="flex items-center space-x-2 text-xs text-gray-500">
+                          <span className="font-medium text-blue-600 uppercase tracking-wide">{article.source}</span>
+                          {article.synthetic && (
+                            <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800 font-medium">Sample</span>
+                          )}
+                          <span>•</span>
+                          <span className="flex items-center">
+                            <Clock className="h-3 w-3 mr-1" />
+                            {formatDate(article.publishedAt)}
+                          </span>
+                        </div>
+                        {article.analysisPending ? (
+                          <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                            <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                            Analyzing…
+                          </span>
+                        ) : (
+                          <BiasBadge biasScore={article.bias?.biasScore} confidence={article.bias?.confidence} />
+                        )}
+                      </div>
 
-                {/* Bias Analysis - Compact */}
-                <div className="bg-gray-50 rounded-lg p-3 mb-4">
-                  <div className="flex items-center justify-between mb-2">
-                    <span className="text-xs font-medium text-gray-700">
-                      Bias Score: {article.bias?.biasScore || 50}/100
-                    </span>
-                    {article.bias?.confidence && (
-                      <span className="text-xs text-gray-500">
-                      Confidence:   {Math.round(article.bias.confidence * 100)}%
-                      </span>
-                    )}
-                  </div>
-                  <BiasIndicator
-                    biasScore={article.bias?.biasScore}
-                    confidence={article.bias?.confidence}
-                    size="large"
-                    showLabel={true}
-                  />
-                  {article.bias?.reasoning && (
-                    <p className="text-xs text-gray-600 mt-2 line-clamp-2">
-                      {article.bias.reasoning}
-                    </p>
-                  )}
-                </div>
+                      {/* Title */}
+                      <h3 className="text-lg font-bold text-gray-900 mb-2 leading-tight line-clamp-2">
+                        {article.title}
+                      </h3>
 
-                {/* Read More Link */}
-                {article.url && (
-                  <div className="mt-auto">
-                    <a
-                      href={article.url}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="inline-flex items-center text-blue-600 hover:text-blue-700 text-sm font-medium group"
-                    >
-                      Read Full Article
-                      <ExternalLink className="h-3 w-3 ml-1 group-hover:translate-x-0.5 transition-transform" />
-                    </a>
-                  </div>
-                )}
+                      {/* Author */}
+                      {article.author && (
+                        <p className="text-xs text-gray-500 mb-2">by {article.author}</p>
+                      )}
+
+                      {/* Content */}
+                      <div className="text-sm text-gray-700 mb-4 flex-1">
+                        <p className={expandedArticles.has(index) ? '' : 'line-clamp-3'}>
+                          {expandedArticles.has(index) 
+                            ? (article.summary?.summary || article.content || article.description)
+                            : truncateText(article.summary?.summary || article.content || article.description, 150)
+                          }
+                        </p>
+                        {expandedArticles.has(index) && (
+                          <BiasEvidence text={article.content} evidence={article.bias?.evidence} />
+                        )}
+                        {(((article.summary?.summary || article.content || article.description) &&
+                         (article.summary?.summary || article.content || article.description).length > 150) ||
+                         article.bias?.evidence?.length > 0) && (
+                          <button
+                            onClick={() => toggleExpandArticle(index, article)}
+                            className="text-blue-600 hover:text-blue-700 text-xs font-medium mt-1 focus:outline-none"
+                          >
+                            {expandedArticles.has(index) ? 'Show less' : 'Show more'}
+                          </button>
+                        )}
+                      </div>
+
+                      {/* Bias Analysis - Compact */}
+                      {article.analysisPending ? (
+                        <div className="bg-gray-50 rounded-lg p-3 mb-4 animate-pulse">
+                          <div className="flex items-center text-xs font-medium text-gray-500 mb-2">
+                            <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                            Analyzing bias and summary…
+                          </div>
+                          <div className="h-6 bg-gray-200 rounded-full w-32"></div>
+                        </div>
+                      ) : article.analysis?.status === 'failed' ? (
+                        <div className="flex items-start bg-red-50 border border-red-100 rounded-lg p-3 mb-4 text-xs text-red-700">
+                          <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                          <span>Analysis failed{article.analysis.reasons?.[0] ? `: ${article.analysis.reasons[0]}` : ''}. This article is unrated.</span>
+                        </div>
+                      ) : (
+                        <div className="bg-gray-50 rounded-lg p-3 mb-4">
+                          <div className="flex items-center justify-between mb-2">
+                            <span className="text-xs font-medium text-gray-700">
+                              {typeof article.bias?.biasScore === 'number' ? `Bias Score: ${article.bias.biasScore}/100` : 'Bias Score: unrated'}
+                            </span>
+                            {typeof article.bias?.confidence === 'number' && (
+                              <span className="text-xs text-gray-500">
+                                Confidence: {Math.round(article.bias.confidence * 100)}%
+                              </span>
+                            )}
+                          </div>
+                          <BiasIndicator
+                            biasScore={article.bias?.biasScore}
+                            confidence={article.bias?.confidence}
+                            size="large"
+                            showLabel={true}
+                          />
+                          {article.analysis?.status === 'degraded' && (
+                            <p className="flex items-start text-xs text-amber-700 mt-2">
+                              <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                              {article.analysis.reasons.join('. ')}
+                            </p>
+                          )}
+                          <BiasDimensions dimensions={article.bias?.dimensions} className="mt-3" />
+                          {article.bias?.reasoning && (
+                            <p className="text-xs text-gray-600 mt-2 line-clamp-2">
+                              {article.bias.reasoning}
+                            </p>
+                          )}
+                          {article.bias?.coverage && (
+                            <p className="text-xs text-gray-500 mt-1">
+                              Analyzed {article.bias.coverage.analyzedCharacters.toLocaleString()} of {article.bias.coverage.totalCharacters.toLocaleString()} characters
+                              {article.textSource?.type === 'full-text' ? ' (full article)' : ' (preview text)'}
+                            </p>
+                          )}
+                          {article.bias?.provenance?.model && (
+                            <p className="text-xs text-gray-400 mt-1">
+                              {article.bias.provenance.prompts.map(prompt => `${prompt.id} prompt v${prompt.version}`).join(', ')} · {article.bias.provenance.model}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Read More Link */}
+                      {article.url && (
+                        <div className="mt-auto flex items-center justify-between">
+                          <a
+                            href={article.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            onClick={() => trackInteraction(article, 'click')}
+                            className="inline-flex items-center text-blue-600 hover:text-blue-700 text-sm font-medium group"
+                          >
+                            Read Full Article
+                            <ExternalLink className="h-3 w-3 ml-1 group-hover:translate-x-0.5 transition-transform" />
+                          </a>
+                          {articles.length > 1 && (
+                            <button
+                              onClick={() => setCompareTarget({ article, candidates: articles })}
+                              className="inline-flex items-center text-gray-500 hover:text-blue-700 text-sm font-medium"
+                            >
+                              <Columns className="h-3 w-3 mr-1" />
+                              Compare
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  </motion.div>
+                ))}
               </div>
-            </motion.div>
-          ))}
-          </div>
+            )}
 
-          {/* Pagination */}
-          {totalPages > 1 && (
-            <div className="flex justify-center items-center space-x-2 mt-8">
-              <button
-                onClick={() => handlePageChange(currentPage - 1)}
-                disabled={currentPage === 1}
-                className="px-3 py-2 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Previous
-              </button>
-              
-              {[...Array(totalPages)].map((_, index) => {
-                const page = index + 1;
-                return (
-                  <button
-                    key={page}
-                    onClick={() => handlePageChange(page)}
-                    className={`px-3 py-2 text-sm rounded-md transition-colors ${
-                      currentPage === page
-                        ? 'bg-blue-600 text-white'
-                        : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-                    }`}
-                  >
-                    {page}
-                  </button>
-                );
-              })}
-              
-              <button
-                onClick={() => handlePageChange(currentPage + 1)}
-                disabled={currentPage === totalPages}
-                className="px-3 py-2 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Next
-              </button>
-            </div>
-          )}
-        </>
+            {/* Infinite Scroll */}
+            {nextCursor && (
+              <div ref={loadMoreRef} className="flex justify-center mt-8">
+                <button
+                  onClick={() => loadMore(nextCursor)}
+                  disabled={loadingMore}
+                  className="inline-flex items-center px-4 py-2 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loadingMore && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  {loadingMore ? 'Analyzing more articles...' : 'Load more'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {compareTarget && (
+        <CompareModal
+          article={compareTarget.article}
+          candidates={compareTarget.candidates}
+          onClose={() => setCompareTarget(null)}
+        />
       )}
     </div>
   );
@@ -47,13 +47,58 @@ api.interceptors.response.use(
 // News API methods
 export const newsApi = {
   // Search for news articles
-  searchNews: async (query, sources = '', limit = 10, userId = 'anonymous') => {
+  // sources / options.excludeSources: comma-separated domains or outlet names
+  // options.from / options.to: YYYY-MM-DD publish date range; options.sortBy: 'relevance' or 'date'
+  // options.cursor: pagination.nextCursor from a previous page (its search parameters are reused)
+  searchNews: async (query, sources = '', limit = 10, userId = 'anonymous', options = {}) => {
+    const { excludeSources = '', from, to, sortBy, cursor } = options;
     const response = await api.get('/news/search', {
-      params: { query, sources, limit, userId }
+      params: { query, sources, excludeSources, from, to, sortBy, cursor, limit, userId }
     });
     return response.data;
   },
 
+  // Stream a search page over Server-Sent Events: raw articles first, then each
+  // article's analysis as it completes. Takes the same arguments as searchNews.
+  // handlers: onArticles, onAnalysis, onAnalysisError, onDone, onError
+  // Returns a function that closes the stream.
+  streamSearch: (query, sources = '', limit = 10, options = {}, handlers = {}) => {
+    const { excludeSources = '', from, to, sortBy, cursor } = options;
+    const params = new URLSearchParams();
+    Object.entries({ query, sources, excludeSources, from, to, sortBy, cursor, limit }).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') params.append(key, value);
+    });
+
+    const eventSource = new EventSource(`${API_BASE_URL}/api/news/search/stream?${params}`);
+    let finished = false;
+
+    const finish = () => {
+      finished = true;
+      eventSource.close();
+    };
+    const listen = (event, handler, isFinal = false) => {
+      eventSource.addEventListener(event, (message) => {
+        if (isFinal) finish();
+        if (handler) handler(JSON.parse(message.data));
+      });
+    };
+
+    listen('articles', handlers.onArticles);
+    listen('analysis', handlers.onAnalysis);
+    listen('analysis-error', handlers.onAnalysisError);
+    listen('done', handlers.onDone, true);
+    listen('search-error', (data) => handlers.onError && handlers.onError(new Error(data.message)), true);
+
+    eventSource.onerror = () => {
+      if (finished) return;
+      finish();
+      console.error('API Stream Error: search stream closed unexpectedly');
+      if (handlers.onError) handlers.onError(new Error('Search stream failed'));
+    };
+
+    return finish;
+  },
+
   // Get trending news
   getTrendingNews: async (userId = 'anonymous', limit = 15) => {
     const response = await api.get('/news/trending', {
@@ -62,6 +107,25 @@ export const newsApi = {
     return response.data;
   },
 
+  // Recent stories covered mostly by one side; side: 'left', 'right' or undefined for both
+  getBlindspots: async (limit = 10, side) => {
+    const response = await api.get('/news/blindspots', {
+      params: { limit, side }
+    });
+    return response.data;
+  },
+
+  // Side-by-side framing comparison of 2-5 articles about the same story
+  compareArticles: async (articles) => {
+    const response = await api.post('/news/compare', {
+      articles: articles.map(({ title, content, source, url, synthetic }) => ({ title, content, source, url, synthetic }))
+    }, {
+      // One long completion can outlast the default timeout
+      timeout: 90000
+    });
+    return response.data;
+  },
+
   // Analyze specific article
   analyzeArticle: async (title, content, source) => {
     const response = await api.post('/news/analyze', {
@@ -76,6 +140,12 @@ export const newsApi = {
   getSources: async () => {
     const response = await api.get('/news/sources');
     return response.data;
+  },
+
+  // Get the bias scale: bands, labels, colors and left/center/right ranges
+  getBiasScale: async () => {
+    const response = await api.get('/news/bias-scale');
+    return response.data;
   }
 };
 
@@ -140,6 +210,9 @@ export const userApi = {
     const response = await api.post(`/user/interaction/${userId}`, {
       article,
       action
+    }, {
+      // Tracking runs in the background; never interrupt reading with a toast
+      skipErrorToast: true
     });
     return response.data;
   },
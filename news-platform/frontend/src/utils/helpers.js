@@ -37,57 +37,66 @@ export const formatDate = (dateInput) => {
 };
 
 /**
- * Get bias category from score
+ * Band of the bias scale a score falls in
+ * @param {Object} scale - Bias scale served by the backend (see BiasScaleContext)
  * @param {number} biasScore - Bias score (0-100)
- * @returns {Object} Bias category info
+ * @returns {Object} Band with label, shortLabel, min, max, leaning and color
  */
-export const getBiasCategory = (biasScore) => {
-  if (biasScore < 20) {
-    return {
-      label: 'Highly Liberal',
-      shortLabel: 'Liberal',
-      color: 'blue',
-      bgColor: 'bg-blue-100',
-      textColor: 'text-blue-800',
-      borderColor: 'border-blue-200'
-    };
-  } else if (biasScore < 40) {
-    return {
-      label: 'Liberal',
-      shortLabel: 'Liberal',
-      color: 'cyan',
-      bgColor: 'bg-cyan-100',
-      textColor: 'text-cyan-800',
-      borderColor: 'border-cyan-200'
-    };
-  } else if (biasScore < 60) {
-    return {
-      label: 'Neutral',
-      shortLabel: 'Center',
-      color: 'gray',
-      bgColor: 'bg-gray-100',
-      textColor: 'text-gray-800',
-      borderColor: 'border-gray-200'
-    };
-  } else if (biasScore < 80) {
-    return {
-      label: 'Conservative',
-      shortLabel: 'Conservative',
-      color: 'orange',
-      bgColor: 'bg-orange-100',
-      textColor: 'text-orange-800',
-      borderColor: 'border-orange-200'
-    };
-  } else {
-    return {
-      label: 'Highly Conservative',
-      shortLabel: 'Conservative',
-      color: 'red',
-      bgColor: 'bg-red-100',
-      textColor: 'text-red-800',
-      borderColor: 'border-red-200'
-    };
-  }
+export const getBiasBand = (scale, biasScore) => (
+  scale.bands.find(band => biasScore <= band.max) || scale.bands[scale.bands.length - 1]
+);
+
+/**
+ * Left-to-right CSS gradient through the band colors, for scale bars
+ * @param {Object} scale - Bias scale
+ * @returns {string} CSS background-image value
+ */
+export const getBiasGradient = (scale) => `linear-gradient(to right, ${scale.bands.map(band => band.color.solid).join(', ')})`;
+
+/**
+ * Inline badge colors for a band or leaning
+ * @param {Object} entry - Band or leaning with a color
+ * @returns {Object} Style with background, text and border colors
+ */
+export const getBiasBadgeStyle = ({ color }) => ({
+  backgroundColor: color.background,
+  color: color.text,
+  borderColor: color.border
+});
+
+// Calibrated confidence below this is shown as uncertain
+export const UNCERTAIN_CONFIDENCE = 0.4;
+
+/**
+ * Whether a calibrated confidence is too low to present a rating as settled
+ * @param {number|null} confidence - Calibrated confidence (0-1)
+ * @returns {boolean} True for low confidence
+ */
+export const isUncertain = (confidence) => typeof confidence === 'number' && confidence < UNCERTAIN_CONFIDENCE;
+
+/**
+ * Leaning of an article's score; pending, failed and unrated articles have none
+ * @param {Object} scale - Bias scale
+ * @param {Object} article - Article with optional bias analysis
+ * @returns {string|null} Leaning id ('left', 'center' or 'right') or null when unrated
+ */
+export const getBiasLeaning = (scale, article) => {
+  const biasScore = article.bias?.biasScore;
+  if (article.analysisPending || typeof biasScore !== 'number') return null;
+  return getBiasBand(scale, biasScore).leaning;
+};
+
+/**
+ * Bar color for a dimension score: green when the score is reassuring, amber, then red
+ * @param {number} score - Dimension score (0-100)
+ * @param {boolean} higherIsBetter - Whether a high score is good for this dimension
+ * @returns {string} Tailwind background class
+ */
+export const getDimensionColor = (score, higherIsBetter = false) => {
+  const concern = higherIsBetter ? 100 - score : score;
+  if (concern < 35) return 'bg-green-500';
+  if (concern < 65) return 'bg-amber-500';
+  return 'bg-red-500';
 };
 
 /**
@@ -200,7 +209,7 @@ export const filterArticlesByBias = (articles, biasRange) => {
   
   return articles.filter(article => {
     const biasScore = article.bias?.biasScore;
-    if (biasScore === undefined) return true;
+    if (typeof biasScore !== 'number') return true;
     
     return biasScore >= biasRange.min && biasScore <= biasRange.max;
   });
@@ -216,7 +225,7 @@ export const calculateDiversityScore = (articles) => {
   
   const biasScores = articles
     .map(article => article.bias?.biasScore)
-    .filter(score => score !== undefined);
+    .filter(score => typeof score === 'number');
   
   if (biasScores.length < 2) return 50;
   
@@ -22,13 +22,6 @@ module.exports = {
           800: '#1e40af',
           900: '#1e3a8a',
         },
-        bias: {
-          'liberal': '#3b82f6',
-          'center-left': '#06b6d4',
-          'center': '#6b7280',
-          'center-right': '#ea580c',
-          'conservative': '#dc2626',
-        }
       },
       animation: {
         'shimmer': 'shimmer 2s linear infinite',